@@ -1,4 +1,4 @@
-importScripts('lib/jszip.min.js');
+importScripts('lib/jszip.min.js', 'export-options.js', 'front-matter.js', 'source-snippets.js', 'site-profiles.js');
 
 const MESSAGE_TIMEOUT = 30000;
 const messageQueue = {};
@@ -23,61 +23,6 @@ function isValidUrl(url) {
   return url && (url.includes('deepwiki.com') || url.includes('devin.ai'));
 }
 
-/**
- * Derives the site-specific project path prefix from a page URL.
- *
- * For devin.ai this typically returns a prefix like `/wiki/{owner}`; for DeepWiki/other wikis it typically returns `/wiki/{owner}/{repo}`. Falls back to the first one or two path segments or `/` when markers are absent.
- * @param {string} urlString - The full page URL to analyze.
- * @returns {string|null} The project path prefix starting with `/` used to group pages by project, or `null` if the URL could not be parsed.
- */
-function getProjectPrefix(urlString) {
-  try {
-    const url = new URL(urlString);
-    const pathSegments = url.pathname.split('/').filter(Boolean);
-    const hostname = url.hostname;
-
-    // Devin.ai wiki structure: /wiki/{owner}/{page_slug}
-    // The owner level is the project scope, not the page
-    const isDevinAi = hostname.includes('devin.ai');
-
-    // If we have a clear marker like "wiki" or "docs", we want to grab everything up to that point
-    // plus the appropriate number of segments based on the site
-    const markerIdx = pathSegments.findIndex(seg => ['deepwiki', 'wiki', 'docs'].includes(seg.toLowerCase()));
-
-    if (markerIdx >= 0) {
-       // For Devin.ai: /wiki/{owner} is the project scope (marker + 1 segment)
-       // For DeepWiki: /wiki/{owner}/{repo} is the project scope (marker + 2 segments)
-       const segmentsAfterMarker = pathSegments.length - (markerIdx + 1);
-
-       if (isDevinAi) {
-         // Devin.ai: /wiki/Owner is the project prefix (all pages under this owner)
-         if (segmentsAfterMarker >= 1) {
-           return `/${pathSegments.slice(0, markerIdx + 2).join('/')}`;
-         }
-         return `/${pathSegments.slice(0, markerIdx + 1).join('/')}`;
-       }
-
-       // DeepWiki and others: /wiki/Owner/Repo is the project prefix
-       if (segmentsAfterMarker >= 2) {
-           return `/${pathSegments.slice(0, markerIdx + 3).join('/')}`;
-       }
-       return `/${pathSegments.slice(0, markerIdx + 2).join('/')}`;
-    }
-
-    // Fallbacks for paths without markers
-    if (pathSegments.length >= 2) {
-      return `/${pathSegments.slice(0, 2).join('/')}`;
-    }
-    if (pathSegments.length === 1) {
-      return `/${pathSegments[0]}`;
-    }
-    return '/';
-  } catch (error) {
-    console.warn('Failed to derive project prefix:', error.message);
-    return null;
-  }
-}
-
 /**
  * Selects pages that belong to the same project/context as the provided current page URL.
  *
@@ -146,13 +91,16 @@ const createInitialBatchState = () => ({
   originalUrl: null,
   pages: [],
   convertedPages: [],
+  pageReports: [],
   folderName: '',
   processed: 0,
   failed: 0,
   cancelRequested: false,
   total: 0,
   currentTitle: '',
-  fileNames: new Set()
+  fileNames: new Set(),
+  assetNames: new Set(),
+  options: normalizeExportOptions()
 });
 
 let batchState = createInitialBatchState();
@@ -415,6 +363,47 @@ function getUniqueFileName(desired) {
   return candidate;
 }
 
+/**
+ * Give each asset of a converted page a path that is unique across the whole batch.
+ *
+ * Content scripts name assets per page (e.g. `assets/mermaid-1.svg`), so two pages can produce the same path; clashing assets are renamed and the page's Markdown references are updated to match.
+ *
+ * @param {string} markdown - The page's Markdown.
+ * @param {Array<{path: string, content: string, encoding: string}>} [assets] - Assets returned by the content script.
+ * @returns {{content: string, assets: Array<{path: string, content: string, encoding: string}>}} The Markdown and assets with batch-unique paths.
+ */
+function claimPageAssets(markdown, assets) {
+  let content = markdown;
+  const claimed = [];
+  // SVG and PNG of the same diagram must keep sharing a base name
+  const renamedBases = new Map();
+
+  (assets || []).forEach(asset => {
+    const match = asset.path.match(/^(.*)\.([^./]+)$/);
+    const base = match ? match[1] : asset.path;
+    const extension = match ? `.${match[2]}` : '';
+
+    let uniqueBase = renamedBases.get(base);
+    if (!uniqueBase) {
+      uniqueBase = base;
+      let counter = 2;
+      while (batchState.assetNames.has(uniqueBase)) {
+        uniqueBase = `${base}-${counter++}`;
+      }
+      batchState.assetNames.add(uniqueBase);
+      renamedBases.set(base, uniqueBase);
+    }
+
+    const path = `${uniqueBase}${extension}`;
+    if (path !== asset.path) {
+      content = content.split(`](${asset.path})`).join(`](${path})`);
+    }
+    claimed.push({ ...asset, path });
+  });
+
+  return { content, assets: claimed };
+}
+
 function resetBatchState() {
   batchState = createInitialBatchState();
 }
@@ -625,6 +614,32 @@ function isMarkdownSuspiciouslyEmpty(markdown, readiness) {
   return contentLooksSubstantial && length < 80;
 }
 
+/**
+ * Describe where a page sits in the wiki's sidebar, for the page's front matter.
+ * @param {Object} page - A page of the current batch, as found by extractAllPages.
+ * @returns {{url: string, order: number, depth: number, numberPrefix: string, parent: string}} The page's sidebar position;
+ *   `parent` is the title of the closest earlier page one level up, empty for top-level pages.
+ */
+function describeBatchPage(page) {
+  const index = batchState.pages.indexOf(page);
+  const depth = Number.isInteger(page.depth) ? page.depth : 0;
+  let parent = '';
+  for (let i = index - 1; i >= 0 && depth > 0; i--) {
+    const candidateDepth = Number.isInteger(batchState.pages[i].depth) ? batchState.pages[i].depth : 0;
+    if (candidateDepth < depth) {
+      parent = batchState.pages[i].title;
+      break;
+    }
+  }
+  return {
+    url: page.url,
+    order: index + 1,
+    depth,
+    numberPrefix: page.numberPrefix || '',
+    parent
+  };
+}
+
 /**
  * Process a single page in the current batch: navigate or select the correct topic, wait for content readiness,
  * convert the page to Markdown, store the result in batch state, and emit progress updates.
@@ -755,7 +770,7 @@ async function processSinglePage(page) {
 
   if (batchState.cancelRequested) return;
 
-  let convertResponse = await sendMessageToTab(batchState.tabId, { action: 'convertToMarkdown' });
+  let convertResponse = await sendMessageToTab(batchState.tabId, { action: 'convertToMarkdown', options: batchState.options, page: describeBatchPage(page) });
   if (!convertResponse || !convertResponse.success) {
     throw new Error(convertResponse?.error || 'Conversion failed');
   }
@@ -777,7 +792,7 @@ async function processSinglePage(page) {
         minTextLength: CONTENT_READY_MIN_TEXT
       })
       : await waitForPageContent(batchState.tabId, page.url);
-    const retryResponse = await sendMessageToTab(batchState.tabId, { action: 'convertToMarkdown' });
+    const retryResponse = await sendMessageToTab(batchState.tabId, { action: 'convertToMarkdown', options: batchState.options, page: describeBatchPage(page) });
     if (retryResponse && retryResponse.success) {
       convertResponse = retryResponse;
       if (isMarkdownSuspiciouslyEmpty(convertResponse.markdown, retryReadiness || readiness)) {
@@ -793,7 +808,19 @@ async function processSinglePage(page) {
     baseTitle = `${page.numberPrefix}-${baseTitle}`;
   }
   const fileName = getUniqueFileName(baseTitle);
-  batchState.convertedPages.push({ title: fileName, content: convertResponse.markdown });
+  const snippets = await fillSourceSnippets(convertResponse.markdown, convertResponse.snippets);
+  const { content, assets } = claimPageAssets(snippets.markdown, convertResponse.assets);
+  batchState.convertedPages.push({ title: fileName, pageTitle: page.title, depth: page.depth, content, assets, url: page.url });
+  batchState.pageReports.push({
+    title: page.title,
+    url: page.url,
+    file: `${fileName}.md`,
+    status: 'converted',
+    ...(convertResponse.report || {}),
+    ...(convertResponse.snippets && convertResponse.snippets.length
+      ? { snippetsEmbedded: snippets.embedded, snippetsMissing: snippets.missing }
+      : {})
+  });
   
   // Increment processed count
   batchState.processed += 1;
@@ -806,24 +833,139 @@ async function processSinglePage(page) {
   await sleep(250);
 }
 
+/**
+ * Resolve a link found in a converted page to the exported file of another page of the batch.
+ *
+ * Only links on the wiki's own origin qualify; with this option on, the content script keeps root-relative wiki links
+ * there instead of turning them into github.com links, so links to GitHub repositories are never mistaken for pages.
+ *
+ * @param {string} href - The link target as written in the Markdown.
+ * @param {Map<string, string>} pageFiles - Exported file names by page path (with and without `#fragment`).
+ * @param {string} baseUrl - URL the batch was started from, used to resolve relative links.
+ * @returns {{file: string, hash: string}|null} The target file and fragment, or `null` for links outside the batch.
+ */
+function resolveCrossPageLink(href, pageFiles, baseUrl) {
+  let url;
+  try {
+    url = new URL(href, baseUrl);
+  } catch (error) {
+    return null;
+  }
+  const base = new URL(baseUrl);
+  if (url.origin !== base.origin) return null;
+
+  const path = url.pathname.replace(/\/$/, '') || '/';
+  const file = pageFiles.get(`${path}${url.hash}`) || pageFiles.get(path);
+  if (!file) return null;
+  // A fragment that selects the page itself (Devin topics) is not an anchor inside it
+  const hash = pageFiles.has(`${path}${url.hash}`) ? '' : url.hash;
+  return { file, hash };
+}
+
+/**
+ * Rewrite links between pages of the batch into relative links to the exported `.md` files.
+ *
+ * Inline links and reference definitions are rewritten, `#fragment`s are kept, links inside fenced code and links
+ * to pages outside the batch are left alone. Links from a page to itself become plain `#fragment` links.
+ */
+function rewriteCrossPageLinks() {
+  const pageFiles = new Map();
+  const ambiguousPaths = new Set();
+  batchState.convertedPages.forEach(page => {
+    let url;
+    try {
+      url = new URL(page.url, batchState.originalUrl);
+    } catch (error) {
+      return;
+    }
+    const path = url.pathname.replace(/\/$/, '') || '/';
+    const file = `${page.title}.md`;
+    if (url.hash) pageFiles.set(`${path}${url.hash}`, file);
+    if (pageFiles.has(path) && pageFiles.get(path) !== file) ambiguousPaths.add(path);
+    else pageFiles.set(path, file);
+  });
+  // Several pages behind one path (Devin topics) can only be told apart by their fragment
+  ambiguousPaths.forEach(path => pageFiles.delete(path));
+
+  batchState.convertedPages.forEach(page => {
+    const ownFile = `${page.title}.md`;
+    const rewrite = href => {
+      const target = resolveCrossPageLink(href, pageFiles, batchState.originalUrl);
+      if (!target) return href;
+      if (target.file === ownFile) return target.hash || href;
+      // Titles may keep `#` or `%`, which encodeURI would leave to be read as a fragment or an escape
+      return `${encodeURIComponent(target.file)}${target.hash}`;
+    };
+
+    let fence = null;
+    page.content = page.content.split('\n').map(line => {
+      const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+      if (fenceMatch) {
+        if (!fence) fence = fenceMatch[1];
+        else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+        return line;
+      }
+      if (fence) return line;
+      return line
+        .replace(/\]\(([^)\s]+)\)/g, (match, href) => `](${rewrite(href)})`)
+        .replace(/^(\s*\[[^\]]+\]:\s*)(\S+)/, (match, prefix, href) => `${prefix}${rewrite(href)}`);
+    }).join('\n');
+  });
+}
+
+/**
+ * Aggregate the per-page fidelity reports of the current batch.
+ * @returns {{generatedAt: string, summary: Object, pages: Array<Object>}} Report written to `conversion-report.json`.
+ */
+function buildBatchReport() {
+  const pages = batchState.pageReports;
+  const diagrams = pages.flatMap(page => page.diagrams || []);
+  return {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      pagesConverted: pages.filter(page => page.status === 'converted').length,
+      pagesFailed: pages.filter(page => page.status === 'failed').length,
+      diagrams: diagrams.length,
+      diagramsRecoveredFromSource: diagrams.filter(d => d.method === 'original-source').length,
+      diagramsReconstructed: diagrams.filter(d => d.method === 'svg-reconstruction').length,
+      diagramsFallback: diagrams.filter(d => d.fallbackUsed).length,
+      invalidMermaidBlocks: pages.reduce((sum, page) => sum + (page.invalidMermaidBlocks || 0), 0),
+      snippetsEmbedded: pages.reduce((sum, page) => sum + (page.snippetsEmbedded || 0), 0),
+      snippetsMissing: pages.reduce((sum, page) => sum + (page.snippetsMissing || 0), 0),
+      pagesNeedingReview: pages.filter(page => page.needsReview).map(page => page.file || page.title)
+    },
+    pages
+  };
+}
+
 /**
  * Create a ZIP archive containing all converted Markdown files and initiate a browser download.
  *
- * Builds an index README listing each page, adds each converted page as `TITLE.md` to the archive,
- * compresses the archive, and starts a download named after the batch folder.
+ * Builds an index README listing each page, adds each converted page as `TITLE.md` (plus its diagram files under `assets/`) and a `conversion-report.json` to the archive,
+ * compresses the archive, and starts a download named after the batch folder. With a `siteProfile` the pages are laid out as a
+ * static site project instead (see writeSiteProject).
  *
  * @returns {Promise<void>} Resolves when the download has been initiated, rejects with an Error if the download API reports an error.
  */
 async function createZipArchive() {
   const zip = new JSZip();
-  let indexContent = `# ${batchState.folderName}\n\n## Content Index\n\n`;
 
-  batchState.convertedPages.forEach(page => {
-    indexContent += `- [${page.title}](${page.title}.md)\n`;
-    zip.file(`${page.title}.md`, page.content);
-  });
+  if (batchState.options.siteProfile !== 'none') {
+    writeSiteProject(zip, batchState.options.siteProfile, batchState.folderName, batchState.convertedPages);
+  } else {
+    let indexContent = `# ${batchState.folderName}\n\n## Content Index\n\n`;
 
-  zip.file('README.md', indexContent);
+    batchState.convertedPages.forEach(page => {
+      indexContent += `- [${page.title}](${page.title}.md)\n`;
+      zip.file(`${page.title}.md`, page.content);
+      (page.assets || []).forEach(asset => {
+        zip.file(asset.path, asset.content, { base64: asset.encoding === 'base64' });
+      });
+    });
+
+    zip.file('README.md', indexContent);
+  }
+  zip.file('conversion-report.json', JSON.stringify(buildBatchReport(), null, 2));
 
   const base64Zip = await zip.generateAsync({
     type: 'base64',
@@ -874,6 +1016,13 @@ async function runBatchProcessing() {
         await processSinglePage(page);
       } catch (error) {
         batchState.failed += 1;
+        batchState.pageReports.push({
+          title: page.title,
+          url: page.url,
+          status: 'failed',
+          error: error.message || String(error),
+          needsReview: true
+        });
         broadcastBatchUpdate('pageFailed', {
           message: `Failed ${page.title}: ${error.message || error}`,
           level: 'error'
@@ -893,6 +1042,10 @@ async function runBatchProcessing() {
       throw new Error('No pages were converted successfully.');
     }
 
+    if (batchState.options.rewriteCrossPageLinks) {
+      rewriteCrossPageLinks();
+    }
+
     broadcastBatchUpdate('zipping', {
       message: `Creating ZIP with ${batchState.convertedPages.length} files...`
     });
@@ -935,12 +1088,13 @@ function getTabById(tabId) {
 /**
  * Initiates a batch conversion of pages for the project associated with the given tab.
  * @param {number} tabId - ID of the browser tab to start the batch from.
+ * @param {Object} [options] - Export options chosen in the popup; missing values fall back to DEFAULT_EXPORT_OPTIONS.
  * @returns {{total: number, folderName: string}} Object containing the number of pages to convert and the chosen output folder name.
  * @throws {Error} If a batch is already running.
  * @throws {Error} If the tab's URL is not a supported DeepWiki or Devin page.
  * @throws {Error} If extraction from the content script fails or no project pages are found.
  */
-async function startBatchProcessing(tabId) {
+async function startBatchProcessing(tabId, options) {
   if (batchState.isRunning) {
     throw new Error('Batch conversion already running.');
   }
@@ -955,6 +1109,13 @@ async function startBatchProcessing(tabId) {
     throw new Error('Please open a DeepWiki or Devin page before starting batch conversion.');
   }
 
+  const exportOptions = normalizeExportOptions(options);
+  if (exportOptions.embedSourceSnippets) {
+    // The worker cannot ask for access itself; it must already be granted on the options page
+    const problem = await getSourceDirectoryProblem();
+    if (problem) throw new Error(problem);
+  }
+
   console.log('[Background] Sending extractAllPages to content script...');
   const extraction = await sendMessageToTab(tabId, { action: 'extractAllPages' });
   console.log('[Background] Extraction response:', extraction);
@@ -974,13 +1135,16 @@ async function startBatchProcessing(tabId) {
     originalUrl: tab.url,
     pages,
     convertedPages: [],
+    pageReports: [],
     folderName: sanitizeFolderName(extraction.headTitle || extraction.currentTitle || 'deepwiki'),
     processed: 0,
     failed: 0,
     cancelRequested: false,
     total: pages.length,
     currentTitle: '',
-    fileNames: new Set()
+    fileNames: new Set(),
+    assetNames: new Set(),
+    options: exportOptions
   };
 
   broadcastBatchUpdate('started', {
@@ -1034,7 +1198,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return;
     }
 
-    startBatchProcessing(tabId)
+    startBatchProcessing(tabId, request.options)
       .then(result => sendResponse({ success: true, ...result }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
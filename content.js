@@ -165,7 +165,10 @@ function applyNumberPrefixes(pages) {
 // Listen for messages from popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === "convertToMarkdown") {
+    (async () => {
     try {
+      conversionContext = createConversionContext(request.options);
+
       // Get page title from head
       const headTitle = document.title || "";
       const formattedHeadTitle = headTitle.replace(/[\/|]/g, '-').replace(/\s+/g, '-').replace('---','-');
@@ -187,29 +190,49 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
       let markdown = ``;
       let markdownTitle = title.replace(/\s+/g, '-');
+      resetMermaidSourceCache();
 
       contentContainer.childNodes.forEach((child) => {
         markdown += processNode(child);
       });
+      markdown += buildCitationSection();
+      markdown = placeSourceSnippets(markdown);
 
       // Normalize blank lines
       markdown = markdown.trim().replace(/\n{3,}/g, "\n\n");
 
       // --- INTEGRAÇÃO: DEEPWIKI LINK FIX ---
       console.log("Applying DeepWiki Fixes...");
-      markdown = DeepWikiFixer.process(markdown);
+      const indexedCommit = DeepWikiFixer.findIndexedCommit(markdown);
+      markdown = DeepWikiFixer.process(markdown, {
+        githubLinkMode: conversionContext.options.githubLinkMode,
+        indexedCommit,
+        wikiOrigin: request.page && conversionContext.options.rewriteCrossPageLinks ? location.origin : undefined
+      });
       // -------------------------------------
+      markdown = buildPageFrontMatter(title, request.page, indexedCommit) + markdown;
+      markdown = validateMermaidBlocks(markdown);
+
+      await rasterizePendingDiagramAssets();
 
       sendResponse({ 
         success: true, 
         markdown, 
         markdownTitle,
-        headTitle: formattedHeadTitle
+        headTitle: formattedHeadTitle,
+        assets: conversionContext.assets,
+        indexedCommit,
+        snippets: conversionContext.snippets,
+        report: buildConversionReport()
       });
     } catch (error) {
       console.error("Error converting to Markdown:", error);
       sendResponse({ success: false, error: error.message });
+    } finally {
+      conversionContext = null;
     }
+    })();
+    return true;
   } else if (request.action === "extractAllPages") {
     (async () => {
       try {
@@ -970,14 +993,14 @@ async function waitForTopicReady(options = {}) {
 // ==========================================
 
 const DeepWikiFixer = {
-  process(text) {
+  process(text, options = {}) {
     if (!text) return "";
     text = this.stripPreamble(text);
     text = this.removeLinkCopied(text);
     text = this.removeAskDevinLines(text);
-    text = this.fixInternalLinks(text);
+    text = this.fixInternalLinks(text, options.wikiOrigin);
     text = this.fixSectionLinks(text);
-    text = this.stripGithubBlobSha(text);
+    text = this.applyGithubLinkMode(text, options.githubLinkMode, options.indexedCommit);
     text = this.sanitizeMermaid(text);
     return text;
   },
@@ -994,6 +1017,9 @@ const DeepWikiFixer = {
   },
 
   BRANCH_LABELS: new Set(["yes", "no", "true", "false"]),
+
+  // A quoted node label in any shape: A["..."], B{"..."}, C(["..."]), D[/"..."\], ...
+  NODE_LABEL_SOURCE: String.raw`(?<=\w\s?)(\[\[|\[\(|\[\/|\[\\|\(\(\(|\(\(|\(\[|\{\{|\[|\(|\{|>)"(.*?)"(\]\]|\)\]|\/\]|\\\]|\)\)\)|\)\)|\]\)|\}\}|\]|\)|\})`,
   
   POSITIVE_HINTS: [
     "add", "use", "enable", "create", "remove", "success", "ready", 
@@ -1032,12 +1058,13 @@ const DeepWikiFixer = {
     return result;
   },
 
-  fixInternalLinks(text) {
+  // Root-relative links point at github.com, or at the wiki itself when the batch will rewrite them to .md files
+  fixInternalLinks(text, origin = "https://github.com") {
     text = text.replace(/\]\((?!\s*http)(\/[^)\s]+)\)/g, (match, p1) => {
-        return `](https://github.com${p1})`;
+        return `](${origin}${p1})`;
     });
     text = text.replace(/(^\s*\[[^\]]+\]:\s*)(\/[^)\s]+)/gm, (match, p1, p2) => {
-        return `${p1}https://github.com${p2}`;
+        return `${p1}${origin}${p2}`;
     });
     return text;
   },
@@ -1060,6 +1087,38 @@ const DeepWikiFixer = {
         "https://github.com/$1/$2/");
   },
 
+  // The commit DeepWiki indexed: the SHA most GitHub blob links on the page point at
+  findIndexedCommit(text) {
+    const counts = new Map();
+    const re = /https:\/\/github\.com\/([^/\s)]+)\/([^/\s)]+)\/blob\/([0-9a-f]{7,40})\//g;
+    let match;
+    while ((match = re.exec(text)) !== null) {
+      const key = `${match[1]}/${match[2]}@${match[3]}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    let best = null;
+    counts.forEach((count, key) => {
+      if (!best || count > best.count) best = { key, count };
+    });
+    if (!best) return null;
+    const [repository, sha] = best.key.split('@');
+    return { repository, sha };
+  },
+
+  // 'stripped' drops the SHA (historical behaviour), 'pinned' points every link into the indexed repository at the indexed commit, 'branch' at the default branch (HEAD)
+  applyGithubLinkMode(text, mode = "stripped", commit = null) {
+    if (mode === "branch") {
+      return text.replace(/(https:\/\/github\.com\/[^/\s)]+\/[^/\s)]+\/blob\/)[0-9a-f]{7,40}\//g, "$1HEAD/");
+    }
+    if (mode === "pinned") {
+      if (!commit) return text;
+      const repoPattern = commit.repository.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const re = new RegExp(`(https://github\\.com/${repoPattern}/(?:blob|tree)/)(?:main|master|HEAD|[0-9a-f]{7,40})/`, 'g');
+      return text.replace(re, `$1${commit.sha}/`);
+    }
+    return this.stripGithubBlobSha(text);
+  },
+
   sanitizeMermaid(text) {
     const lines = text.split('\n');
     const out = [];
@@ -1096,6 +1155,8 @@ const DeepWikiFixer = {
   },
 
   sanitizeMermaidBlock(lines) {
+    // Source recovered from the page is exported verbatim; only reconstructions are cleaned up
+    if (lines.some(line => /^\s*%% Source: original\b/.test(line))) return lines;
     lines = this.sanitizeNodeLabels(lines);
     let blockType = null;
     for (const line of lines) {
@@ -1113,10 +1174,10 @@ const DeepWikiFixer = {
   },
 
   sanitizeNodeLabels(lines) {
-    const nodeLabelRe = /\["(.*?)"\]/g;
+    const nodeLabelRe = new RegExp(this.NODE_LABEL_SOURCE, 'g');
     return lines.map(line => {
-      return line.replace(nodeLabelRe, (match, label) => {
-        return `["${this.sanitizeLabel(label)}"]`;
+      return line.replace(nodeLabelRe, (match, open, label, close) => {
+        return `${open}"${this.sanitizeLabel(label)}"${close}`;
       });
     });
   },
@@ -1138,7 +1199,7 @@ const DeepWikiFixer = {
 
   moveBranchLabels(lines) {
     const edgeRe = /^(?<indent>\s*)(?<src>[A-Za-z0-9_]+)\s*(?<arrow>[-.=]+>)\s*(?:\|"(?<label>[^"]*)"\|\s*)?(?<dst>[A-Za-z0-9_]+)\s*$/;
-    const nodeLabelRe = /\["(.*?)"\]/;
+    const nodeLabelRe = new RegExp(this.NODE_LABEL_SOURCE);
 
     const edges = [];
     const nodeLabels = {};
@@ -1146,9 +1207,9 @@ const DeepWikiFixer = {
     lines.forEach((line, idx) => {
       const labelMatch = line.match(nodeLabelRe);
       if (labelMatch) {
-        const prefix = line.split('["')[0].trim();
+        const prefix = line.slice(0, labelMatch.index).trim();
         if (prefix) {
-          nodeLabels[prefix] = labelMatch[1];
+          nodeLabels[prefix] = labelMatch[2];
         }
       }
 
@@ -1266,11 +1327,182 @@ const DeepWikiFixer = {
   }
 };
 
+/**
+ * Turn a CSS declaration list into Mermaid style declarations (`prop:value`), dropping `!important`, empty entries and `fill:none` on lines.
+ *
+ * Mermaid separates declarations with commas, so `rgb()`/`rgba()` colors are rewritten as hex.
+ *
+ * @param {string} cssText - Declarations as found in a `style` attribute or CSS rule body.
+ * @returns {string[]} Normalized declarations.
+ */
+function normalizeCssDeclarations(cssText) {
+  const toHex = n => Math.max(0, Math.min(255, Math.round(n))).toString(16).padStart(2, '0');
+  return (cssText || '')
+    .replace(/rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)/g, (match, r, g, b, a) => {
+      const alpha = a !== undefined && parseFloat(a) < 1 ? toHex(parseFloat(a) * 255) : '';
+      return `#${toHex(r)}${toHex(g)}${toHex(b)}${alpha}`;
+    })
+    .split(';')
+    .map(decl => decl.replace(/!\s*important/g, '').trim())
+    .filter(decl => /^[a-z-]+\s*:\s*\S/i.test(decl))
+    .map(decl => decl.replace(/\s*:\s*/, ':').replace(/\s*,\s*/g, ' '))
+    .filter(decl => decl !== 'fill:none');
+}
+
+/**
+ * Recover `classDef` rules from the stylesheet Mermaid embeds in the SVG (`#id .name>*{...}`).
+ * @param {SVGElement} svgElement - Rendered flowchart.
+ * @returns {Object<string, string[]>} Declarations by class name.
+ */
+function parseFlowchartClassDefs(svgElement) {
+  const classDefs = {};
+  const css = Array.from(svgElement.querySelectorAll('style')).map(el => el.textContent).join('\n');
+  const ruleRe = /\.([A-Za-z0-9_-]+)\s*>\s*\*\s*\{([^}]*)\}/g;
+  let match;
+  while ((match = ruleRe.exec(css)) !== null) {
+    const declarations = normalizeCssDeclarations(match[2]);
+    if (declarations.length) classDefs[match[1]] = declarations;
+  }
+  return classDefs;
+}
+
+/**
+ * Find the element that draws a flowchart node's shape.
+ * @param {Element} nodeEl - A `g.node` group.
+ * @returns {Element|null} The shape element (rect, polygon, circle, path or a shape group).
+ */
+function getFlowchartShapeElement(nodeEl) {
+  return nodeEl.querySelector(':scope > .label-container, :scope > rect, :scope > polygon, :scope > circle, :scope > ellipse, :scope > path, :scope > g:not(.label)');
+}
+
+// Opening and closing brackets of each flowchart node shape
+const FLOWCHART_SHAPE_BRACKETS = {
+  rect: ['[', ']'],
+  round: ['(', ')'],
+  stadium: ['([', '])'],
+  subroutine: ['[[', ']]'],
+  cylinder: ['[(', ')]'],
+  circle: ['((', '))'],
+  doublecircle: ['(((', ')))'],
+  asymmetric: ['>', ']'],
+  rhombus: ['{', '}'],
+  hexagon: ['{{', '}}'],
+  lean_right: ['[/', '/]'],
+  lean_left: ['[\\', '\\]'],
+  trapezoid: ['[/', '\\]'],
+  inv_trapezoid: ['[\\', '/]']
+};
+
+/**
+ * Classify a flowchart node's shape from the geometry Mermaid drew for it.
+ *
+ * Polygons are told apart by their corner count and, for quadrilaterals, by how the top edge sits relative to the bottom edge; rects by their corner radius. Anything unrecognized is reported as a plain rectangle.
+ *
+ * @param {Element} nodeEl - A `g.node` group.
+ * @returns {string} A key of `FLOWCHART_SHAPE_BRACKETS`.
+ */
+function getFlowchartNodeShape(nodeEl) {
+  const circles = nodeEl.querySelectorAll('circle');
+  if (circles.length >= 2) return 'doublecircle';
+  if (circles.length === 1) return 'circle';
+
+  const shapeEl = getFlowchartShapeElement(nodeEl);
+  if (!shapeEl) return 'rect';
+  const tag = shapeEl.nodeName.toLowerCase();
+
+  if (tag === 'rect') {
+    const rx = parseFloat(shapeEl.getAttribute('rx')) || 0;
+    const height = parseFloat(shapeEl.getAttribute('height')) || 0;
+    if (rx <= 0) return 'rect';
+    return height > 0 && rx >= height / 2 - 1 ? 'stadium' : 'round';
+  }
+
+  if (tag === 'path') {
+    // Cylinders are two elliptical arcs joined by vertical sides
+    const d = shapeEl.getAttribute('d') || '';
+    return /[aA]/.test(d) && /l\s*0[\s,]/.test(d) ? 'cylinder' : 'rect';
+  }
+
+  if (tag !== 'polygon') return 'rect';
+
+  const numbers = (shapeEl.getAttribute('points') || '').match(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi) || [];
+  const points = [];
+  for (let i = 0; i + 1 < numbers.length; i += 2) {
+    const point = { x: Number(numbers[i]), y: Number(numbers[i + 1]) };
+    if (!points.some(p => Math.abs(p.x - point.x) < 0.5 && Math.abs(p.y - point.y) < 0.5)) points.push(point);
+  }
+
+  if (points.length === 8) return 'subroutine';
+  if (points.length === 6) return 'hexagon';
+  if (points.length === 5) return 'asymmetric';
+  if (points.length !== 4) return 'rect';
+
+  const minY = Math.min(...points.map(p => p.y));
+  const maxY = Math.max(...points.map(p => p.y));
+  const top = points.filter(p => Math.abs(p.y - minY) < 0.5).map(p => p.x);
+  const bottom = points.filter(p => Math.abs(p.y - maxY) < 0.5).map(p => p.x);
+  if (top.length !== 2 || bottom.length !== 2) return 'rhombus';
+
+  const topLeft = Math.min(...top), topRight = Math.max(...top);
+  const bottomLeft = Math.min(...bottom), bottomRight = Math.max(...bottom);
+  const tolerance = 0.5;
+  if (Math.abs((topRight - topLeft) - (bottomRight - bottomLeft)) < tolerance) {
+    if (Math.abs(topLeft - bottomLeft) < tolerance) return 'rect';
+    return topLeft > bottomLeft ? 'lean_right' : 'lean_left';
+  }
+  return topRight - topLeft < bottomRight - bottomLeft ? 'trapezoid' : 'inv_trapezoid';
+}
+
+/**
+ * Find the `>` that closes the generic parameter list opened at `open`.
+ * @param {string} text - The rendered text.
+ * @param {number} open - Index of the opening `<`.
+ * @returns {number} Index of the matching `>`, or -1 when the brackets are unbalanced or enclose something other
+ *   than type names (an arrow, a comparison, a parameter list).
+ */
+function findGenericClose(text, open) {
+  let depth = 0;
+  for (let index = open; index < text.length; index++) {
+    const char = text[index];
+    if (char === '<') depth += 1;
+    else if (char === '>') depth -= 1;
+    else if (!/[\w$.,?\s[\]]/.test(char)) return -1;
+    if (depth === 0) return index;
+  }
+  return -1;
+}
+
+/**
+ * Rewrite rendered generic brackets (`Map<K, List<V>>`) into Mermaid's tilde notation (`Map~K#44; List~V~~`).
+ *
+ * Only balanced `<…>` pairs right after a type name are converted, so arrows (`->`) and comparisons (`<=`) in a
+ * signature are kept. Mermaid does not accept commas inside generics, so they are written as the `#44;` entity code.
+ *
+ * @param {string} text - A class title, member or method as rendered.
+ * @returns {string} The text with generic brackets replaced by `~`, unchanged if it is an annotation such as `<<interface>>`.
+ */
+function toMermaidGenerics(text) {
+  if (/^\s*<<\w+>>\s*$/.test(text)) return text;
+  let result = '';
+  let index = 0;
+  while (index < text.length) {
+    const close = text[index] === '<' && /[\w$]$/.test(result) ? findGenericClose(text, index) : -1;
+    if (close === -1) {
+      result += text[index];
+      index += 1;
+      continue;
+    }
+    result += `~${toMermaidGenerics(text.slice(index + 1, close)).replace(/,/g, '#44;')}~`;
+    index = close + 1;
+  }
+  return result;
+}
+
 /**
  * Convert an SVG flowchart into Mermaid flowchart syntax.
  *
  * @param {SVGElement|null} svgElement - Root SVG element containing the flowchart; may be null.
- * @returns {string|null} A fenced Mermaid code block representing the flowchart (including nodes, clusters/subgraphs, edges, labels, and arrow styles), or `null` if conversion is not possible.
+ * @returns {string|null} A fenced Mermaid code block representing the flowchart (including nodes with their shapes, clusters/subgraphs, edges, labels, arrow styles, and `classDef`/`class`/`style`/`linkStyle` statements), or `null` if conversion is not possible.
  */
 function convertFlowchartSvgToMermaidText(svgElement) {
   if (!svgElement) return null;
@@ -1307,6 +1539,14 @@ function convertFlowchartSvgToMermaidText(svgElement) {
         
         let mermaidId = svgId.replace(/^flowchart-/, '').replace(/-\d+$/, '');
 
+        const shapeEl = getFlowchartShapeElement(nodeEl);
+        let computedPaint = null;
+        if (shapeEl) {
+            const computed = window.getComputedStyle(shapeEl);
+            computedPaint = { fill: computed.fill || '', stroke: computed.stroke || '' };
+        }
+        const shape = getFlowchartNodeShape(nodeEl);
+
         const bbox = nodeEl.getBoundingClientRect();
         if (bbox.width > 0 || bbox.height > 0) {
     nodes[svgId] = { 
@@ -1315,6 +1555,10 @@ function convertFlowchartSvgToMermaidText(svgElement) {
       text: textContent, 
                 svgId: svgId,
                 bbox: bbox,
+                classes: Array.from(nodeEl.classList).filter(cls => !['node', 'default', 'flowchart-label', 'clickable'].includes(cls)),
+                style: shapeEl ? normalizeCssDeclarations(shapeEl.getAttribute('style')) : [],
+                computedPaint,
+                shape,
             };
             allElements[svgId] = nodes[svgId];
         }
@@ -1379,6 +1623,7 @@ function convertFlowchartSvgToMermaidText(svgElement) {
     // 4. Process edges and assign to their lowest common ancestor cluster
     const edges = [];
     const edgeLabels = {};
+    const usedEdgeLabels = new Set();
     svgElement.querySelectorAll('g.edgeLabel').forEach(labelEl => {
         const labelCarrier = labelEl.querySelector('[data-id]') || labelEl;
         const labelId = labelCarrier.getAttribute('data-id') || labelEl.getAttribute('data-id') || labelEl.id;
@@ -1475,6 +1720,7 @@ function convertFlowchartSvgToMermaidText(svgElement) {
         const edgeKey = path.getAttribute('data-id') || pathId;
         if (edgeKey && edgeLabels[edgeKey]?.text) {
             label = edgeLabels[edgeKey].text;
+            usedEdgeLabels.add(edgeKey);
         }
 
         if (!label) {
@@ -1483,6 +1729,7 @@ function convertFlowchartSvgToMermaidText(svgElement) {
                 if (totalLength > 0) {
                     const midPoint = path.getPointAtLength(totalLength / 2);
                     let closestLabel = null;
+                    let closestLabelId = null;
                     let closestDist = Infinity;
                     for (const labelId in edgeLabels) {
                         const currentLabel = edgeLabels[labelId];
@@ -1494,10 +1741,12 @@ function convertFlowchartSvgToMermaidText(svgElement) {
                         if (dist < closestDist) {
                             closestDist = dist;
                             closestLabel = currentLabel;
+                            closestLabelId = labelId;
                         }
                     }
                     if (closestLabel && closestDist < 90) {
                         label = closestLabel.text;
+                        usedEdgeLabels.add(closestLabelId);
                     }
                 }
             } catch (e) {
@@ -1523,7 +1772,8 @@ function convertFlowchartSvgToMermaidText(svgElement) {
             target: targetNode.mermaidId,
             label: safeLabel,
             baseArrow: arrow,
-            parentId: lca || 'root'
+            parentId: lca || 'root',
+            style: normalizeCssDeclarations(path.getAttribute('style'))
         });
     });
     
@@ -1532,7 +1782,8 @@ function convertFlowchartSvgToMermaidText(svgElement) {
   for (const svgId in nodes) {
     const node = nodes[svgId];
         if (!definedNodeMermaidIds.has(node.mermaidId)) {
-      mermaidCode += `${node.mermaidId}["${node.text}"]\n`;
+      const [open, close] = FLOWCHART_SHAPE_BRACKETS[node.shape] || FLOWCHART_SHAPE_BRACKETS.rect;
+      mermaidCode += `${node.mermaidId}${open}"${node.text}"${close}\n`;
             definedNodeMermaidIds.add(node.mermaidId);
         }
     }
@@ -1578,13 +1829,22 @@ function convertFlowchartSvgToMermaidText(svgElement) {
         const labelPart = edge.label ? `|"${edge.label}"|` : "";
         const edgeText = `${edge.source} ${arrow}${labelPart} ${edge.target}`;
 
-        edgeMap[parentId].push(edgeText);
+        edgeMap[parentId].push({ text: edgeText, style: edge.style });
     });
+
+    // linkStyle refers to edges by their position in the emitted code, so count them as they are written
+    const linkStyleLines = [];
+    let emittedEdgeCount = 0;
+    function emitEdge(edge, indent) {
+        mermaidCode += `${indent}${edge.text}\n`;
+        if (edge.style.length) {
+            linkStyleLines.push(`linkStyle ${emittedEdgeCount} ${edge.style.join(',')}`);
+        }
+        emittedEdgeCount += 1;
+    }
     
     // Add top-level edges
-    (edgeMap['root'] || []).forEach(edgeText => {
-        mermaidCode += `${edgeText}\n`;
-    });
+    (edgeMap['root'] || []).forEach(edge => emitEdge(edge, ''));
 
     function buildSubgraphOutput(clusterId) {
         const cluster = clusters[clusterId];
@@ -1600,9 +1860,7 @@ function convertFlowchartSvgToMermaidText(svgElement) {
         });
         
         // Render edges within this subgraph
-        (edgeMap[clusterId] || []).forEach(edgeText => {
-            mermaidCode += `    ${edgeText}\n`;
-        });
+        (edgeMap[clusterId] || []).forEach(edge => emitEdge(edge, '    '));
         
         // Render nested subgraphs
         childItems.filter(id => clusters[id]).forEach(subClusterId => {
@@ -1614,6 +1872,63 @@ function convertFlowchartSvgToMermaidText(svgElement) {
 
     const topLevelClusters = Object.keys(clusters).filter(id => !parentMap[id]);
     topLevelClusters.forEach(buildSubgraphOutput);
+
+    // 6. Styling: classDef/class from the embedded stylesheet, style from inline or computed paint, linkStyle from edges
+    const classDefs = parseFlowchartClassDefs(svgElement);
+    const styleLines = [];
+    const classMembers = {};
+    const nodeList = Object.values(nodes);
+
+    // Paint shared by most nodes is the theme default; only deviations are worth a style statement
+    const mostCommon = values => {
+        const counts = {};
+        values.filter(Boolean).forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+        return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || '';
+    };
+    const defaultFill = mostCommon(nodeList.map(n => n.computedPaint && n.computedPaint.fill));
+    const defaultStroke = mostCommon(nodeList.map(n => n.computedPaint && n.computedPaint.stroke));
+
+    const styledIds = new Set();
+    nodeList.forEach(node => {
+        const nodeClasses = node.classes.filter(cls => classDefs[cls]);
+        nodeClasses.forEach(cls => {
+            if (!classMembers[cls]) classMembers[cls] = [];
+            if (!classMembers[cls].includes(node.mermaidId)) classMembers[cls].push(node.mermaidId);
+        });
+
+        // Mermaid may repeat class declarations inline; keep only what the classes do not already explain
+        const fromClasses = new Set(nodeClasses.flatMap(cls => classDefs[cls]).concat(classDefs['default'] || []));
+        let ownStyle = node.style.filter(decl => !fromClasses.has(decl));
+
+        if (!ownStyle.length && !nodeClasses.length && node.computedPaint && nodeList.length > 1) {
+            const { fill, stroke } = node.computedPaint;
+            if (fill && fill !== defaultFill) ownStyle.push(`fill:${fill}`);
+            if (stroke && stroke !== defaultStroke) ownStyle.push(`stroke:${stroke}`);
+            ownStyle = normalizeCssDeclarations(ownStyle.join(';'));
+        }
+
+        if (ownStyle.length && !styledIds.has(node.mermaidId)) {
+            styledIds.add(node.mermaidId);
+            styleLines.push(`style ${node.mermaidId} ${ownStyle.join(',')}`);
+        }
+    });
+
+    const classDefLines = Object.keys(classDefs)
+        .filter(cls => classMembers[cls] || cls === 'default')
+        .map(cls => `classDef ${cls} ${classDefs[cls].join(',')}`);
+    const classLines = Object.keys(classMembers).map(cls => `class ${classMembers[cls].join(',')} ${cls}`);
+    const stylingLines = [...classDefLines, ...classLines, ...styleLines, ...linkStyleLines];
+    if (stylingLines.length) {
+        mermaidCode += '\n' + stylingLines.join('\n') + '\n';
+    }
+
+    recordDiagramStats({
+        nodesRendered: svgElement.querySelectorAll('g.node').length,
+        nodesFound: Object.keys(nodes).length,
+        edgesRendered: svgElement.querySelectorAll('path.flowchart-link').length,
+        edgesMatched: edges.length,
+        labelsDropped: Object.keys(edgeLabels).filter(id => !usedEdgeLabels.has(id)).length
+    });
   
   if (Object.keys(nodes).length === 0 && Object.keys(clusters).length === 0) return null;
   return '```mermaid\n' + mermaidCode.trim() + '\n```';
@@ -1653,9 +1968,15 @@ function convertClassDiagramSvgToMermaidText(svgElement) {
       }
     }
 
+    // Generic parameters only survive in the rendered title ("List<T>"); Mermaid writes them as List~T~
+    const titleElem = node.querySelector('g.label-group foreignObject span.nodeLabel p, g.label-group foreignObject div p, g.label-group text');
+    const titleText = titleElem ? titleElem.textContent.trim() : '';
+    const genericMatch = titleText.match(/^[^<]*<(.+)>$/);
+
     if (!classData[className]) {
         classData[className] = { 
             stereotype: "", 
+            generic: genericMatch ? toMermaidGenerics(genericMatch[1]).replace(/,/g, '#44;') : "",
             members: [], 
             methods: [], 
             svgId: classIdSvg, 
@@ -1667,18 +1988,46 @@ function convertClassDiagramSvgToMermaidText(svgElement) {
     }
     const stereotypeElem = node.querySelector('g.annotation-group.text foreignObject span.nodeLabel p, g.annotation-group.text foreignObject div p');
     if (stereotypeElem && stereotypeElem.textContent.trim()) {
-        classData[className].stereotype = stereotypeElem.textContent.trim();
+        // Rendered as «interface»; the source form is <<interface>>
+        const annotation = stereotypeElem.textContent.trim().replace(/^(?:«|<<)\s*|\s*(?:»|>>)$/g, '');
+        classData[className].stereotype = `<<${annotation}>>`;
     }
     node.querySelectorAll('g.members-group.text g.label foreignObject span.nodeLabel p, g.members-group.text g.label foreignObject div p').forEach(m => {
       const txt = m.textContent.trim();
-      if (txt) classData[className].members.push(txt);
+      if (txt) classData[className].members.push(toMermaidGenerics(txt));
     });
     node.querySelectorAll('g.methods-group.text g.label foreignObject span.nodeLabel p, g.methods-group.text g.label foreignObject div p').forEach(m => {
       const txt = m.textContent.trim();
-      if (txt) classData[className].methods.push(txt);
+      if (txt) classData[className].methods.push(toMermaidGenerics(txt));
     });
   });
 
+  // 1b. Namespaces are drawn as clusters around their classes
+  const namespaces = [];
+  svgElement.querySelectorAll('g.cluster').forEach(clusterEl => {
+    const rect = clusterEl.querySelector(':scope > rect');
+    if (!rect) return;
+    const offset = getSvgOffsetWithin(clusterEl, svgElement);
+    const x = parseFloat(rect.getAttribute('x')) + offset.x;
+    const y = parseFloat(rect.getAttribute('y')) + offset.y;
+    const width = parseFloat(rect.getAttribute('width'));
+    const height = parseFloat(rect.getAttribute('height'));
+    if ([x, y, width, height].some(isNaN)) return;
+
+    const labelEl = clusterEl.querySelector('.cluster-label, .label');
+    const name = (labelEl && labelEl.textContent.trim()) || clusterEl.id.replace(/^cluster[-_]?/, '');
+    if (!name) return;
+    namespaces.push({ name: name.replace(/\s+/g, '_'), x1: x, y1: y, x2: x + width, y2: y + height, classes: [] });
+  });
+  for (const className in classData) {
+    const data = classData[className];
+    // Innermost cluster wins; Mermaid does not nest namespaces, so one level is enough
+    const owner = namespaces
+      .filter(ns => data.x >= ns.x1 && data.x <= ns.x2 && data.y >= ns.y1 && data.y <= ns.y2)
+      .sort((a, b) => (a.x2 - a.x1) * (a.y2 - a.y1) - (b.x2 - b.x1) * (b.y2 - b.y1))[0];
+    if (owner) owner.classes.push(className);
+  }
+
   // 2. Parse Notes
   const notes = [];
   
@@ -1912,22 +2261,62 @@ function convertClassDiagramSvgToMermaidText(svgElement) {
   }
   
   // 5. Add Class Definitions
-  for (const className in classData) {
+  const pushClassDefinition = (className, indent) => {
     const data = classData[className];
+    mermaidLines.push(`${indent}class ${className}${data.generic ? `~${data.generic}~` : ''} {`);
     if (data.stereotype) {
-        mermaidLines.push(`    class ${className} {`);
-        mermaidLines.push(`        ${data.stereotype}`);
-    } else {
-        mermaidLines.push(`    class ${className} {`);
+        mermaidLines.push(`${indent}    ${data.stereotype}`);
     }
-    data.members.forEach(member => { mermaidLines.push(`        ${member}`); });
-    data.methods.forEach(method => { mermaidLines.push(`        ${method}`); });
+    data.members.forEach(member => { mermaidLines.push(`${indent}    ${member}`); });
+    data.methods.forEach(method => { mermaidLines.push(`${indent}    ${method}`); });
+    mermaidLines.push(`${indent}}`);
+  };
+  const namespacedClasses = new Set(namespaces.flatMap(ns => ns.classes));
+  namespaces.filter(ns => ns.classes.length).forEach(ns => {
+    mermaidLines.push(`    namespace ${ns.name} {`);
+    ns.classes.forEach(className => pushClassDefinition(className, '        '));
     mermaidLines.push('    }');
+  });
+  for (const className in classData) {
+    if (!namespacedClasses.has(className)) pushClassDefinition(className, '    ');
   }
 
+  // 5b. Multiplicity labels ("1", "0..*") are drawn in edgeTerminals groups next to a relation end
   const pathElements = Array.from(svgElement.querySelectorAll('path.relation[id^="id_"]'));
+  const pathEnds = pathElements.map(path => {
+    const endpoints = getSvgPathEndpoints(path.getAttribute('d'));
+    if (!endpoints) return null;
+    const offset = getSvgOffsetWithin(path.parentElement, svgElement);
+    return {
+      start: { x: endpoints.start.x + offset.x, y: endpoints.start.y + offset.y, label: '' },
+      end: { x: endpoints.end.x + offset.x, y: endpoints.end.y + offset.y, label: '' }
+    };
+  });
+  let terminalsDropped = 0;
+  svgElement.querySelectorAll('g.edgeTerminals').forEach(terminalEl => {
+    const text = terminalEl.textContent.trim();
+    if (!text) return;
+    const pos = getSvgOffsetWithin(terminalEl, svgElement);
+    let closest = null;
+    let minDist = Infinity;
+    pathEnds.forEach(ends => {
+      if (!ends) return;
+      [ends.start, ends.end].forEach(end => {
+        const dist = Math.hypot(end.x - pos.x, end.y - pos.y);
+        if (!end.label && dist < minDist) {
+          minDist = dist;
+          closest = end;
+        }
+      });
+    });
+    if (closest && minDist < 60) closest.label = text.replace(/"/g, "'");
+    else terminalsDropped++;
+  });
+
   const labelElements = Array.from(svgElement.querySelectorAll('g.edgeLabels .edgeLabel foreignObject p'));
 
+  let relationsEmitted = 0;
+  let labelsEmitted = 0;
   pathElements.forEach((path, index) => {
     const id = path.getAttribute('id'); 
     if (!id || !id.startsWith('id_')) return;
@@ -2056,11 +2445,35 @@ function convertClassDiagramSvgToMermaidText(svgElement) {
     const labelText = (labelElements[index] && labelElements[index].textContent) ? 
                        labelElements[index].textContent.trim() : "";
     
+    // Put each multiplicity next to the class whose end it was drawn at
+    const ends = pathEnds[index];
+    const relationParts = relationshipType.split(' ');
+    if (ends && relationParts.length === 3 && (ends.start.label || ends.end.label)) {
+        const cardinalityFor = name => {
+            const label = name === fromClass ? ends.start.label : (name === toClass ? ends.end.label : '');
+            return label ? `"${label}"` : '';
+        };
+        const left = cardinalityFor(relationParts[0]);
+        const right = fromClass === toClass ? ends.end.label && `"${ends.end.label}"` : cardinalityFor(relationParts[2]);
+        relationshipType = [relationParts[0], left, relationParts[1], right, relationParts[2]].filter(Boolean).join(' ');
+    }
+
     if (relationshipType) {
         mermaidLines.push(`    ${relationshipType}${labelText ? ' : ' + labelText : ''}`);
+        relationsEmitted += 1;
+        if (labelText) labelsEmitted += 1;
     }
   });
 
+  recordDiagramStats({
+    nodesRendered: svgElement.querySelectorAll('g.node[id^="classId-"]').length,
+    nodesFound: Object.keys(classData).length,
+    edgesRendered: pathElements.length,
+    edgesMatched: relationsEmitted,
+    labelsDropped: Math.max(0, labelElements.filter(el => el.textContent.trim()).length - labelsEmitted) + terminalsDropped,
+    notesUnattached: notes.filter(note => !noteTargets[note.id]).length
+  });
+
   if (mermaidLines.length <= 1 && Object.keys(classData).length === 0 && notes.length === 0) return null;
   return '```mermaid\n' + mermaidLines.join('\n') + '\n```';
 }
@@ -2267,10 +2680,74 @@ function convertSequenceDiagramSvgToMermaidText(svgElement) {
         }
     }
 
-    // 5. Parse loop areas
-    const loops = [];
+    // 5. Parse control frames (loop/alt/opt/par/critical/break/rect)
+    // Each frame is a <g> holding four solid loopLines, a labelBox/labelText with the kind and loopText
+    // conditions; dashed loopLines inside the box separate alt/par/critical sections.
+    const SECTION_KEYWORDS = { alt: 'else', par: 'and', par_over: 'and', critical: 'option' };
+    const frames = [];
+    const parseNum = value => parseFloat(value);
+    const stripBrackets = text => text.replace(/^\[|\]$/g, '').trim();
+
+    svgElement.querySelectorAll('text.labelText').forEach(labelEl => {
+        const frameGroup = labelEl.closest('g');
+        if (!frameGroup) return;
+        const kind = labelEl.textContent.trim().toLowerCase();
+        if (!/^(loop|alt|opt|par|par_over|critical|break)$/.test(kind)) return;
+
+        const solid = [];
+        const dashed = [];
+        frameGroup.querySelectorAll(':scope > line.loopLine').forEach(lineEl => {
+            const line = {
+                x1: parseNum(lineEl.getAttribute('x1')), y1: parseNum(lineEl.getAttribute('y1')),
+                x2: parseNum(lineEl.getAttribute('x2')), y2: parseNum(lineEl.getAttribute('y2'))
+            };
+            if ([line.x1, line.y1, line.x2, line.y2].some(isNaN)) return;
+            const isDashed = lineEl.hasAttribute('stroke-dasharray') || /stroke-dasharray/.test(lineEl.getAttribute('style') || '');
+            (isDashed ? dashed : solid).push(line);
+        });
+        if (solid.length < 2) return;
+
+        const xs = solid.flatMap(l => [l.x1, l.x2]);
+        const ys = solid.flatMap(l => [l.y1, l.y2]);
+        const frame = {
+            kind,
+            xMin: Math.min(...xs), xMax: Math.max(...xs),
+            yMin: Math.min(...ys), yMax: Math.max(...ys),
+            text: '',
+            sections: dashed.filter(l => Math.abs(l.y1 - l.y2) < 1).map(l => ({ y: l.y1, text: '' })).sort((a, b) => a.y - b.y)
+        };
+
+        // First condition belongs to the frame header, the rest to the section below each separator
+        const conditions = Array.from(frameGroup.querySelectorAll(':scope > text.loopText'))
+            .map(textEl => ({ text: stripBrackets(textEl.textContent.trim()), y: parseNum(textEl.getAttribute('y')) }))
+            .filter(c => !isNaN(c.y))
+            .sort((a, b) => a.y - b.y);
+        conditions.forEach(condition => {
+            const section = frame.sections.filter(sec => sec.y <= condition.y + 1).pop();
+            if (section && !section.text) {
+                section.text = condition.text;
+            } else if (!section && !frame.text) {
+                frame.text = condition.text;
+            }
+        });
+
+        frames.push(frame);
+    });
+
+    // Highlighted regions (`rect <color>`) have no label or lines, only a background rect.rect with their fill
+    svgElement.querySelectorAll('rect.rect').forEach(rectEl => {
+        const x = parseNum(rectEl.getAttribute('x'));
+        const y = parseNum(rectEl.getAttribute('y'));
+        const width = parseNum(rectEl.getAttribute('width'));
+        const height = parseNum(rectEl.getAttribute('height'));
+        const fill = (rectEl.getAttribute('fill') || '').trim();
+        if ([x, y, width, height].some(isNaN) || !fill) return;
+        frames.push({ kind: 'rect', xMin: x, xMax: x + width, yMin: y, yMax: y + height, text: fill, sections: [] });
+    });
+
+    // Older renderers draw a single unlabelled loop without the grouping
     const loopLines = svgElement.querySelectorAll('line.loopLine');
-    if (loopLines.length >= 4) {
+    if (!frames.some(frame => frame.kind !== 'rect') && loopLines.length >= 4) {
         const xs = Array.from(loopLines).map(line => [
             parseFloat(line.getAttribute('x1')),
             parseFloat(line.getAttribute('x2'))
@@ -2280,31 +2757,53 @@ function convertSequenceDiagramSvgToMermaidText(svgElement) {
             parseFloat(line.getAttribute('y2'))
         ]).flat();
         
-        const xMin = Math.min(...xs);
-        const xMax = Math.max(...xs);
-        const yMin = Math.min(...ys);
-        const yMax = Math.max(...ys);
-        
         let loopText = '';
         const loopTextEl = svgElement.querySelector('.loopText');
         if (loopTextEl) {
-            loopText = loopTextEl.textContent.trim();
+            loopText = stripBrackets(loopTextEl.textContent.trim());
         }
         
-        loops.push({ xMin, xMax, yMin, yMax, text: loopText });
-        console.log("Found loop:", loopText, "from y", yMin, "to", yMax); // DEBUG
+        frames.push({ kind: 'loop', xMin: Math.min(...xs), xMax: Math.max(...xs), yMin: Math.min(...ys), yMax: Math.max(...ys), text: loopText, sections: [] });
     }
 
-    // 6. Generate Mermaid code
+    // 6. Parse activation bars (rect.activation0, activation1, ... by nesting level)
+    const activations = [];
+    svgElement.querySelectorAll('rect[class*="activation"]').forEach(rectEl => {
+        const x = parseNum(rectEl.getAttribute('x'));
+        const y = parseNum(rectEl.getAttribute('y'));
+        const width = parseNum(rectEl.getAttribute('width'));
+        const height = parseNum(rectEl.getAttribute('height'));
+        if ([x, y, width, height].some(isNaN) || uniqueParticipants.length === 0) return;
+
+        const centerX = x + width / 2;
+        const participant = uniqueParticipants.reduce((best, p) =>
+            (Math.abs(p.x - centerX) < Math.abs(best.x - centerX) ? p : best));
+        activations.push({ participant: participant.name, yStart: y, yEnd: y + height });
+    });
+
+    // An activation starts/ends on a message; snap to that message so the statement follows it
+    const snapToMessage = y => {
+        let closest = null;
+        messages.forEach(msg => {
+            if (!closest || Math.abs(msg.y - y) < Math.abs(closest.y - y)) closest = msg;
+        });
+        return closest && Math.abs(closest.y - y) <= 15 ? closest.y : y;
+    };
+
+    // 7. Generate Mermaid code
     let mermaidOutput = "sequenceDiagram\n";
     
     // Add participants
     uniqueParticipants.forEach(p => {
         mermaidOutput += `  participant ${p.name}\n`;
     });
+    if (svgElement.querySelector('text.sequenceNumber')) {
+        mermaidOutput += "  autonumber\n";
+    }
     mermaidOutput += "\n";
 
-    // Sort all events by y coordinate (messages, notes, loops)
+    // Sort all events by y coordinate; the rank breaks ties so frames open before and close after their content
+    const EVENT_RANK = { frame_start: 0, section: 1, note: 2, message: 2, activate: 3, deactivate: 3, frame_end: 4 };
     const events = [];
     
     messages.forEach(msg => {
@@ -2315,41 +2814,77 @@ function convertSequenceDiagramSvgToMermaidText(svgElement) {
         events.push({ type: 'note', y: note.y, data: note });
     });
     
-    loops.forEach(loop => {
-        events.push({ type: 'loop_start', y: loop.yMin - 1, data: loop });
-        events.push({ type: 'loop_end', y: loop.yMax + 1, data: loop });
+    frames.forEach(frame => {
+        const area = (frame.xMax - frame.xMin) * (frame.yMax - frame.yMin);
+        events.push({ type: 'frame_start', y: frame.yMin, area, data: frame });
+        frame.sections.forEach(section => {
+            events.push({ type: 'section', y: section.y, area, data: { frame, text: section.text } });
+        });
+        events.push({ type: 'frame_end', y: frame.yMax, area, data: frame });
+    });
+
+    activations.forEach(activation => {
+        events.push({ type: 'activate', y: snapToMessage(activation.yStart), data: activation });
+        events.push({ type: 'deactivate', y: snapToMessage(activation.yEnd), data: activation });
     });
     
-    events.sort((a, b) => a.y - b.y);
+    events.sort((a, b) => {
+        if (a.y !== b.y) return a.y - b.y;
+        if (EVENT_RANK[a.type] !== EVENT_RANK[b.type]) return EVENT_RANK[a.type] - EVENT_RANK[b.type];
+        // Outer frames open first and close last
+        if (a.type === 'frame_start') return b.area - a.area;
+        if (a.type === 'frame_end') return a.area - b.area;
+        return 0;
+    });
     
     // Generate events
-    let loopStack = [];
+    const frameStack = [];
+    const indentFor = depth => '  '.repeat(depth + 1);
     events.forEach(event => {
-        if (event.type === 'loop_start') {
+        const indent = indentFor(frameStack.length);
+        if (event.type === 'frame_start') {
             const text = event.data.text ? ` ${event.data.text}` : '';
-            mermaidOutput += `  loop${text}\n`;
-            loopStack.push(event.data);
-        } else if (event.type === 'loop_end') {
-            if (loopStack.length > 0) {
-                mermaidOutput += `  end\n`;
-                loopStack.pop();
+            mermaidOutput += `${indent}${event.data.kind}${text}\n`;
+            frameStack.push(event.data);
+        } else if (event.type === 'section') {
+            if (frameStack[frameStack.length - 1] === event.data.frame) {
+                const keyword = SECTION_KEYWORDS[event.data.frame.kind] || 'else';
+                const text = event.data.text ? ` ${event.data.text}` : '';
+                mermaidOutput += `${indentFor(frameStack.length - 1)}${keyword}${text}\n`;
+            }
+        } else if (event.type === 'frame_end') {
+            const idx = frameStack.lastIndexOf(event.data);
+            if (idx !== -1) {
+                while (frameStack.length > idx) {
+                    frameStack.pop();
+                    mermaidOutput += `${indentFor(frameStack.length)}end\n`;
+                }
             }
         } else if (event.type === 'note') {
-            const indent = loopStack.length > 0 ? '  ' : '';
-            mermaidOutput += `${indent}  note over ${event.data.target}: ${event.data.text}\n`;
+            mermaidOutput += `${indent}note over ${event.data.target}: ${event.data.text}\n`;
         } else if (event.type === 'message') {
-            const indent = loopStack.length > 0 ? '  ' : '';
             const msg = event.data;
-            mermaidOutput += `${indent}  ${msg.from}${msg.arrow}${msg.to}: ${msg.text}\n`;
+            mermaidOutput += `${indent}${msg.from}${msg.arrow}${msg.to}: ${msg.text}\n`;
+        } else if (event.type === 'activate' || event.type === 'deactivate') {
+            mermaidOutput += `${indent}${event.type} ${event.data.participant}\n`;
         }
     });
     
-    // Close remaining loops
-    while (loopStack.length > 0) {
-        mermaidOutput += `  end\n`;
-        loopStack.pop();
+    // Close remaining frames
+    while (frameStack.length > 0) {
+        frameStack.pop();
+        mermaidOutput += `${indentFor(frameStack.length)}end\n`;
     }
 
+    recordDiagramStats({
+        nodesRendered: new Set(Array.from(svgElement.querySelectorAll('text.actor-box')).map(el => el.textContent.trim())).size,
+        nodesFound: uniqueParticipants.length,
+        edgesRendered: Math.max(messageLines.length, messageTexts.length),
+        edgesMatched: messages.length,
+        labelsDropped: Math.max(0, messageTexts.length - messages.length),
+        notesUnattached: Math.max(0, svgElement.querySelectorAll('rect.note').length - notes.length)
+    });
+
     if (uniqueParticipants.length === 0 && messages.length === 0) return null;
     console.log("Sequence diagram conversion completed. Participants:", uniqueParticipants.length, "Messages:", messages.length, "Notes:", notes.length); // DEBUG
     console.log("Generated sequence mermaid code:", mermaidOutput.substring(0, 200) + "..."); // DEBUG
@@ -2358,6 +2893,9 @@ function convertSequenceDiagramSvgToMermaidText(svgElement) {
 
 /**
  * Helper: Convert SVG State Diagram to Mermaid code
+ *
+ * Composite states and concurrent regions are recovered from the cluster groups that contain each state; fork/join bars, choice diamonds and notes are recognized from their shapes.
+ *
  * @param {SVGElement} svgElement - The SVG DOM element for the state diagram
  * @returns {string|null}
  */
@@ -2365,99 +2903,122 @@ function convertStateDiagramSvgToMermaidText(svgElement) {
     if (!svgElement) return null;
 
     console.log("Converting state diagram...");
-    
-    const nodes = [];
 
-    // 1. Parse all states
-    svgElement.querySelectorAll('g.node.statediagram-state').forEach(stateEl => {
-        const stateName = stateEl.querySelector('foreignObject .nodeLabel p, foreignObject .nodeLabel span')?.textContent.trim();
-        if (!stateName) return;
+    const toStateId = text => text.trim().replace(/[^\w\-.]+/g, '_').replace(/^_+|_+$/g, '');
 
-        const transform = stateEl.getAttribute('transform');
-        const rect = stateEl.querySelector('rect.basic.label-container');
-        if (!transform || !rect) return;
+    // Mermaid node ids look like "state-Idle-3"
+    function getSvgStateId(el) {
+        const match = (el.getAttribute('id') || '').match(/(?:^|-)state-(.+)-\d+$/);
+        return match ? toStateId(match[1]) : '';
+    }
 
-        const transformMatch = transform.match(/translate\(([^,]+),\s*([^)]+)\)/);
-        if (!transformMatch) return;
+    function getShapeBox(el) {
+        const offset = getSvgOffsetWithin(el, svgElement);
+        const rect = el.querySelector('rect');
+        if (rect) {
+            const x = parseFloat(rect.getAttribute('x')) || 0;
+            const y = parseFloat(rect.getAttribute('y')) || 0;
+            return {
+                x1: offset.x + x,
+                y1: offset.y + y,
+                x2: offset.x + x + (parseFloat(rect.getAttribute('width')) || 0),
+                y2: offset.y + y + (parseFloat(rect.getAttribute('height')) || 0)
+            };
+        }
+        const circle = el.querySelector('circle');
+        if (circle) {
+            const r = parseFloat(circle.getAttribute('r')) || 7;
+            const cx = parseFloat(circle.getAttribute('cx')) || 0;
+            const cy = parseFloat(circle.getAttribute('cy')) || 0;
+            return { x1: offset.x + cx - r, y1: offset.y + cy - r, x2: offset.x + cx + r, y2: offset.y + cy + r };
+        }
+        const shape = el.querySelector('polygon, path');
+        const numbers = shape ? (shape.getAttribute('points') || shape.getAttribute('d') || '').match(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi) : null;
+        if (numbers && numbers.length >= 4) {
+            const shift = parseSvgTranslate(shape);
+            const xs = numbers.filter((_, i) => i % 2 === 0).map(Number);
+            const ys = numbers.filter((_, i) => i % 2 === 1).map(Number);
+            return {
+                x1: offset.x + shift.x + Math.min(...xs),
+                y1: offset.y + shift.y + Math.min(...ys),
+                x2: offset.x + shift.x + Math.max(...xs),
+                y2: offset.y + shift.y + Math.max(...ys)
+            };
+        }
+        const r = 7; // Mermaid end circle radius is 7
+        return { x1: offset.x - r, y1: offset.y - r, x2: offset.x + r, y2: offset.y + r };
+    }
 
-        const tx = parseFloat(transformMatch[1]);
-        const ty = parseFloat(transformMatch[2]);
-        const rx = parseFloat(rect.getAttribute('x'));
-        const ry = parseFloat(rect.getAttribute('y'));
-        const width = parseFloat(rect.getAttribute('width'));
-        const height = parseFloat(rect.getAttribute('height'));
+    const containsPoint = (box, x, y) => x >= box.x1 && x <= box.x2 && y >= box.y1 && y <= box.y2;
+    const boxArea = box => (box.x2 - box.x1) * (box.y2 - box.y1);
 
-        nodes.push({
-            name: stateName,
-            x1: tx + rx,
-            y1: ty + ry,
-            x2: tx + rx + width,
-            y2: ty + ry + height
+    // 1. Parse composite states and their concurrent regions
+    const clusters = [];
+    svgElement.querySelectorAll('g.cluster').forEach(clusterEl => {
+        if (!clusterEl.querySelector('rect')) return;
+        const label = clusterEl.querySelector('.cluster-label .nodeLabel, .cluster-label text, .cluster-label')?.textContent.trim() || '';
+        const rawId = clusterEl.getAttribute('id') || '';
+        const isRegion = /divider/.test(clusterEl.getAttribute('class') || '') || /divider/.test(rawId) || !label;
+        clusters.push({
+            ...getShapeBox(clusterEl),
+            id: toStateId(rawId.replace(/^.*?state-/, '')) || toStateId(label),
+            label,
+            isRegion,
+            isCluster: true
         });
-        console.log(`Found State: ${stateName}`, nodes[nodes.length-1]);
-    });
-
-    // 2. Find start state
-    const startStateEl = svgElement.querySelector('g.node.default circle.state-start');
-    if (startStateEl) {
-        const startGroup = startStateEl.closest('g.node');
-        const transform = startGroup.getAttribute('transform');
-        const transformMatch = transform.match(/translate\(([^,]+),\s*([^)]+)\)/);
-        const r = parseFloat(startStateEl.getAttribute('r'));
-        if (transformMatch && r) {
-            const tx = parseFloat(transformMatch[1]);
-            const ty = parseFloat(transformMatch[2]);
-            nodes.push({
-                name: '[*]',
-                x1: tx - r,
-                y1: ty - r,
-                x2: tx + r,
-                y2: ty + r,
-                isSpecial: true
-            });
-            console.log("Found Start State", nodes[nodes.length-1]);
-        }
-    }
-
-    // 3. Find end state
-    svgElement.querySelectorAll('g.node.default').forEach(endGroup => {
-        if (endGroup.querySelectorAll('path').length >= 2) {
-             const transform = endGroup.getAttribute('transform');
-             if(transform) {
-                const transformMatch = transform.match(/translate\(([^,]+),\s*([^)]+)\)/);
-                if (transformMatch) {
-                    const tx = parseFloat(transformMatch[1]);
-                    const ty = parseFloat(transformMatch[2]);
-                    const r = 7; // Mermaid end circle radius is 7
-                    nodes.push({
-                        name: '[*]',
-                        x1: tx - r,
-                        y1: ty - r,
-                        x2: tx + r,
-                        y2: ty + r,
-                        isSpecial: true
-                    });
-                    console.log("Found End State", nodes[nodes.length-1]);
-                }
-            }
+    });
+    clusters.sort((a, b) => boxArea(a) - boxArea(b));
+
+    // The innermost cluster around a box, excluding the box itself
+    function findParentCluster(box) {
+        const cx = (box.x1 + box.x2) / 2;
+        const cy = (box.y1 + box.y2) / 2;
+        return clusters.find(cluster => cluster !== box && boxArea(cluster) > boxArea(box) && containsPoint(cluster, cx, cy)) || null;
+    }
+    clusters.forEach(cluster => { cluster.parent = findParentCluster(cluster); });
+
+    // 2. Parse all states, pseudo-states and notes
+    const nodes = [];
+    const notes = [];
+    let pseudoCount = 0;
+    svgElement.querySelectorAll('g.node').forEach(nodeEl => {
+        const labelText = nodeEl.querySelector('foreignObject .nodeLabel p, foreignObject .nodeLabel span, text')?.textContent.trim() || '';
+        const box = getShapeBox(nodeEl);
+        const className = nodeEl.getAttribute('class') || '';
+
+        if (/statediagram-note/.test(className)) {
+            if (labelText) notes.push({ ...box, text: labelText.replace(/\s+/g, ' ') });
+            return;
+        }
+
+        let kind;
+        if (nodeEl.querySelector('circle.state-end') || (!labelText && nodeEl.querySelectorAll('path').length >= 2 && !nodeEl.querySelector('polygon'))) {
+            kind = 'end';
+        } else if (nodeEl.querySelector('circle.state-start')) {
+            kind = 'start';
+        } else if (nodeEl.querySelector('.fork-join') || (!labelText && Math.min(box.x2 - box.x1, box.y2 - box.y1) <= 10 && Math.max(box.x2 - box.x1, box.y2 - box.y1) >= 30)) {
+            kind = 'fork-join';
+        } else if (!labelText && nodeEl.querySelector('polygon, path')) {
+            kind = 'choice';
+        } else if (labelText) {
+            kind = 'state';
+        } else {
+            return;
         }
+
+        const isSpecial = kind === 'start' || kind === 'end';
+        const id = isSpecial ? '[*]' : (getSvgStateId(nodeEl) || toStateId(labelText) || `${kind.replace('-', '_')}${++pseudoCount}`);
+        nodes.push({ ...box, id, label: labelText, kind, isSpecial, parent: findParentCluster(box) });
     });
+    if (nodes.length === 0) return null;
 
-    // 4. Get all labels
+    // 3. Get all labels
     const labels = [];
     svgElement.querySelectorAll('g.edgeLabel').forEach(labelEl => {
-        const text = labelEl.querySelector('foreignObject .edgeLabel p, foreignObject .edgeLabel span')?.textContent.trim().replace(/^"|"$/g, '');
-        const transform = labelEl.getAttribute('transform');
-        if (text && transform) {
-            const match = transform.match(/translate\(([^,]+),\s*([^)]+)\)/);
-            if (match) {
-                labels.push({
-                    text: text,
-                    x: parseFloat(match[1]),
-                    y: parseFloat(match[2])
-                });
-            }
-        }
+        const text = labelEl.querySelector('foreignObject .edgeLabel p, foreignObject .edgeLabel span, text')?.textContent.trim().replace(/^"|"$/g, '');
+        if (!text) return;
+        const position = getSvgOffsetWithin(labelEl, svgElement);
+        labels.push({ text: text, x: position.x, y: position.y });
     });
 
     function getDistanceToBox(px, py, box) {
@@ -2466,89 +3027,189 @@ function convertStateDiagramSvgToMermaidText(svgElement) {
         return Math.sqrt(dx * dx + dy * dy);
     }
 
+    // Transitions into a composite state end on its border, not inside it
+    function getDistanceToBorder(px, py, box) {
+        if (!containsPoint(box, px, py)) return getDistanceToBox(px, py, box);
+        return Math.min(px - box.x1, box.x2 - px, py - box.y1, box.y2 - py);
+    }
+
     function getDistance(x1, y1, x2, y2) {
         return Math.sqrt(Math.pow(x1 - x2, 2) + Math.pow(y1 - y2, 2));
     }
 
+    const composites = clusters.filter(cluster => !cluster.isRegion && cluster.id);
+    const targets = [...nodes, ...composites];
     const transitions = [];
+    const usedLabels = new Set();
 
-    // 5. Process paths
-    svgElement.querySelectorAll('path.transition').forEach(pathEl => {
-        const dAttr = pathEl.getAttribute('d');
-        if (!dAttr) return;
-
-        const startMatch = dAttr.match(/M\s*([^,\s]+)[,\s]+([^,\s]+)/);
-        // More robustly find the last coordinate pair in the d string
-        const pathSegments = dAttr.split(/[A-Za-z]/);
-        const lastSegment = pathSegments[pathSegments.length-1].trim();
-        const endCoords = lastSegment.split(/[\s,]+/).map(parseFloat);
-
-        if (!startMatch || endCoords.length < 2) return;
+    // 4. Process paths
+    svgElement.querySelectorAll('path.transition:not(.note-edge)').forEach(pathEl => {
+        const endpoints = getSvgPathEndpoints(pathEl.getAttribute('d'));
+        if (!endpoints) return;
 
-        const startX = parseFloat(startMatch[1]);
-        const startY = parseFloat(startMatch[2]);
-        const endX = endCoords[endCoords.length - 2];
-        const endY = endCoords[endCoords.length - 1];
+        const offset = getSvgOffsetWithin(pathEl.parentElement, svgElement);
+        const startX = endpoints.start.x + offset.x;
+        const startY = endpoints.start.y + offset.y;
+        const endX = endpoints.end.x + offset.x;
+        const endY = endpoints.end.y + offset.y;
 
         let sourceNode = null, targetNode = null;
         let minSourceDist = Infinity, minTargetDist = Infinity;
 
-        nodes.forEach(node => {
-            const distToStart = getDistanceToBox(startX, startY, node);
+        targets.forEach(node => {
+            const measure = node.isCluster ? getDistanceToBorder : getDistanceToBox;
+            const distToStart = measure(startX, startY, node);
             if (distToStart < minSourceDist) {
                 minSourceDist = distToStart;
                 sourceNode = node;
             }
-            const distToEnd = getDistanceToBox(endX, endY, node);
+            const distToEnd = measure(endX, endY, node);
             if (distToEnd < minTargetDist) {
                 minTargetDist = distToEnd;
                 targetNode = node;
             }
         });
 
-        let transitionLabel = '';
-        if (sourceNode && targetNode && (minSourceDist < 5) && (minTargetDist < 5)) {
-            // Find label
-            const midX = (startX + endX) / 2;
-            const midY = (startY + endY) / 2;
-            let closestLabel = null;
-            let minLabelDist = Infinity;
-
-            labels.forEach(label => {
-                const dist = getDistance(midX, midY, label.x, label.y);
-                if (dist < minLabelDist) {
-                    minLabelDist = dist;
-                    closestLabel = label;
-                }
-            });
+        if (!sourceNode || !targetNode || minSourceDist >= 5 || minTargetDist >= 5) return;
 
-            if (closestLabel && minLabelDist < 150) { // Arbitrary threshold, seems to work
-                transitionLabel = closestLabel.text;
-            }
-            
-            if(sourceNode === targetNode) return; // Ignore self-loops for now
-            
-            const newTransition = {
-                from: sourceNode.name,
-                to: targetNode.name,
-                label: transitionLabel
-            };
-            
-            // Avoid adding duplicates
-            if (!transitions.some(t => t.from === newTransition.from && t.to === newTransition.to && t.label === newTransition.label)) {
-                 transitions.push(newTransition);
+        // Find label
+        let transitionLabel = '';
+        const midX = (startX + endX) / 2;
+        const midY = (startY + endY) / 2;
+        let closestLabel = null;
+        let minLabelDist = Infinity;
+
+        labels.forEach(label => {
+            const dist = getDistance(midX, midY, label.x, label.y);
+            if (dist < minLabelDist) {
+                minLabelDist = dist;
+                closestLabel = label;
             }
+        });
+
+        if (closestLabel && minLabelDist < 150) { // Arbitrary threshold, seems to work
+            transitionLabel = closestLabel.text;
+            usedLabels.add(closestLabel);
+        }
+
+        if (sourceNode === targetNode) return; // Ignore self-loops for now
+
+        // A transition lives in the innermost scope shared by both ends; [*] is scoped to its own composite
+        const pseudoEnd = [sourceNode, targetNode].find(node => node.isSpecial);
+        let scope = pseudoEnd ? pseudoEnd.parent : sourceNode.parent;
+        if (!pseudoEnd) {
+            const targetScopes = [];
+            for (let current = targetNode.parent; current; current = current.parent) targetScopes.push(current);
+            while (scope && !targetScopes.includes(scope)) scope = scope.parent;
         }
-    });
 
-    // 6. Generate Mermaid code
-    let mermaidCode = "stateDiagram-v2\n";
-    transitions.forEach(t => {
-        let line = `    ${t.from} --> ${t.to}`;
-        if (t.label) {
-            line += ` : "${t.label}"`;
+        const newTransition = {
+            from: sourceNode,
+            to: targetNode,
+            label: transitionLabel,
+            scope
+        };
+
+        // Avoid adding duplicates
+        if (!transitions.some(t => t.from === newTransition.from && t.to === newTransition.to && t.label === newTransition.label)) {
+             transitions.push(newTransition);
         }
-        mermaidCode += line + '\n';
+    });
+
+    // 5. Forks split one incoming transition, joins merge several
+    nodes.filter(node => node.kind === 'fork-join').forEach(node => {
+        const incoming = transitions.filter(t => t.to === node).length;
+        const outgoing = transitions.filter(t => t.from === node).length;
+        node.kind = outgoing >= incoming ? 'fork' : 'join';
+    });
+
+    // 6. Attach notes to the state their connector (or, failing that, proximity) points at
+    const noteEdges = Array.from(svgElement.querySelectorAll('path.note-edge')).map(pathEl => {
+        const endpoints = getSvgPathEndpoints(pathEl.getAttribute('d'));
+        if (!endpoints) return null;
+        const offset = getSvgOffsetWithin(pathEl.parentElement, svgElement);
+        return [
+            { x: endpoints.start.x + offset.x, y: endpoints.start.y + offset.y },
+            { x: endpoints.end.x + offset.x, y: endpoints.end.y + offset.y }
+        ];
+    }).filter(Boolean);
+    const namedStates = nodes.filter(node => !node.isSpecial);
+    notes.forEach(note => {
+        const edge = noteEdges.find(points => points.some(p => getDistanceToBox(p.x, p.y, note) < 5));
+        const anchor = edge ? edge.find(p => getDistanceToBox(p.x, p.y, note) >= 5) : null;
+        let closest = null;
+        let minDist = Infinity;
+        namedStates.forEach(state => {
+            const dist = anchor
+                ? getDistanceToBox(anchor.x, anchor.y, state)
+                : getDistanceToBox((note.x1 + note.x2) / 2, (note.y1 + note.y2) / 2, state);
+            if (dist < minDist) {
+                minDist = dist;
+                closest = state;
+            }
+        });
+        if (!closest || (anchor && minDist >= 5)) return;
+        note.target = closest;
+        note.side = (note.x1 + note.x2) / 2 < (closest.x1 + closest.x2) / 2 ? 'left' : 'right';
+    });
+
+    // 7. Generate Mermaid code, one scope (root, composite state or concurrent region) at a time
+    const referenced = new Set(transitions.flatMap(t => [t.from, t.to]));
+    const lines = [];
+    function emitScope(scope, indent) {
+        nodes.filter(node => node.parent === scope && !node.isSpecial).forEach(node => {
+            if (node.kind === 'fork' || node.kind === 'join' || node.kind === 'choice') {
+                lines.push(`${indent}state ${node.id} <<${node.kind}>>`);
+            } else if (node.label !== node.id) {
+                lines.push(`${indent}state "${node.label.replace(/"/g, "'")}" as ${node.id}`);
+            } else if (!referenced.has(node)) {
+                lines.push(`${indent}${node.id}`);
+            }
+        });
+
+        composites.filter(cluster => cluster.parent === scope).forEach(cluster => {
+            const header = cluster.label && cluster.label !== cluster.id
+                ? `state "${cluster.label.replace(/"/g, "'")}" as ${cluster.id} {`
+                : `state ${cluster.id} {`;
+            lines.push(`${indent}${header}`);
+            const regions = clusters
+                .filter(region => region.isRegion && region.parent === cluster)
+                .sort((a, b) => a.y1 - b.y1 || a.x1 - b.x1);
+            if (regions.length > 0) {
+                regions.forEach((region, index) => {
+                    if (index > 0) lines.push(`${indent}    --`);
+                    emitScope(region, `${indent}    `);
+                });
+                // Anything spanning regions has nowhere better to go than the last one
+                emitScope(cluster, `${indent}    `);
+            } else {
+                emitScope(cluster, `${indent}    `);
+            }
+            lines.push(`${indent}}`);
+        });
+
+        transitions.filter(t => t.scope === scope).forEach(t => {
+            let line = `${indent}${t.from.id} --> ${t.to.id}`;
+            if (t.label) {
+                line += ` : "${t.label}"`;
+            }
+            lines.push(line);
+        });
+
+        notes.filter(note => note.target && note.target.parent === scope).forEach(note => {
+            lines.push(`${indent}note ${note.side} of ${note.target.id} : ${note.text}`);
+        });
+    }
+    emitScope(null, '    ');
+    const mermaidCode = "stateDiagram-v2\n" + lines.join('\n');
+
+    recordDiagramStats({
+        nodesRendered: svgElement.querySelectorAll('g.node.statediagram-state').length,
+        nodesFound: nodes.filter(node => node.kind === 'state').length,
+        edgesRendered: svgElement.querySelectorAll('path.transition:not(.note-edge)').length,
+        edgesMatched: transitions.length,
+        labelsDropped: labels.filter(label => !usedLabels.has(label)).length,
+        notesUnattached: notes.filter(note => !note.target).length
     });
 
     if (transitions.length === 0) return null;
@@ -2558,399 +3219,2595 @@ function convertStateDiagramSvgToMermaidText(svgElement) {
     
     return '```mermaid\n' + mermaidCode.trim() + '\n```';
 }
-// Helper function: recursively process nodes
-function processNode(node) {
-  // console.log("processNode START:", node.nodeName, node.nodeType, node.textContent ? node.textContent.substring(0,50) : ''); // DEBUG
-  let resultMd = "";
 
-  if (node.nodeType === Node.TEXT_NODE) {
-    if (node.parentNode && node.parentNode.nodeName === 'PRE') { return node.textContent; }
-    // Fix: For normal text nodes, avoid consecutive blank lines being converted to a single newline, 
-    // then having \n\n added by outer logic causing too many empty lines
-    // Simply return the text and let the parent block element handle the trailing \n\n
-    return node.textContent;
-  }
+/**
+ * Read the `translate(x, y)` offset from an SVG element's `transform` attribute.
+ * @param {Element|null} element - The SVG element to inspect.
+ * @returns {{x: number, y: number}} The translation, or `{x: 0, y: 0}` when none is present.
+ */
+function parseSvgTranslate(element) {
+    const transform = element ? element.getAttribute('transform') : null;
+    const match = transform ? transform.match(/translate\(\s*([^,\s)]+)[,\s]*([^)\s]*)\s*\)/) : null;
+    if (!match) return { x: 0, y: 0 };
+    return { x: parseFloat(match[1]) || 0, y: parseFloat(match[2]) || 0 };
+}
 
-  if (node.nodeType !== Node.ELEMENT_NODE) return "";
+/**
+ * Compute the bounding box of an SVG group in its parent's coordinate space.
+ *
+ * Combines the group's own `translate()` with the local box of its content (`getBBox()`), falling back to the first `rect` child's attributes when no layout information is available.
+ *
+ * @param {Element} element - The SVG group to measure.
+ * @returns {{x1: number, y1: number, x2: number, y2: number}} The box corners.
+ */
+function getSvgGroupBox(element) {
+    const offset = parseSvgTranslate(element);
+    let bbox = null;
+    try {
+        bbox = element.getBBox();
+    } catch (e) {
+        // ignore
+    }
+    if (!bbox || !(bbox.width || bbox.height)) {
+        const rect = element.querySelector('rect');
+        bbox = {
+            x: parseFloat(rect?.getAttribute('x')) || 0,
+            y: parseFloat(rect?.getAttribute('y')) || 0,
+            width: parseFloat(rect?.getAttribute('width')) || 0,
+            height: parseFloat(rect?.getAttribute('height')) || 0
+        };
+    }
+    return {
+        x1: offset.x + bbox.x,
+        y1: offset.y + bbox.y,
+        x2: offset.x + bbox.x + bbox.width,
+        y2: offset.y + bbox.y + bbox.height
+    };
+}
 
-  const element = node;
-  const style = window.getComputedStyle(element);
+/**
+ * Extract the first and last coordinate pairs from an SVG path `d` attribute.
+ * @param {string|null} dAttr - The path data.
+ * @returns {{start: {x: number, y: number}, end: {x: number, y: number}}|null} The endpoints, or `null` when the path has fewer than two coordinates.
+ */
+function getSvgPathEndpoints(dAttr) {
+    const numbers = (dAttr || '').match(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi);
+    if (!numbers || numbers.length < 2) return null;
+    const values = numbers.map(Number);
+    return {
+        start: { x: values[0], y: values[1] },
+        end: { x: values[values.length - 2], y: values[values.length - 1] }
+    };
+}
 
-  if (
-    (style.display === "none" || style.visibility === "hidden") &&
-    !["DETAILS", "SUMMARY"].includes(element.nodeName)
-  ) {
-    return "";
-  }
+/**
+ * Helper: Convert SVG ER Diagram to Mermaid code
+ * @param {SVGElement} svgElement - The SVG DOM element for the entity relationship diagram
+ * @returns {string|null}
+ */
+function convertErDiagramSvgToMermaidText(svgElement) {
+    if (!svgElement) return null;
 
-  if (element.matches('button, [role="button"], nav, footer, aside, script, style, noscript, iframe, embed, object, header')) { // Added header to general skip
-      return "";
-  }
-  if (element.classList.contains("bg-input-dark") && element.querySelector("svg")){ // Your specific rule
-    return "";
-  }
+    const entities = [];
 
+    // 1. Parse entities (v10 renders g#entity-NAME-UUID, newer renderers use g.node)
+    const entityGroups = Array.from(svgElement.querySelectorAll('g[id^="entity-"], g.node[id*="entity-"]'))
+        .filter(group => !group.parentElement?.closest('g[id^="entity-"], g.node[id*="entity-"]'));
 
-  // Main logic wrapped in try...catch to catch errors when processing specific nodes
-  try {
-    switch (element.nodeName) {
-      case "P": {
-        let txt = "";
-        element.childNodes.forEach((c) => {
-            try { txt += processNode(c); } catch (e) { console.error("Error processing child of P:", c, e); txt += "[err]";}
+    entityGroups.forEach(group => {
+        const labelEl = group.querySelector('text.entityLabel:not([id*="-attr-"]), g.label.name, .name .nodeLabel, .nodeLabel');
+        const name = labelEl ? labelEl.textContent.trim() : '';
+        if (!name) return;
+
+        // Attribute rows: v10 encodes the row and column in the text id, newer renderers use classed label groups
+        const rows = {};
+        group.querySelectorAll('text[id*="-attr-"]').forEach(textEl => {
+            const match = textEl.id.match(/-attr-(\d+)-(type|name|keys?|comment)$/);
+            if (!match) return;
+            if (!rows[match[1]]) rows[match[1]] = {};
+            rows[match[1]][match[2].replace(/s$/, '')] = textEl.textContent.trim();
         });
-        txt = txt.trim();
-        if (txt.startsWith("```mermaid") && txt.endsWith("```")) { // Already processed as Mermaid
-          resultMd = txt + "\n\n";
-        } else if (txt) {
-          resultMd = txt + "\n\n";
-        } else {
-          resultMd = "\n"; // Keep empty P tag as a newline if needed
+        if (Object.keys(rows).length === 0) {
+            ['type', 'name', 'keys', 'comment'].forEach(column => {
+                group.querySelectorAll(`.attribute-${column}`).forEach(cellEl => {
+                    const text = cellEl.textContent.trim();
+                    if (!text) return;
+                    const rowKey = Math.round(parseSvgTranslate(cellEl).y);
+                    if (!rows[rowKey]) rows[rowKey] = {};
+                    rows[rowKey][column.replace(/s$/, '')] = text;
+                });
+            });
         }
-        break;
-      }
-      case "H1": resultMd = (element.textContent.trim() ? `# ${element.textContent.trim()}\n\n` : ""); break;
-      case "H2": resultMd = (element.textContent.trim() ? `## ${element.textContent.trim()}\n\n` : ""); break;
-      case "H3": resultMd = (element.textContent.trim() ? `### ${element.textContent.trim()}\n\n` : ""); break;
-      case "H4": resultMd = (element.textContent.trim() ? `#### ${element.textContent.trim()}\n\n` : ""); break;
-      case "H5": resultMd = (element.textContent.trim() ? `##### ${element.textContent.trim()}\n\n` : ""); break;
-      case "H6": resultMd = (element.textContent.trim() ? `###### ${element.textContent.trim()}\n\n` : ""); break;
-      case "UL": {
-        let list = "";
-        // Determine if it is a source-related ul
-        const isSourceList = (
-          (element.previousElementSibling && /source/i.test(element.previousElementSibling.textContent)) ||
-          (element.parentElement && /source/i.test(element.parentElement.textContent)) ||
-          element.classList.contains('source-list')
-        );
-        element.querySelectorAll(":scope > li").forEach((li) => {
-          let liTxt = "";
-          li.childNodes.forEach((c) => { try { liTxt += processNode(c); } catch (e) { console.error("Error processing child of LI:", c, e); liTxt += "[err]";}});
-          if (isSourceList) {
-            liTxt = liTxt.trim().replace(/\n+/g, ' '); // Merge source-related li into one line
-          } else {
-            liTxt = liTxt.trim().replace(/\n\n$/, "").replace(/^\n\n/, "");
-          }
-          if (liTxt) list += `* ${liTxt}\n`;
+
+        const attributes = Object.keys(rows)
+            .sort((a, b) => Number(a) - Number(b))
+            .map(key => rows[key])
+            .filter(row => row.type && row.name);
+
+        entities.push({ name, attributes, box: getSvgGroupBox(group) });
+    });
+
+    if (entities.length === 0) return null;
+
+    // 2. Parse relationship labels
+    const labels = [];
+    svgElement.querySelectorAll('text.relationshipLabel').forEach(textEl => {
+        const text = textEl.textContent.trim();
+        const x = parseFloat(textEl.getAttribute('x'));
+        const y = parseFloat(textEl.getAttribute('y'));
+        if (!isNaN(x) && !isNaN(y)) {
+            labels.push({ text, x, y });
+        }
+    });
+    if (labels.length === 0) {
+        svgElement.querySelectorAll('g.edgeLabel').forEach(labelEl => {
+            const text = labelEl.textContent.trim();
+            const offset = parseSvgTranslate(labelEl);
+            labels.push({ text, x: offset.x, y: offset.y });
         });
-        resultMd = list + (list ? "\n" : "");
-        break;
-      }
-      case "OL": {
-        let list = "";
-        let i = 1;
-        // Determine if it is a source-related ol
-        const isSourceList = (
-          (element.previousElementSibling && /source/i.test(element.previousElementSibling.textContent)) ||
-          (element.parentElement && /source/i.test(element.parentElement.textContent)) ||
-          element.classList.contains('source-list')
-        );
-        element.querySelectorAll(":scope > li").forEach((li) => {
-          let liTxt = "";
-          li.childNodes.forEach((c) => { try { liTxt += processNode(c); } catch (e) { console.error("Error processing child of LI:", c, e); liTxt += "[err]";}});
-          if (isSourceList) {
-            liTxt = liTxt.trim().replace(/\n+/g, ' ');
-          } else {
-            liTxt = liTxt.trim().replace(/\n\n$/, "").replace(/^\n\n/, "");
-          }
-          if (liTxt) {
-            list += `${i}. ${liTxt}\n`;
-            i++;
-          }
+    }
+
+    function getDistanceToBox(px, py, box) {
+        const dx = Math.max(box.x1 - px, 0, px - box.x2);
+        const dy = Math.max(box.y1 - py, 0, py - box.y2);
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    function findClosestEntity(point) {
+        let closest = null;
+        let minDist = Infinity;
+        entities.forEach(entity => {
+            const dist = getDistanceToBox(point.x, point.y, entity.box);
+            if (dist < minDist) {
+                minDist = dist;
+                closest = entity;
+            }
         });
-        resultMd = list + (list ? "\n" : "");
-        break;
-      }
-      case "PRE": {
-        const svgElement = element.querySelector('svg[id^="mermaid-"]');
-        let mermaidOutput = null;
+        return closest;
+    }
 
-        if (svgElement) {
-          const diagramTypeDesc = svgElement.getAttribute('aria-roledescription');
-          const diagramClass = svgElement.getAttribute('class');
+    // Marker ids look like ZERO_OR_MORE_START (v10) or mermaid-xyz_er-zeroOrMoreStart (v11)
+    const CARDINALITY_MARKERS = [
+        { key: 'zeroormore', start: '}o', end: 'o{' },
+        { key: 'oneormore', start: '}|', end: '|{' },
+        { key: 'zeroorone', start: '|o', end: 'o|' },
+        { key: 'onlyone', start: '||', end: '||' }
+    ];
+
+    function getCardinality(markerAttr, side) {
+        const normalized = (markerAttr || '').toLowerCase().replace(/[^a-z]/g, '');
+        const marker = CARDINALITY_MARKERS.find(m => normalized.includes(m.key));
+        return marker ? marker[side] : '||';
+    }
 
-          console.log("Found SVG in PRE: desc=", diagramTypeDesc, "class=", diagramClass); // DEBUG
-          if (diagramTypeDesc && diagramTypeDesc.includes('flowchart')) {
-            console.log("Trying to convert flowchart..."); // DEBUG
-            mermaidOutput = convertFlowchartSvgToMermaidText(svgElement);
-          } else if (diagramTypeDesc && diagramTypeDesc.includes('class')) {
-            console.log("Trying to convert class diagram..."); // DEBUG
-            mermaidOutput = convertClassDiagramSvgToMermaidText(svgElement);
-          } else if (diagramTypeDesc && diagramTypeDesc.includes('sequence')) {
-            console.log("Trying to convert sequence diagram..."); // DEBUG
-            mermaidOutput = convertSequenceDiagramSvgToMermaidText(svgElement);
-          } else if (diagramTypeDesc && diagramTypeDesc.includes('stateDiagram')) {
-            console.log("Trying to convert state diagram..."); // DEBUG
-            mermaidOutput = convertStateDiagramSvgToMermaidText(svgElement);
-          } else if (diagramClass && diagramClass.includes('flowchart')) {
-              console.log("Trying to convert flowchart by class..."); // DEBUG
-              mermaidOutput = convertFlowchartSvgToMermaidText(svgElement);
-          } else if (diagramClass && (diagramClass.includes('classDiagram') || diagramClass.includes('class'))) {
-              console.log("Trying to convert class diagram by class..."); // DEBUG
-              mermaidOutput = convertClassDiagramSvgToMermaidText(svgElement);
-          } else if (diagramClass && (diagramClass.includes('sequenceDiagram') || diagramClass.includes('sequence'))) {
-              console.log("Trying to convert sequence diagram by class..."); // DEBUG
-              mermaidOutput = convertSequenceDiagramSvgToMermaidText(svgElement);
-          } else if (diagramClass && (diagramClass.includes('statediagram') || diagramClass.includes('stateDiagram'))) {
-              console.log("Trying to convert state diagram by class..."); // DEBUG
-              mermaidOutput = convertStateDiagramSvgToMermaidText(svgElement);
-          }
-          
-          if (mermaidOutput) {
-            console.log("Successfully converted SVG to mermaid:", mermaidOutput.substring(0, 100) + "..."); // DEBUG
-          } else {
-            console.log("Failed to convert SVG, using fallback"); // DEBUG
-          }
+    // 3. Parse relationship lines
+    const relationships = [];
+    const usedLabels = new Set();
+    svgElement.querySelectorAll('path.relationshipLine').forEach(pathEl => {
+        const endpoints = getSvgPathEndpoints(pathEl.getAttribute('d'));
+        if (!endpoints) return;
+
+        const fromEntity = findClosestEntity(endpoints.start);
+        const toEntity = findClosestEntity(endpoints.end);
+        if (!fromEntity || !toEntity) return;
+
+        const style = pathEl.getAttribute('style') || '';
+        const cls = pathEl.getAttribute('class') || '';
+        const isDashed = Boolean(pathEl.getAttribute('stroke-dasharray')) ||
+                         style.includes('stroke-dasharray') ||
+                         cls.includes('dashed');
+
+        let midPoint = {
+            x: (endpoints.start.x + endpoints.end.x) / 2,
+            y: (endpoints.start.y + endpoints.end.y) / 2
+        };
+        try {
+            const totalLength = pathEl.getTotalLength();
+            if (totalLength > 0) {
+                midPoint = pathEl.getPointAtLength(totalLength / 2);
+            }
+        } catch (e) {
+            // ignore, keep straight-line midpoint
         }
 
-        if (mermaidOutput) {
-          resultMd = `\n${mermaidOutput}\n\n`;
-        } else {
-          const code = element.querySelector("code");
-          let lang = "";
-          let txt = "";
-          if (code) {
-            txt = code.textContent;
-            const cls = Array.from(code.classList).find((c) => c.startsWith("language-"));
-            if (cls) lang = cls.replace("language-", "");
-          } else {
-             txt = element.textContent;
-          }
-          if (!lang) {
-            const preCls = Array.from(element.classList).find((c) => c.startsWith("language-"));
-            if (preCls) lang = preCls.replace("language-", "");
-          }
-          // Auto-detect language if still not found
-          if (!lang && txt.trim()) {
-            lang = detectCodeLanguage(txt);
-          }
-          resultMd = `\`\`\`${lang}\n${txt.trim()}\n\`\`\`\n\n`;
-        }
-        break;
-      }
-      case "A": {
-        const href = element.getAttribute("href");
-        let initialTextFromNodes = ""; // Collect raw text from children first
-        element.childNodes.forEach(c => { 
-          try { 
-            initialTextFromNodes += processNode(c); 
-          } catch (e) { 
-            console.error("Error processing child of A:", c, e); 
-            initialTextFromNodes += "[err]";
-          }
+        let closestLabel = null;
+        let minLabelDist = Infinity;
+        labels.forEach(label => {
+            if (usedLabels.has(label)) return;
+            const dist = Math.sqrt(Math.pow(label.x - midPoint.x, 2) + Math.pow(label.y - midPoint.y, 2));
+            if (dist < minLabelDist) {
+                minLabelDist = dist;
+                closestLabel = label;
+            }
         });
-        let text = initialTextFromNodes.trim(); // This is the base text for further processing
-
-        if (!text && element.querySelector('img')) { // Handle img alt text if link content is empty
-            text = element.querySelector('img').alt || 'image';
+        if (closestLabel) {
+            usedLabels.add(closestLabel);
         }
-        // `text` is now the initial display text, possibly from content or image alt.
-        // `initialTextFromNodes` keeps the original structure for context like "Sources: [...]".
 
-        if (href && (href.startsWith('http') || href.startsWith('https') || href.startsWith('/') || href.startsWith('#') || href.startsWith('mailto:'))) {
-          
-          let finalLinkDisplayText = text; // Start with the current text, may be overwritten by line logic
+        relationships.push({
+            from: fromEntity.name,
+            to: toEntity.name,
+            fromCardinality: getCardinality(pathEl.getAttribute('marker-start'), 'start'),
+            toCardinality: getCardinality(pathEl.getAttribute('marker-end'), 'end'),
+            line: isDashed ? '..' : '--',
+            label: closestLabel ? closestLabel.text : ''
+        });
+    });
 
-          const lineInfoMatch = href.match(/#L(\d+)(?:-L(\d+))?$/);
+    // 4. Generate Mermaid code
+    const formatEntityName = name => (/^[A-Za-z_][\w-]*$/.test(name) ? name : `"${name.replace(/"/g, "'")}"`);
+    const relatedNames = new Set();
+    relationships.forEach(rel => {
+        relatedNames.add(rel.from);
+        relatedNames.add(rel.to);
+    });
 
-          if (lineInfoMatch) {
-                      const pathPart = href.substring(0, href.indexOf('#'));
-            let filenameFromPath = pathPart.substring(pathPart.lastIndexOf('/') + 1) || "link"; // Default filename
+    let mermaidCode = "erDiagram\n";
+    entities.forEach(entity => {
+        const entityName = formatEntityName(entity.name);
+        if (entity.attributes.length === 0) {
+            if (!relatedNames.has(entity.name)) {
+                mermaidCode += `    ${entityName}\n`;
+            }
+            return;
+        }
+        mermaidCode += `    ${entityName} {\n`;
+        entity.attributes.forEach(attr => {
+            let line = `        ${attr.type} ${attr.name}`;
+            if (attr.key) line += ` ${attr.key}`;
+            if (attr.comment) line += ` "${attr.comment.replace(/^"|"$/g, '').replace(/"/g, "'")}"`;
+            mermaidCode += line + '\n';
+        });
+        mermaidCode += "    }\n";
+    });
 
-            const startLine = lineInfoMatch[1];
-            const endLine = lineInfoMatch[2]; // This is the number after -L, or undefined
+    relationships.forEach(rel => {
+        const label = /^[A-Za-z_][\w-]*$/.test(rel.label) ? rel.label : `"${rel.label.replace(/"/g, "'")}"`;
+        mermaidCode += `    ${formatEntityName(rel.from)} ${rel.fromCardinality}${rel.line}${rel.toCardinality} ${formatEntityName(rel.to)} : ${label}\n`;
+    });
 
-            let displayFilename = filenameFromPath; // Start with filename from path
+    recordDiagramStats({
+        nodesRendered: entityGroups.length,
+        nodesFound: entities.length,
+        edgesRendered: svgElement.querySelectorAll('path.relationshipLine').length,
+        edgesMatched: relationships.length,
+        labelsDropped: labels.length - usedLabels.size
+    });
 
-            const trimmedInitialText = initialTextFromNodes.trim(); // Trim for reliable prefix/suffix checks
-            let textToParseForFilename = trimmedInitialText; 
+    return '```mermaid\n' + mermaidCode.trim() + '\n```';
+}
 
-            const isSourcesContext = trimmedInitialText.startsWith("Sources: [") && trimmedInitialText.endsWith("]");
+/**
+ * Sum the `translate()` offsets of an element and its ancestors up to (excluding) a root element.
+ * @param {Element} element - The SVG element to locate.
+ * @param {Element} root - The element whose coordinate space the result is expressed in.
+ * @returns {{x: number, y: number}} The accumulated offset.
+ */
+function getSvgOffsetWithin(element, root) {
+    const offset = { x: 0, y: 0 };
+    let current = element;
+    while (current && current !== root) {
+        const translate = parseSvgTranslate(current);
+        offset.x += translate.x;
+        offset.y += translate.y;
+        current = current.parentElement;
+    }
+    return offset;
+}
 
-            if (isSourcesContext) {
-                const sourcesContentMatch = trimmedInitialText.match(/^Sources:\s+\[(.*)\]$/);
-                if (sourcesContentMatch && sourcesContentMatch[1]) {
-                    textToParseForFilename = sourcesContentMatch[1].trim(); // Content inside "Sources: [...]"
-                }
-            }
+/**
+ * Collect the visible text of an SVG text element, joining wrapped `tspan` lines with spaces.
+ * @param {Element|null} textEl - The SVG `text` element (or a group containing one).
+ * @returns {string} The normalized text, or an empty string.
+ */
+function getSvgText(textEl) {
+    if (!textEl) return '';
+    const tspans = Array.from(textEl.querySelectorAll('tspan'));
+    const parts = tspans.length > 0 ? tspans.map(t => t.textContent) : [textEl.textContent];
+    return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
 
-            // Extract filename hint from (potentially sources-stripped) textToParseForFilename
-            // This regex targets the first part that looks like a filename.
-            const filenameHintMatch = textToParseForFilename.match(/^[\w\/\.-]+(?:\.\w+)?/);
-            if (filenameHintMatch && filenameHintMatch[0]) { // Use filenameHintMatch[0] for the matched string
-                // Verify this extracted filename by checking if it's part of the href's path
-                if (pathPart.includes(filenameHintMatch[0])) {
-                    displayFilename = filenameHintMatch[0];
-                }
-            }
-            
-            let lineRefText;
-            if (endLine && endLine !== startLine) { // Range like L10-L20
-              lineRefText = `L${startLine}-L${endLine}`;
-            } else { // Single line like L10, or L10-L10 treated as L10
-              lineRefText = `L${startLine}`;
-            }
+/**
+ * Helper: Convert SVG Gantt chart to Mermaid code
+ *
+ * Task dates are recovered by interpolating the axis tick labels; when the ticks cannot be parsed as dates the chart is emitted with `dateFormat X` using pixel positions, which keeps relative timing.
+ *
+ * @param {SVGElement} svgElement - The SVG DOM element for the Gantt chart
+ * @returns {string|null}
+ */
+function convertGanttSvgToMermaidText(svgElement) {
+    if (!svgElement) return null;
 
-            let constructedText = `${displayFilename} ${lineRefText}`;
+    // 1. Parse tasks
+    const tasks = [];
+    svgElement.querySelectorAll('rect.task, rect[class*="milestone"]').forEach(rectEl => {
+        const taskId = rectEl.id || '';
+        const x = parseFloat(rectEl.getAttribute('x'));
+        const y = parseFloat(rectEl.getAttribute('y'));
+        const width = parseFloat(rectEl.getAttribute('width'));
+        const height = parseFloat(rectEl.getAttribute('height'));
+        if (isNaN(x) || isNaN(width)) return;
+
+        let name = '';
+        const textEl = taskId ? svgElement.querySelector(`text[id="${taskId}-text"]`) : null;
+        if (textEl) {
+            name = getSvgText(textEl);
+        }
+        if (!name) return;
+
+        const cls = rectEl.getAttribute('class') || '';
+        // Task bars, section titles and axis ticks sit in differently translated groups; compare them in the SVG's own space
+        const offset = getSvgOffsetWithin(rectEl, svgElement);
+        tasks.push({
+            id: taskId,
+            name,
+            x: x + offset.x,
+            width,
+            centerY: (y || 0) + offset.y + (height || 0) / 2,
+            milestone: cls.includes('milestone'),
+            done: /\bdone/.test(cls),
+            active: /\bactive/.test(cls),
+            crit: /crit/i.test(cls)
+        });
+    });
 
-            if (isSourcesContext) {
-              finalLinkDisplayText = `Sources: [${constructedText}]`;
-            } else {
-              // If not a "Sources:" link, use the newly constructed clean text
-              finalLinkDisplayText = constructedText;
+    if (tasks.length === 0) return null;
+    tasks.sort((a, b) => a.centerY - b.centerY || a.x - b.x);
+
+    // 2. Build an x -> date scale from the axis ticks
+    let ticks = [];
+    let yearlessTicks = 0;
+    svgElement.querySelectorAll('g.tick').forEach(tickEl => {
+        const label = getSvgText(tickEl.querySelector('text'));
+        const time = Date.parse(label);
+        if (isNaN(time)) return;
+        // Date.parse guesses the year of labels like "Jan 05" (axisFormat %b %d)
+        if (!/\d{4}/.test(label)) {
+            yearlessTicks += 1;
+            return;
+        }
+        ticks.push({ x: getSvgOffsetWithin(tickEl, svgElement).x, time });
+    });
+    if (yearlessTicks > 0) {
+        ticks = [];
+        recordDiagramWarning('Gantt axis labels have no year; task dates were exported as pixel positions');
+    }
+    ticks.sort((a, b) => a.x - b.x);
+    const firstTick = ticks[0];
+    const lastTick = ticks[ticks.length - 1];
+    const hasDateScale = ticks.length >= 2 && lastTick.x > firstTick.x && lastTick.time !== firstTick.time;
+    const msPerPixel = hasDateScale ? (lastTick.time - firstTick.time) / (lastTick.x - firstTick.x) : 0;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    function formatDate(x) {
+        const date = new Date(firstTick.time + (x - firstTick.x) * msPerPixel);
+        return date.toISOString().slice(0, 10);
+    }
+
+    // 3. Assign tasks to sections: a section title is vertically centred on its task rows
+    const sections = [];
+    svgElement.querySelectorAll('text.sectionTitle').forEach(titleEl => {
+        const text = getSvgText(titleEl);
+        const y = parseFloat(titleEl.getAttribute('y'));
+        if (text && !isNaN(y)) {
+            sections.push({ text, y: y + getSvgOffsetWithin(titleEl, svgElement).y, tasks: [] });
+        }
+    });
+    sections.sort((a, b) => a.y - b.y);
+
+    let rowIndex = 0;
+    sections.forEach((section, sectionIndex) => {
+        if (rowIndex >= tasks.length) return;
+        const remainingSections = sections.length - sectionIndex - 1;
+        let bestEnd = rowIndex;
+        let bestDiff = Infinity;
+        for (let end = rowIndex; end < tasks.length - remainingSections; end++) {
+            const diff = Math.abs((tasks[rowIndex].centerY + tasks[end].centerY) / 2 - section.y);
+            if (diff < bestDiff) {
+                bestDiff = diff;
+                bestEnd = end;
             }
-          }
-          
-          // Fallback: if finalLinkDisplayText is empty (e.g. original text was empty and no lineInfoMatch)
-          // or if it became empty after processing, use href.
-          text = finalLinkDisplayText.trim() || (href ? href : ""); // Ensure text is not empty if href exists
-          
-          resultMd = `[${text}](${href})`;
-          if (window.getComputedStyle(element).display !== "inline") {
-              resultMd += "\n\n";
-          }
-        } else { 
-          // Non-http/s/... link, or no href. Fallback text if empty.
-          text = text.trim() || (href ? href : ""); 
-          resultMd = text; 
-          if (window.getComputedStyle(element).display !== "inline" && text.trim()) {
-              resultMd += "\n\n";
-          }
         }
-        break;
-      }
-      case "IMG":
-        if (element.closest && element.closest('a')) return "";
-        resultMd = (element.src ? `![${element.alt || ""}](${element.src})\n\n` : "");
-        break;
-      case "BLOCKQUOTE": {
-        let qt = "";
-        element.childNodes.forEach((c) => { try { qt += processNode(c); } catch (e) { console.error("Error processing child of BLOCKQUOTE:", c, e); qt += "[err]";}});
-        const trimmedQt = qt.trim();
-        if (trimmedQt) {
-            resultMd = trimmedQt.split("\n").map((l) => `> ${l.trim() ? l : ''}`).filter(l => l.trim() !== '>').join("\n") + "\n\n";
+        if (sectionIndex === sections.length - 1) {
+            bestEnd = tasks.length - 1;
+        }
+        section.tasks = tasks.slice(rowIndex, bestEnd + 1);
+        rowIndex = bestEnd + 1;
+    });
+    const unsectionedTasks = sections.length > 0 ? [] : tasks;
+
+    // 4. Generate Mermaid code
+    let mermaidCode = "gantt\n";
+    const titleEl = svgElement.querySelector('text.titleText');
+    if (titleEl && getSvgText(titleEl)) {
+        mermaidCode += `    title ${getSvgText(titleEl)}\n`;
+    }
+    mermaidCode += hasDateScale ? "    dateFormat YYYY-MM-DD\n" : "    dateFormat X\n    axisFormat %s\n";
+
+    function formatTask(task) {
+        const meta = [];
+        if (task.crit) meta.push('crit');
+        if (task.done) meta.push('done');
+        if (task.active) meta.push('active');
+        if (task.milestone) meta.push('milestone');
+        if (task.id && !/^task\d+$/.test(task.id)) meta.push(task.id);
+
+        const name = task.name.replace(/:/g, '#colon;');
+        if (task.milestone) {
+            const center = task.x + task.width / 2;
+            meta.push(hasDateScale ? formatDate(center) : String(Math.round(center)), '0d');
+        } else if (hasDateScale) {
+            const days = Math.max(1, Math.round(task.width * msPerPixel / DAY_MS));
+            meta.push(formatDate(task.x), `${days}d`);
         } else {
-            resultMd = "";
+            meta.push(String(Math.round(task.x)), String(Math.round(task.x + task.width)));
         }
-        break;
-      }
-      case "HR":
-        resultMd = "\n---\n\n";
-        break;
-      case "STRONG":
-      case "B": {
+        return `        ${name} :${meta.join(', ')}\n`;
+    }
+
+    unsectionedTasks.forEach(task => {
+        mermaidCode += formatTask(task);
+    });
+    sections.forEach(section => {
+        mermaidCode += `    section ${section.text}\n`;
+        section.tasks.forEach(task => {
+            mermaidCode += formatTask(task);
+        });
+    });
+
+    recordDiagramStats({
+        nodesRendered: svgElement.querySelectorAll('rect.task, rect[class*="milestone"]').length,
+        nodesFound: tasks.length
+    });
+
+    return '```mermaid\n' + mermaidCode.trim() + '\n```';
+}
+
+/**
+ * Helper: Convert SVG Pie chart to Mermaid code
+ *
+ * Slice values come from the legend when `showData` is enabled; otherwise they are derived from each arc's angle and emitted as percentages.
+ *
+ * @param {SVGElement} svgElement - The SVG DOM element for the pie chart
+ * @returns {string|null}
+ */
+function convertPieSvgToMermaidText(svgElement) {
+    if (!svgElement) return null;
+
+    // 1. Legend entries carry the slice labels in data order
+    const legendEntries = [];
+    svgElement.querySelectorAll('g.legend').forEach(legendEl => {
+        const text = getSvgText(legendEl.querySelector('text'));
+        if (!text) return;
+        const dataMatch = text.match(/^(.*)\s\[([-\d.]+)\]$/);
+        legendEntries.push(dataMatch
+            ? { label: dataMatch[1].trim(), value: parseFloat(dataMatch[2]) }
+            : { label: text, value: null });
+    });
+
+    if (legendEntries.length === 0) return null;
+
+    // 2. Fall back to arc angles for values
+    const arcs = Array.from(svgElement.querySelectorAll('path.pieCircle'));
+    const angleOf = (x, y) => (Math.atan2(x, -y) + 2 * Math.PI) % (2 * Math.PI);
+    const fractions = arcs.map(arcEl => {
+        const d = arcEl.getAttribute('d') || '';
+        const startMatch = d.match(/M\s*([-\d.e]+)[,\s]+([-\d.e]+)/i);
+        const arcMatch = d.match(/A\s*[-\d.e]+[,\s]+[-\d.e]+[,\s]+[-\d.e]+[,\s]+([01])[,\s]*([01])[,\s]*([-\d.e]+)[,\s]+([-\d.e]+)/i);
+        if (!startMatch || !arcMatch) return arcs.length === 1 ? 1 : null;
+        const startAngle = angleOf(parseFloat(startMatch[1]), parseFloat(startMatch[2]));
+        const endAngle = angleOf(parseFloat(arcMatch[3]), parseFloat(arcMatch[4]));
+        let span = (endAngle - startAngle + 2 * Math.PI) % (2 * Math.PI);
+        if (span === 0 && arcMatch[1] === '1') span = 2 * Math.PI;
+        return span / (2 * Math.PI);
+    });
+
+    // 3. Generate Mermaid code
+    const hasData = legendEntries.every(entry => entry.value !== null);
+    const titleEl = svgElement.querySelector('text.pieTitleText');
+    const title = getSvgText(titleEl);
+
+    let mermaidCode = hasData ? "pie showData" : "pie";
+    mermaidCode += title ? ` title ${title}\n` : "\n";
+
+    legendEntries.forEach((entry, index) => {
+        let value = entry.value;
+        if (value === null) {
+            const fraction = fractions[index];
+            if (fraction === null || fraction === undefined) return;
+            value = Math.round(fraction * 10000) / 100;
+        }
+        mermaidCode += `    "${entry.label.replace(/"/g, "'")}" : ${value}\n`;
+    });
+
+    recordDiagramStats({ nodesRendered: Math.max(arcs.length, legendEntries.length), nodesFound: legendEntries.length });
+
+    return '```mermaid\n' + mermaidCode.trim() + '\n```';
+}
+
+/**
+ * Helper: Convert SVG Timeline diagram to Mermaid code
+ *
+ * Periods are laid out left to right with their events stacked underneath, and each section starts at the column of its first period.
+ *
+ * @param {SVGElement} svgElement - The SVG DOM element for the timeline
+ * @returns {string|null}
+ */
+function convertTimelineSvgToMermaidText(svgElement) {
+    if (!svgElement) return null;
+
+    const collectNodes = selector => Array.from(svgElement.querySelectorAll(selector))
+        .map(wrapperEl => {
+            const nodeEl = wrapperEl.querySelector('g[transform]') || wrapperEl;
+            const offset = getSvgOffsetWithin(nodeEl, svgElement);
+            return { text: getSvgText(wrapperEl.querySelector('text')), x: offset.x, y: offset.y };
+        })
+        .filter(node => node.text);
+
+    const periods = collectNodes('g.taskWrapper').sort((a, b) => a.x - b.x);
+    const events = collectNodes('g.eventWrapper');
+    const sections = collectNodes('g.sectionWrapper').sort((a, b) => a.x - b.x);
+
+    if (periods.length === 0) return null;
+
+    // 1. Attach events to the closest period column
+    periods.forEach(period => { period.events = []; });
+    events.forEach(event => {
+        let closest = null;
+        let minDist = Infinity;
+        periods.forEach(period => {
+            const dist = Math.abs(period.x - event.x);
+            if (dist < minDist) {
+                minDist = dist;
+                closest = period;
+            }
+        });
+        if (closest) closest.events.push(event);
+    });
+    periods.forEach(period => period.events.sort((a, b) => a.y - b.y));
+
+    // 2. Attach periods to the last section starting at or before their column
+    sections.forEach(section => { section.periods = []; });
+    const unsectionedPeriods = [];
+    periods.forEach(period => {
+        let owner = null;
+        sections.forEach(section => {
+            if (section.x <= period.x + 1) owner = section;
+        });
+        if (owner) {
+            owner.periods.push(period);
+        } else {
+            unsectionedPeriods.push(period);
+        }
+    });
+
+    // 3. Generate Mermaid code
+    let mermaidCode = "timeline\n";
+    const titleEl = svgElement.querySelector('text.timeline-title, text.titleText');
+    if (titleEl && getSvgText(titleEl)) {
+        mermaidCode += `    title ${getSvgText(titleEl)}\n`;
+    }
+
+    const formatPeriod = (period, indent) => {
+        const parts = [period.text, ...period.events.map(event => event.text)]
+            .map(text => text.replace(/:/g, '#colon;'));
+        return `${indent}${parts.join(' : ')}\n`;
+    };
+
+    unsectionedPeriods.forEach(period => {
+        mermaidCode += formatPeriod(period, '    ');
+    });
+    sections.forEach(section => {
+        mermaidCode += `    section ${section.text}\n`;
+        section.periods.forEach(period => {
+            mermaidCode += formatPeriod(period, '        ');
+        });
+    });
+
+    recordDiagramStats({
+        nodesRendered: svgElement.querySelectorAll('g.taskWrapper, g.eventWrapper').length,
+        nodesFound: periods.length + events.length
+    });
+
+    return '```mermaid\n' + mermaidCode.trim() + '\n```';
+}
+
+/**
+ * Helper: Convert SVG Mindmap to Mermaid code
+ *
+ * The tree is rebuilt by walking the edge paths outwards from the root node; nodes that no edge reaches are attached to the root.
+ *
+ * @param {SVGElement} svgElement - The SVG DOM element for the mindmap
+ * @returns {string|null}
+ */
+function convertMindmapSvgToMermaidText(svgElement) {
+    if (!svgElement) return null;
+
+    // 1. Parse nodes and their background shape (class "node-bkg node-<shape>")
+    const nodes = [];
+    svgElement.querySelectorAll('g.mindmap-node').forEach(nodeEl => {
+        const text = (nodeEl.querySelector('foreignObject') ? nodeEl.querySelector('foreignObject').textContent : getSvgText(nodeEl.querySelector('text')))
+            .replace(/\s+/g, ' ').trim();
+        if (!text) return;
+
+        const bkgEl = nodeEl.querySelector('.node-bkg');
+        const shapeMatch = (bkgEl?.getAttribute('class') || '').match(/node-(no-border|rounded-rect|rect|circle|cloud|bang|hexgon|hexagon)/);
+        const box = getSvgGroupBox(nodeEl);
+        const offset = getSvgOffsetWithin(nodeEl.parentElement, svgElement);
+
+        nodes.push({
+            text,
+            shape: shapeMatch ? shapeMatch[1] : 'no-border',
+            isRoot: (nodeEl.getAttribute('class') || '').includes('section-root'),
+            x: offset.x + (box.x1 + box.x2) / 2,
+            y: offset.y + (box.y1 + box.y2) / 2,
+            children: []
+        });
+    });
+
+    if (nodes.length === 0) return null;
+
+    function findClosestNode(point) {
+        let closest = null;
+        let minDist = Infinity;
+        nodes.forEach(node => {
+            const dist = Math.sqrt(Math.pow(node.x - point.x, 2) + Math.pow(node.y - point.y, 2));
+            if (dist < minDist) {
+                minDist = dist;
+                closest = node;
+            }
+        });
+        return closest;
+    }
+
+    // 2. Build adjacency from edges, then walk breadth-first from the root
+    const adjacency = new Map(nodes.map(node => [node, new Set()]));
+    svgElement.querySelectorAll('path.edge, path[class*="section-edge"]').forEach(pathEl => {
+        const endpoints = getSvgPathEndpoints(pathEl.getAttribute('d'));
+        if (!endpoints) return;
+        const a = findClosestNode(endpoints.start);
+        const b = findClosestNode(endpoints.end);
+        if (a && b && a !== b) {
+            adjacency.get(a).add(b);
+            adjacency.get(b).add(a);
+        }
+    });
+
+    const root = nodes.find(node => node.isRoot) || nodes[0];
+    const visited = new Set([root]);
+    const queue = [root];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        Array.from(adjacency.get(current))
+            .sort((a, b) => a.y - b.y || a.x - b.x)
+            .forEach(neighbour => {
+                if (visited.has(neighbour)) return;
+                visited.add(neighbour);
+                current.children.push(neighbour);
+                queue.push(neighbour);
+            });
+    }
+    nodes.forEach(node => {
+        if (!visited.has(node)) root.children.push(node);
+    });
+
+    // 3. Generate Mermaid code
+    const SHAPE_BRACKETS = {
+        'rect': ['[', ']'],
+        'rounded-rect': ['(', ')'],
+        'circle': ['((', '))'],
+        'cloud': [')', '('],
+        'bang': ['))', '(('],
+        'hexgon': ['{{', '}}'],
+        'hexagon': ['{{', '}}']
+    };
+    let nodeCounter = 0;
+    let mermaidCode = "mindmap\n";
+
+    function writeNode(node, depth) {
+        const indent = '  '.repeat(depth + 1);
+        const brackets = SHAPE_BRACKETS[node.shape];
+        const text = node.text.replace(/"/g, '#quot;');
+        if (brackets) {
+            nodeCounter += 1;
+            mermaidCode += `${indent}n${nodeCounter}${brackets[0]}"${text}"${brackets[1]}\n`;
+        } else {
+            // Unquoted text ends at a bracket, which would open a shape; write brackets as entity codes
+            mermaidCode += `${indent}${text.replace(/[()[\]{}]/g, char => `#${char.charCodeAt(0)};`)}\n`;
+        }
+        node.children.forEach(child => writeNode(child, depth + 1));
+    }
+    writeNode(root, 0);
+
+    recordDiagramStats({
+        nodesRendered: svgElement.querySelectorAll('g.mindmap-node').length,
+        nodesFound: nodes.length,
+        // Nodes no edge reached were attached to the root as a guess
+        edgesRendered: nodes.length - 1,
+        edgesMatched: visited.size - 1
+    });
+
+    return '```mermaid\n' + mermaidCode.trim() + '\n```';
+}
+
+/**
+ * Helper: Convert SVG gitGraph to Mermaid code
+ *
+ * Commits are replayed in drawing order; arrows between commit bullets provide the parent links used to emit `branch`, `checkout` and `merge` statements.
+ *
+ * @param {SVGElement} svgElement - The SVG DOM element for the git graph
+ * @returns {string|null}
+ */
+function convertGitGraphSvgToMermaidText(svgElement) {
+    if (!svgElement) return null;
+
+    // 1. Parse branch lanes and their labels
+    const branchNames = {};
+    svgElement.querySelectorAll('g.branchLabel g[class*="branch-label"]').forEach(labelEl => {
+        const indexMatch = (labelEl.getAttribute('class') || '').match(/branch-label(\d+)/);
+        const name = getSvgText(labelEl.querySelector('text')) || labelEl.textContent.trim();
+        if (indexMatch && name) branchNames[indexMatch[1]] = name;
+    });
+
+    const branches = [];
+    let isVertical = false;
+    svgElement.querySelectorAll('line.branch').forEach(lineEl => {
+        const indexMatch = (lineEl.getAttribute('class') || '').match(/\bbranch(\d+)\b/);
+        if (!indexMatch || !branchNames[indexMatch[1]]) return;
+        const x1 = parseFloat(lineEl.getAttribute('x1'));
+        const x2 = parseFloat(lineEl.getAttribute('x2'));
+        const y1 = parseFloat(lineEl.getAttribute('y1'));
+        isVertical = x1 === x2;
+        branches.push({ name: branchNames[indexMatch[1]], index: Number(indexMatch[1]), pos: isVertical ? x1 : y1 });
+    });
+    branches.sort((a, b) => a.index - b.index);
+
+    if (branches.length === 0) return null;
+
+    const lanePos = point => (isVertical ? point.x : point.y);
+    const timePos = point => (isVertical ? point.y : point.x);
+
+    // 2. Parse commit bullets (class "commit <id> commit<N>" plus a type class)
+    const commitsById = new Map();
+    svgElement.querySelectorAll('circle.commit, rect.commit').forEach(bulletEl => {
+        const classes = (bulletEl.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+        const id = classes.find(c => !/^commit(\d+|-.*)?$/.test(c));
+        if (!id) return;
+        const hasType = type => classes.some(c => c.startsWith(`commit-${type}`));
+
+        const isRect = bulletEl.nodeName.toLowerCase() === 'rect';
+        const x = isRect
+            ? parseFloat(bulletEl.getAttribute('x')) + parseFloat(bulletEl.getAttribute('width')) / 2
+            : parseFloat(bulletEl.getAttribute('cx'));
+        const y = isRect
+            ? parseFloat(bulletEl.getAttribute('y')) + parseFloat(bulletEl.getAttribute('height')) / 2
+            : parseFloat(bulletEl.getAttribute('cy'));
+        if (isNaN(x) || isNaN(y)) return;
+
+        if (!commitsById.has(id)) {
+            commitsById.set(id, { id, x, y, type: 'NORMAL', tags: [], parents: [] });
+        }
+        const commit = commitsById.get(id);
+        if (hasType('merge')) commit.type = 'MERGE';
+        else if (hasType('reverse')) commit.type = 'REVERSE';
+        else if (hasType('highlight')) commit.type = 'HIGHLIGHT';
+        else if (hasType('cherry-pick')) commit.type = 'CHERRY_PICK';
+    });
+    svgElement.querySelectorAll('path.commit-reverse').forEach(markEl => {
+        const classes = (markEl.getAttribute('class') || '').split(/\s+/);
+        const commit = classes.map(c => commitsById.get(c)).find(Boolean);
+        if (commit && commit.type === 'NORMAL') commit.type = 'REVERSE';
+    });
+
+    const commits = Array.from(commitsById.values()).sort((a, b) => timePos(a) - timePos(b));
+    if (commits.length === 0) return null;
+
+    commits.forEach(commit => {
+        let closest = branches[0];
+        branches.forEach(branch => {
+            if (Math.abs(branch.pos - lanePos(commit)) < Math.abs(closest.pos - lanePos(commit))) {
+                closest = branch;
+            }
+        });
+        commit.branch = closest.name;
+    });
+
+    function findClosestCommit(point) {
+        let closest = null;
+        let minDist = Infinity;
+        commits.forEach(commit => {
+            const dist = Math.sqrt(Math.pow(commit.x - point.x, 2) + Math.pow(commit.y - point.y, 2));
+            if (dist < minDist) {
+                minDist = dist;
+                closest = commit;
+            }
+        });
+        return closest;
+    }
+
+    // 3. Arrows run from parent to child
+    svgElement.querySelectorAll('path.arrow').forEach(pathEl => {
+        const endpoints = getSvgPathEndpoints(pathEl.getAttribute('d'));
+        if (!endpoints) return;
+        const parent = findClosestCommit(endpoints.start);
+        const child = findClosestCommit(endpoints.end);
+        if (parent && child && parent !== child && !child.parents.includes(parent)) {
+            child.parents.push(parent);
+        }
+    });
+
+    // 4. Tags sit next to their commit on the time axis
+    svgElement.querySelectorAll('text.tag-label').forEach(tagEl => {
+        const text = tagEl.textContent.trim();
+        const point = { x: parseFloat(tagEl.getAttribute('x')), y: parseFloat(tagEl.getAttribute('y')) };
+        if (!text || isNaN(timePos(point))) return;
+        let closest = null;
+        let minDist = Infinity;
+        commits.forEach(commit => {
+            const dist = Math.abs(timePos(commit) - timePos(point));
+            if (dist < minDist) {
+                minDist = dist;
+                closest = commit;
+            }
+        });
+        if (closest) closest.tags.push(text);
+    });
+
+    // 5. Replay the history
+    const mainBranch = branches[0].name;
+    const lines = [];
+    const createdBranches = new Set([mainBranch]);
+    let currentBranch = mainBranch;
+
+    const isGeneratedId = id => /^\d+-[0-9a-z]{7}$/.test(id);
+    const formatAttributes = commit => {
+        const attrs = [];
+        if (!isGeneratedId(commit.id)) attrs.push(`id: "${commit.id}"`);
+        if (commit.type === 'REVERSE' || commit.type === 'HIGHLIGHT') attrs.push(`type: ${commit.type}`);
+        commit.tags.forEach(tag => attrs.push(`tag: "${tag}"`));
+        return attrs.length ? ` ${attrs.join(' ')}` : '';
+    };
+
+    commits.forEach(commit => {
+        const baseParent = commit.parents.find(p => p.branch === commit.branch) || commit.parents[0];
+
+        if (!createdBranches.has(commit.branch)) {
+            if (baseParent && baseParent.branch !== currentBranch) {
+                lines.push(`checkout ${baseParent.branch}`);
+            }
+            lines.push(`branch ${commit.branch}`);
+            createdBranches.add(commit.branch);
+            currentBranch = commit.branch;
+        } else if (commit.branch !== currentBranch) {
+            lines.push(`checkout ${commit.branch}`);
+            currentBranch = commit.branch;
+        }
+
+        const mergedParent = commit.type === 'MERGE' ? commit.parents.find(p => p.branch !== commit.branch) : null;
+        if (mergedParent) {
+            lines.push(`merge ${mergedParent.branch}${formatAttributes(commit)}`);
+        } else {
+            lines.push(`commit${formatAttributes(commit)}`);
+        }
+    });
+
+    let mermaidCode = "";
+    if (mainBranch !== 'main') {
+        mermaidCode += `%%{init: { 'gitGraph': { 'mainBranchName': '${mainBranch}' } } }%%\n`;
+    }
+    mermaidCode += `gitGraph${isVertical ? ' TB:' : ''}\n`;
+    lines.forEach(line => {
+        mermaidCode += `    ${line}\n`;
+    });
+
+    // Merge commits draw two bullets, so count distinct commit ids
+    const renderedCommitIds = new Set(Array.from(svgElement.querySelectorAll('circle.commit, rect.commit'))
+        .map(el => (el.getAttribute('class') || '').split(/\s+/).find(c => c && !/^commit(\d+|-.*)?$/.test(c)))
+        .filter(Boolean));
+    recordDiagramStats({ nodesRendered: renderedCommitIds.size, nodesFound: commits.length });
+
+    return '```mermaid\n' + mermaidCode.trim() + '\n```';
+}
+
+// ==========================================
+//  MERMAID SOURCE RECOVERY
+// ==========================================
+
+const MERMAID_SOURCE_ATTRIBUTES = [
+  'data-mermaid-source', 'data-mermaid', 'data-source', 'data-code', 'data-content', 'data-diagram', 'data-graph'
+];
+
+const MERMAID_DIAGRAM_KEYWORDS = /^(?:---[\s\S]*?---\s*)?(?:%%.*\n\s*)*(flowchart|graph|sequenceDiagram|classDiagram(?:-v2)?|stateDiagram(?:-v2)?|erDiagram|gantt|pie|timeline|mindmap|gitGraph|journey|quadrantChart|requirementDiagram|C4\w+|sankey-beta|xychart-beta|block-beta)\b/;
+
+// Scanned once per conversion; reset by resetMermaidSourceCache()
+let hydrationMermaidSources = null;
+// Source elements already emitted as a diagram, or held back for the diagram that follows them, so processNode does not print them a second time
+let consumedMermaidSourceElements = new WeakSet();
+
+const MERMAID_SOURCE_SELECTOR = 'code.language-mermaid, code.lang-mermaid, script[type="text/mermaid"], textarea.mermaid-source';
+
+/**
+ * Forget the Mermaid sources collected from the page's hydration payload so the next lookup rescans the document.
+ */
+function resetMermaidSourceCache() {
+  hydrationMermaidSources = null;
+  consumedMermaidSourceElements = new WeakSet();
+}
+
+/**
+ * Check whether a string looks like Mermaid diagram source.
+ * @param {string} text - Candidate text.
+ * @returns {boolean} `true` if the text starts with a known Mermaid diagram keyword (after optional front matter and comments).
+ */
+function looksLikeMermaidSource(text) {
+  return typeof text === 'string' && MERMAID_DIAGRAM_KEYWORDS.test(text.trim());
+}
+
+/**
+ * Undo one level of JSON string escaping in text that was embedded in a serialized payload.
+ * @param {string} text - Text that may contain `\n`, `\"` and similar escape sequences.
+ * @returns {string} The unescaped text.
+ */
+function unescapeJsonText(text) {
+  return text.replace(/\\(u[0-9a-fA-F]{4}|["\\/bfnrt])/g, (match, code) => {
+    if (code[0] === 'u') return String.fromCharCode(parseInt(code.slice(1), 16));
+    return { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' }[code];
+  });
+}
+
+/**
+ * Collect fenced Mermaid blocks from the page's inline scripts (Next.js `__next_f` flight chunks, `__NEXT_DATA__`, or any other embedded Markdown).
+ *
+ * Content scripts cannot read React props from the page's JavaScript world, but the hydration payload is plain text in the DOM and usually still contains the original Markdown.
+ *
+ * @returns {Array<{source: string, used: boolean}>} The discovered diagram sources, in document order.
+ */
+function collectHydrationMermaidSources() {
+  if (hydrationMermaidSources) return hydrationMermaidSources;
+
+  const flightChunks = [];
+  const otherPayloads = [];
+  document.querySelectorAll('script:not([src])').forEach(scriptEl => {
+    const text = scriptEl.textContent || '';
+    if (!text.includes('mermaid') && !text.includes('__next_f')) return;
+
+    const chunkRe = /self\.__next_f\.push\(\[\d+,\s*("(?:[^"\\]|\\.)*")\]\)/g;
+    let match;
+    let foundChunk = false;
+    while ((match = chunkRe.exec(text)) !== null) {
+      try {
+        flightChunks.push(JSON.parse(match[1]));
+        foundChunk = true;
+      } catch (e) {
+        // ignore malformed chunk
+      }
+    }
+    if (!foundChunk && text.includes('mermaid')) {
+      otherPayloads.push(text);
+    }
+  });
+
+  const sources = [];
+  const seen = new Set();
+  const fenceRe = /(`{3,}|~{3,})\s*mermaid[^\n]*\n([\s\S]*?)\n\s*\1/g;
+  [flightChunks.join(''), ...otherPayloads].forEach(payload => {
+    if (!payload) return;
+    [payload, unescapeJsonText(payload)].forEach(candidate => {
+      let match;
+      while ((match = fenceRe.exec(candidate)) !== null) {
+        const source = match[2].trim();
+        if (looksLikeMermaidSource(source) && !seen.has(source)) {
+          seen.add(source);
+          sources.push({ source, used: false });
+        }
+      }
+    });
+  });
+
+  hydrationMermaidSources = sources;
+  return sources;
+}
+
+/**
+ * Pick the hydration-payload source that best matches a rendered diagram by comparing the words drawn in the SVG with each source.
+ * @param {SVGElement} svgElement - The rendered Mermaid SVG.
+ * @param {Array<{source: string, used: boolean}>} sources - Candidate sources; the chosen one is marked as used.
+ * @returns {string|null} The matching source, or `null` when no candidate covers enough of the SVG's labels.
+ */
+function matchMermaidSourceToSvg(svgElement, sources) {
+  const labelText = Array.from(svgElement.querySelectorAll('text, foreignObject'))
+    .map(el => el.textContent)
+    .join(' ');
+  const tokens = Array.from(new Set(labelText.toLowerCase().match(/[\p{L}\p{N}_]{3,}/gu) || []));
+  if (tokens.length === 0) return null;
+
+  let best = null;
+  let bestScore = 0;
+  sources.forEach(candidate => {
+    if (candidate.used) return;
+    const haystack = candidate.source.toLowerCase();
+    const hits = tokens.filter(token => haystack.includes(token)).length;
+    const score = hits / tokens.length;
+    if (score > bestScore) {
+      bestScore = score;
+      best = candidate;
+    }
+  });
+
+  if (!best || bestScore < 0.6) return null;
+  best.used = true;
+  return best.source;
+}
+
+/**
+ * Find Mermaid source text kept in an element (a `code.language-mermaid` block or similar, or an element wrapping one).
+ * @param {Element} element - The element to search.
+ * @returns {Element|null} The element holding the source, or `null`.
+ */
+function findMermaidSourceElement(element) {
+  const candidates = element.matches(MERMAID_SOURCE_SELECTOR)
+    ? [element]
+    : Array.from(element.querySelectorAll(MERMAID_SOURCE_SELECTOR));
+  return candidates.find(el => !el.querySelector('svg') && looksLikeMermaidSource(el.textContent)) || null;
+}
+
+/**
+ * Check whether an element holds the Mermaid source of the rendered diagram right after it.
+ *
+ * processNode reaches such a block before the diagram, so it has to hold it back then; recoverMermaidSource
+ * picks it up when it gets to the diagram.
+ *
+ * @param {Element} element - The element about to be converted.
+ * @returns {boolean} `true` if the next sibling is a PRE with a rendered diagram and the element holds Mermaid source.
+ */
+function isSourceOfFollowingDiagram(element) {
+  const next = element.nextElementSibling;
+  if (!next || next.nodeName !== 'PRE' || !next.querySelector('svg[id^="mermaid-"]')) return false;
+  if (element.querySelector('svg[id^="mermaid-"]')) return false;
+  return findMermaidSourceElement(element) !== null;
+}
+
+/**
+ * Try to find the original Mermaid text for a rendered diagram before falling back to SVG reverse-engineering.
+ *
+ * Looks, in order, at source-carrying `data-*` attributes on the SVG and its ancestors, a `code.language-mermaid` block
+ * inside the PRE, after it, or held back before it (see isSourceOfFollowingDiagram), and the page's hydration payload.
+ *
+ * @param {SVGElement} svgElement - The rendered Mermaid SVG.
+ * @param {Element} preElement - The PRE element that contains the diagram.
+ * @returns {{source: string, origin: string}|null} The recovered source and where it came from, or `null` if nothing was found.
+ */
+function recoverMermaidSource(svgElement, preElement) {
+  // 1. data-* attributes on the diagram or its wrappers
+  const boundary = preElement.parentElement || preElement;
+  for (let current = svgElement; current && current !== boundary.parentElement; current = current.parentElement) {
+    for (const attr of MERMAID_SOURCE_ATTRIBUTES) {
+      const value = current.getAttribute(attr);
+      if (looksLikeMermaidSource(value)) {
+        return { source: value.trim(), origin: `${attr} attribute` };
+      }
+    }
+  }
+
+  // 2. Source kept next to the rendered SVG (inside the PRE or in an adjacent element, never elsewhere in the page).
+  // A preceding sibling has already been reached by processNode, so it only counts if it was held back.
+  const previous = preElement.previousElementSibling;
+  const holders = [preElement, preElement.nextElementSibling];
+  if (previous && consumedMermaidSourceElements.has(previous)) holders.unshift(previous);
+  for (const holder of holders.filter(Boolean)) {
+    const codeBlock = findMermaidSourceElement(holder);
+    if (codeBlock) {
+      consumedMermaidSourceElements.add(codeBlock);
+      if (holder !== preElement) consumedMermaidSourceElements.add(holder);
+      return { source: codeBlock.textContent.trim(), origin: holder === preElement ? 'code block' : 'sibling code block' };
+    }
+  }
+
+  // 3. Page hydration payload
+  const source = matchMermaidSourceToSvg(svgElement, collectHydrationMermaidSources());
+  if (source) {
+    return { source, origin: 'page hydration payload' };
+  }
+
+  return null;
+}
+
+/**
+ * Append a Mermaid comment to a fenced Mermaid block recording how the diagram was obtained.
+ * @param {string} block - A fenced block produced by one of the converters (```` ```mermaid ... ``` ````).
+ * @param {string} note - Text of the note.
+ * @returns {string} The block with a `%% note` line before the closing fence.
+ */
+function annotateMermaidBlock(block, note) {
+  return block.replace(/\n```$/, `\n%% ${note}\n\`\`\``);
+}
+
+// ==========================================
+//  CONVERSION CONTEXT & DIAGRAM ASSETS
+// ==========================================
+
+// State for the conversion currently running in this tab; set by the convertToMarkdown handler
+let conversionContext = null;
+
+const PNG_RASTERIZE_TIMEOUT = 5000;
+
+/**
+ * Create the per-conversion state shared by processNode and the diagram converters.
+ * @param {Object} [options] - Export options received from the popup or the batch runner.
+ * @returns {{options: Object, assets: Array<{path: string, content: string, encoding: string}>, assetNames: Set<string>, citations: Array<Object>, snippets: Array<Object>}} A fresh conversion context.
+ */
+function createConversionContext(options) {
+  return {
+    options: normalizeExportOptions(options),
+    assets: [],
+    assetNames: new Set(),
+    report: { diagrams: [] },
+    currentDiagram: null,
+    citations: [],
+    snippets: []
+  };
+}
+
+/**
+ * Open a fidelity-report entry for the diagram about to be converted; converters fill it through recordDiagramStats.
+ * @param {SVGElement} svgElement - The rendered diagram.
+ * @param {string|null} diagramType - The renderer's `aria-roledescription`, if any.
+ */
+function beginDiagramReport(svgElement, diagramType) {
+  if (!conversionContext) return;
+  conversionContext.currentDiagram = {
+    index: conversionContext.report.diagrams.length + 1,
+    svgId: svgElement.id,
+    type: diagramType || svgElement.getAttribute('class') || 'unknown'
+  };
+  conversionContext.report.diagrams.push(conversionContext.currentDiagram);
+}
+
+/**
+ * Record reconstruction counts for the diagram being converted.
+ *
+ * Converters pass whatever they can measure (`nodesRendered`/`nodesFound`, `edgesRendered`/`edgesMatched`, `labelsDropped`, `notesUnattached`); anything they cannot measure is left out of the entry.
+ *
+ * @param {Object} stats - Counts to merge into the current report entry.
+ */
+function recordDiagramStats(stats) {
+  if (!conversionContext || !conversionContext.currentDiagram) return;
+  Object.assign(conversionContext.currentDiagram, stats);
+}
+
+/**
+ * Note a problem with the diagram being converted that the counts cannot express; the entry is flagged for review.
+ * @param {string} message - What went wrong, for the reader of the report.
+ */
+function recordDiagramWarning(message) {
+  if (!conversionContext || !conversionContext.currentDiagram) return;
+  const entry = conversionContext.currentDiagram;
+  entry.warnings = (entry.warnings || []).concat(message);
+}
+
+/**
+ * Close the current fidelity-report entry.
+ * @param {string} method - How the Mermaid was obtained: `original-source`, `svg-reconstruction` or `fallback`.
+ */
+function finishDiagramReport(method) {
+  if (!conversionContext || !conversionContext.currentDiagram) return;
+  const entry = conversionContext.currentDiagram;
+  entry.method = method;
+  entry.fallbackUsed = method === 'fallback';
+  if (method === 'original-source') {
+    // Counts gathered by a converter do not apply to recovered source
+    ['nodesRendered', 'nodesFound', 'edgesRendered', 'edgesMatched', 'labelsDropped', 'notesUnattached'].forEach(key => delete entry[key]);
+  }
+  entry.needsReview = entry.fallbackUsed ||
+    entry.nodesFound < entry.nodesRendered ||
+    entry.edgesMatched < entry.edgesRendered ||
+    entry.labelsDropped > 0 ||
+    entry.notesUnattached > 0 ||
+    Boolean(entry.warnings && entry.warnings.length);
+  conversionContext.currentDiagram = null;
+}
+
+/**
+ * Summarize the fidelity report of the current conversion for the convertToMarkdown response.
+ * @returns {{diagrams: Array<Object>, diagramCount: number, fallbackCount: number, mermaidValidation: Array<Object>, invalidMermaidBlocks: number, needsReview: boolean}} The page report.
+ */
+function buildConversionReport() {
+  const diagrams = conversionContext ? conversionContext.report.diagrams : [];
+  const validation = (conversionContext && conversionContext.report.validation) || [];
+  const invalidMermaidBlocks = validation.filter(v => !v.valid).length;
+  return {
+    diagrams,
+    diagramCount: diagrams.length,
+    fallbackCount: diagrams.filter(d => d.fallbackUsed).length,
+    mermaidValidation: validation,
+    invalidMermaidBlocks,
+    needsReview: diagrams.some(d => d.needsReview) || invalidMermaidBlocks > 0
+  };
+}
+
+// ==========================================
+//  MERMAID VALIDATION
+// ==========================================
+
+/**
+ * Validate every fenced Mermaid block of the final Markdown with MermaidValidator (lib/mermaid-validator.js).
+ *
+ * Results go into the conversion report. With the `commentOutInvalidMermaid` option, offending lines are turned into `%%` comments so the diagram still renders on GitHub/GitLab, and a note records how many lines were disabled.
+ *
+ * @param {string} markdown - Final page Markdown.
+ * @returns {string} The Markdown, with invalid lines commented out when the option is enabled.
+ */
+function validateMermaidBlocks(markdown) {
+  if (typeof MermaidValidator === 'undefined') {
+    console.warn("MermaidValidator not loaded; skipping Mermaid validation");
+    return markdown;
+  }
+
+  const commentOut = Boolean(conversionContext && conversionContext.options.commentOutInvalidMermaid);
+  const results = [];
+  const lines = markdown.split('\n');
+  const out = [];
+  let blockLines = null;
+
+  for (const line of lines) {
+    if (blockLines === null) {
+      out.push(line);
+      if (/^\s*```+\s*mermaid\b/i.test(line)) blockLines = [];
+      continue;
+    }
+    if (!/^\s*```/.test(line)) {
+      blockLines.push(line);
+      continue;
+    }
+
+    const result = MermaidValidator.validate(blockLines.join('\n'));
+    results.push({ block: results.length + 1, ...result });
+    if (!result.valid) {
+      console.warn("Invalid Mermaid block", results.length, result.errors);
+    }
+    if (!result.valid && commentOut) {
+      const badLines = new Set(result.errors.map(e => e.line - 1));
+      blockLines = blockLines.map((blockLine, idx) => (badLines.has(idx) && !blockLine.trim().startsWith('%%') ? `%% ${blockLine}` : blockLine));
+      blockLines.push(`%% mermaid-validator: ${badLines.size} invalid line(s) commented out`);
+    }
+    out.push(...blockLines, line);
+    blockLines = null;
+  }
+  if (blockLines !== null) out.push(...blockLines);
+
+  if (conversionContext) conversionContext.report.validation = results;
+  return out.join('\n');
+}
+
+/**
+ * Reserve a file name under `assets/` that is unique within the current conversion.
+ * @param {string} baseName - Desired name without extension.
+ * @param {string} extension - File extension without the dot.
+ * @returns {string} The relative asset path, e.g. `assets/mermaid-1.svg`.
+ */
+function reserveAssetPath(baseName, extension) {
+  const safeBase = (baseName || 'diagram').replace(/[^a-z0-9_\-]/gi, '_').replace(/_+/g, '_');
+  let name = safeBase;
+  let counter = 2;
+  while (conversionContext.assetNames.has(`${name}.${extension}`)) {
+    name = `${safeBase}-${counter++}`;
+  }
+  conversionContext.assetNames.add(`${name}.${extension}`);
+  return `assets/${name}.${extension}`;
+}
+
+/**
+ * Serialize a rendered Mermaid SVG into a standalone SVG document.
+ *
+ * XMLSerializer declares the SVG/XHTML namespaces itself; when the renderer only set a `max-width` style, the clone gets a width and height taken from the viewBox so the file opens at its natural size.
+ *
+ * @param {SVGElement} svgElement - The rendered diagram.
+ * @returns {string} The SVG file contents.
+ */
+function serializeDiagramSvg(svgElement) {
+  const clone = svgElement.cloneNode(true);
+
+  const viewBox = (clone.getAttribute('viewBox') || '').split(/[\s,]+/).map(parseFloat);
+  if (viewBox.length === 4 && viewBox.every(v => !isNaN(v))) {
+    if (!clone.getAttribute('width') || clone.getAttribute('width') === '100%') {
+      clone.setAttribute('width', String(viewBox[2]));
+    }
+    if (!clone.getAttribute('height')) {
+      clone.setAttribute('height', String(viewBox[3]));
+    }
+  }
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+}
+
+/**
+ * Copy a rendered diagram with its HTML labels (`foreignObject`, Mermaid's default for flowcharts) redrawn as SVG text.
+ *
+ * A canvas that has drawn HTML content is tainted and cannot be exported, so the PNG is drawn from this copy. Each label
+ * is centred in its box with one line per `<br>` or paragraph; styles still come from the diagram's own stylesheet.
+ *
+ * @param {SVGElement} svgElement - The rendered diagram.
+ * @returns {SVGElement} A detached copy without `foreignObject` elements.
+ */
+function replaceHtmlLabelsWithText(svgElement) {
+  const clone = svgElement.cloneNode(true);
+  clone.querySelectorAll('foreignObject').forEach(foreignObject => {
+    const lines = [''];
+    const collect = node => node.childNodes.forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        lines[lines.length - 1] += child.textContent;
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        const tag = child.localName.toLowerCase();
+        if (tag === 'br' || ((tag === 'p' || tag === 'div') && lines[lines.length - 1].trim())) lines.push('');
+        collect(child);
+      }
+    });
+    collect(foreignObject);
+    const labelLines = lines.map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+
+    const x = (parseFloat(foreignObject.getAttribute('x')) || 0) + (parseFloat(foreignObject.getAttribute('width')) || 0) / 2;
+    const y = (parseFloat(foreignObject.getAttribute('y')) || 0) + (parseFloat(foreignObject.getAttribute('height')) || 0) / 2;
+    const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    text.setAttribute('x', String(x));
+    text.setAttribute('y', String(y));
+    text.setAttribute('text-anchor', 'middle');
+    text.setAttribute('dominant-baseline', 'central');
+    labelLines.forEach((line, index) => {
+      const tspan = document.createElementNS('http://www.w3.org/2000/svg', 'tspan');
+      tspan.setAttribute('x', String(x));
+      // Shift the first line up so the block stays centred on the label box
+      tspan.setAttribute('dy', index === 0 ? `${-0.6 * (labelLines.length - 1)}em` : '1.2em');
+      tspan.textContent = line;
+      text.appendChild(tspan);
+    });
+    foreignObject.parentNode.insertBefore(text, foreignObject);
+    foreignObject.remove();
+  });
+  return clone;
+}
+
+/**
+ * Save a rendered diagram as an SVG asset of the current conversion and return the Markdown that links to it.
+ *
+ * When PNG export is enabled the SVG is also queued for rasterization, which happens after the page has been walked (see rasterizePendingDiagramAssets).
+ *
+ * @param {SVGElement} svgElement - The rendered diagram.
+ * @returns {string} A Markdown image reference, or an empty string when diagram assets are disabled.
+ */
+function addDiagramAsset(svgElement) {
+  if (!conversionContext || !conversionContext.options.diagramSvgAssets) return "";
+
+  const svgPath = reserveAssetPath(svgElement.id, 'svg');
+  const svgContent = serializeDiagramSvg(svgElement);
+  conversionContext.assets.push({ path: svgPath, content: svgContent, encoding: 'utf8' });
+
+  if (conversionContext.options.diagramPngAssets) {
+    conversionContext.assets.push({
+      path: svgPath.replace(/\.svg$/, '.png'),
+      content: null,
+      encoding: 'base64',
+      pendingSvg: serializeDiagramSvg(replaceHtmlLabelsWithText(svgElement)),
+      // Report entry of the diagram, so a PNG that cannot be drawn is recorded there
+      pendingReport: conversionContext.report.diagrams.find(entry => entry.svgId === svgElement.id) || null
+    });
+  }
+
+  return `![Diagram](${svgPath})`;
+}
+
+/**
+ * Draw an SVG document onto a canvas and return it as base64 PNG data.
+ * @param {string} svgContent - Standalone SVG document.
+ * @param {number} [scale=2] - Pixel density multiplier.
+ * @returns {Promise<string>} Base64-encoded PNG data (without the data URL prefix).
+ * @throws {Error} If the image cannot be decoded in time or the canvas is tainted (e.g. by external images).
+ */
+function rasterizeSvg(svgContent, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    const timer = setTimeout(() => reject(new Error('Timed out while decoding SVG')), PNG_RASTERIZE_TIMEOUT);
+    img.onload = () => {
+      clearTimeout(timer);
+      try {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.ceil(img.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.ceil(img.naturalHeight * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        resolve(canvas.toDataURL('image/png').replace(/^data:image\/png;base64,/, ''));
+      } catch (error) {
+        reject(error);
+      }
+    };
+    img.onerror = () => {
+      clearTimeout(timer);
+      reject(new Error('SVG could not be decoded as an image'));
+    };
+    img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgContent);
+  });
+}
+
+/**
+ * Produce the PNG files queued by addDiagramAsset. Diagrams that cannot be rasterized keep only their SVG,
+ * and the reason is added to the diagram's report entry.
+ * @returns {Promise<void>} Resolves once every pending PNG has been generated or dropped.
+ */
+async function rasterizePendingDiagramAssets() {
+  if (!conversionContext) return;
+
+  const finished = [];
+  for (const asset of conversionContext.assets) {
+    if (!asset.pendingSvg) {
+      finished.push(asset);
+      continue;
+    }
+    const { pendingSvg, pendingReport } = asset;
+    delete asset.pendingSvg;
+    delete asset.pendingReport;
+    try {
+      asset.content = await rasterizeSvg(pendingSvg);
+      finished.push(asset);
+    } catch (error) {
+      console.warn("Skipping PNG for", asset.path, "-", error.message);
+      if (pendingReport) {
+        pendingReport.warnings = (pendingReport.warnings || []).concat(`PNG not saved: ${error.message}`);
+        pendingReport.needsReview = true;
+      }
+    }
+  }
+  conversionContext.assets = finished;
+}
+// Helper function: recursively process nodes
+function processNode(node) {
+  // console.log("processNode START:", node.nodeName, node.nodeType, node.textContent ? node.textContent.substring(0,50) : ''); // DEBUG
+  let resultMd = "";
+
+  if (node.nodeType === Node.TEXT_NODE) {
+    if (node.parentNode && node.parentNode.nodeName === 'PRE') { return node.textContent; }
+    // Fix: For normal text nodes, avoid consecutive blank lines being converted to a single newline, 
+    // then having \n\n added by outer logic causing too many empty lines
+    // Simply return the text and let the parent block element handle the trailing \n\n
+    if (node.parentElement && node.parentElement.closest('pre, code')) return node.textContent;
+    return escapeMarkdownText(node.textContent, isTextAtLineStart(node));
+  }
+
+  if (node.nodeType !== Node.ELEMENT_NODE) return "";
+
+  const element = node;
+  if (consumedMermaidSourceElements.has(element)) return "";
+  if (isSourceOfFollowingDiagram(element)) {
+    consumedMermaidSourceElements.add(element);
+    return "";
+  }
+  // Checked before visibility: MathJax 2 keeps its TeX in hidden <script type="math/tex"> elements
+  if (element.matches(MATH_ELEMENT_SELECTOR)) return convertMathElement(element);
+  const style = window.getComputedStyle(element);
+
+  if (
+    (style.display === "none" || style.visibility === "hidden") &&
+    !["DETAILS", "SUMMARY"].includes(element.nodeName)
+  ) {
+    return "";
+  }
+
+  if (element.matches('button, [role="button"], nav, footer, aside, script, style, noscript, iframe, embed, object, header')) { // Added header to general skip
+      return "";
+  }
+  if (element.classList.contains("bg-input-dark") && element.querySelector("svg")){ // Your specific rule
+    return "";
+  }
+
+
+  // Main logic wrapped in try...catch to catch errors when processing specific nodes
+  try {
+    switch (element.nodeName) {
+      case "P": {
+        let txt = "";
+        element.childNodes.forEach((c) => {
+            try { txt += processNode(c); } catch (e) { console.error("Error processing child of P:", c, e); txt += "[err]";}
+        });
+        txt = txt.trim();
+        if (txt.startsWith("```mermaid") && txt.endsWith("```")) { // Already processed as Mermaid
+          resultMd = txt + "\n\n";
+        } else if (txt) {
+          resultMd = txt + "\n\n";
+        } else {
+          resultMd = "\n"; // Keep empty P tag as a newline if needed
+        }
+        break;
+      }
+      case "H1": case "H2": case "H3": case "H4": case "H5": case "H6":
+        resultMd = convertHeadingToMarkdown(element, Number(element.nodeName.charAt(1)));
+        break;
+      case "UL":
+      case "OL": {
+        resultMd = convertListToMarkdown(element);
+        break;
+      }
+      case "PRE": {
+        const svgElement = element.querySelector('svg[id^="mermaid-"]');
+        let mermaidOutput = null;
+
+        if (svgElement) {
+          const diagramTypeDesc = svgElement.getAttribute('aria-roledescription');
+          const diagramClass = svgElement.getAttribute('class');
+          const recovered = recoverMermaidSource(svgElement, element);
+          beginDiagramReport(svgElement, diagramTypeDesc);
+
+          console.log("Found SVG in PRE: desc=", diagramTypeDesc, "class=", diagramClass); // DEBUG
+          if (recovered) {
+            mermaidOutput = annotateMermaidBlock('```mermaid\n' + recovered.source + '\n```', `Source: original (${recovered.origin})`);
+          } else if (diagramTypeDesc && diagramTypeDesc.includes('flowchart')) {
+            console.log("Trying to convert flowchart..."); // DEBUG
+            mermaidOutput = convertFlowchartSvgToMermaidText(svgElement);
+          } else if (diagramTypeDesc && diagramTypeDesc.includes('class')) {
+            console.log("Trying to convert class diagram..."); // DEBUG
+            mermaidOutput = convertClassDiagramSvgToMermaidText(svgElement);
+          } else if (diagramTypeDesc && diagramTypeDesc.includes('sequence')) {
+            console.log("Trying to convert sequence diagram..."); // DEBUG
+            mermaidOutput = convertSequenceDiagramSvgToMermaidText(svgElement);
+          } else if (diagramTypeDesc && diagramTypeDesc.includes('stateDiagram')) {
+            console.log("Trying to convert state diagram..."); // DEBUG
+            mermaidOutput = convertStateDiagramSvgToMermaidText(svgElement);
+          } else if (diagramTypeDesc && (diagramTypeDesc === 'er' || diagramTypeDesc.includes('erDiagram'))) {
+            mermaidOutput = convertErDiagramSvgToMermaidText(svgElement);
+          } else if (diagramTypeDesc && diagramTypeDesc.includes('gantt')) {
+            mermaidOutput = convertGanttSvgToMermaidText(svgElement);
+          } else if (diagramTypeDesc && diagramTypeDesc.includes('pie')) {
+            mermaidOutput = convertPieSvgToMermaidText(svgElement);
+          } else if (diagramTypeDesc && diagramTypeDesc.includes('timeline')) {
+            mermaidOutput = convertTimelineSvgToMermaidText(svgElement);
+          } else if (diagramTypeDesc && diagramTypeDesc.includes('mindmap')) {
+            mermaidOutput = convertMindmapSvgToMermaidText(svgElement);
+          } else if (diagramTypeDesc && diagramTypeDesc.toLowerCase().includes('gitgraph')) {
+            mermaidOutput = convertGitGraphSvgToMermaidText(svgElement);
+          } else if (diagramClass && diagramClass.includes('flowchart')) {
+              console.log("Trying to convert flowchart by class..."); // DEBUG
+              mermaidOutput = convertFlowchartSvgToMermaidText(svgElement);
+          } else if (diagramClass && (diagramClass.includes('classDiagram') || diagramClass.includes('class'))) {
+              console.log("Trying to convert class diagram by class..."); // DEBUG
+              mermaidOutput = convertClassDiagramSvgToMermaidText(svgElement);
+          } else if (diagramClass && (diagramClass.includes('sequenceDiagram') || diagramClass.includes('sequence'))) {
+              console.log("Trying to convert sequence diagram by class..."); // DEBUG
+              mermaidOutput = convertSequenceDiagramSvgToMermaidText(svgElement);
+          } else if (diagramClass && (diagramClass.includes('statediagram') || diagramClass.includes('stateDiagram'))) {
+              console.log("Trying to convert state diagram by class..."); // DEBUG
+              mermaidOutput = convertStateDiagramSvgToMermaidText(svgElement);
+          } else if (diagramClass && diagramClass.includes('erDiagram')) {
+              mermaidOutput = convertErDiagramSvgToMermaidText(svgElement);
+          }
+          
+          if (mermaidOutput && !recovered) {
+            console.log("Successfully converted SVG to mermaid:", mermaidOutput.substring(0, 100) + "..."); // DEBUG
+            mermaidOutput = annotateMermaidBlock(mermaidOutput, 'Source: reconstructed from rendered SVG');
+          } else if (!mermaidOutput) {
+            console.log("Failed to convert SVG, using fallback"); // DEBUG
+          }
+          finishDiagramReport(recovered ? 'original-source' : (mermaidOutput ? 'svg-reconstruction' : 'fallback'));
+        }
+
+        const assetReference = svgElement ? addDiagramAsset(svgElement) : "";
+        if (mermaidOutput) {
+          resultMd = `\n${mermaidOutput}\n\n`;
+        } else {
+          const code = element.querySelector("code");
+          let lang = "";
+          let txt = "";
+          if (code) {
+            txt = code.textContent;
+            const cls = Array.from(code.classList).find((c) => c.startsWith("language-"));
+            if (cls) lang = cls.replace("language-", "");
+          } else {
+             txt = element.textContent;
+          }
+          if (!lang) {
+            const preCls = Array.from(element.classList).find((c) => c.startsWith("language-"));
+            if (preCls) lang = preCls.replace("language-", "");
+          }
+          // Auto-detect language if still not found
+          if (!lang && txt.trim()) {
+            lang = detectCodeLanguage(txt);
+          }
+          resultMd = buildFencedCodeBlock(txt, lang) + "\n\n";
+        }
+        if (assetReference) {
+          resultMd += `${assetReference}\n\n`;
+        }
+        break;
+      }
+      case "A": {
+        const href = element.getAttribute("href");
+        let initialTextFromNodes = ""; // Collect raw text from children first
+        element.childNodes.forEach(c => { 
+          try { 
+            initialTextFromNodes += processNode(c); 
+          } catch (e) { 
+            console.error("Error processing child of A:", c, e); 
+            initialTextFromNodes += "[err]";
+          }
+        });
+        let text = initialTextFromNodes.trim(); // This is the base text for further processing
+        // Filename and "Sources: [...]" parsing works on the unescaped text
+        const rawLinkText = element.textContent;
+
+        if (!text && element.querySelector('img')) { // Handle img alt text if link content is empty
+            text = element.querySelector('img').alt || 'image';
+        }
+        // `text` is now the initial display text, possibly from content or image alt.
+        // `initialTextFromNodes` keeps the original structure for context like "Sources: [...]".
+
+        if (href && (href.startsWith('http') || href.startsWith('https') || href.startsWith('/') || href.startsWith('#') || href.startsWith('mailto:'))) {
+          
+          let finalLinkDisplayText = text; // Start with the current text, may be overwritten by line logic
+          let citationMarker = ""; // Set when source citations are collected into footnotes/references
+          let snippetToken = ""; // Set when the cited lines are embedded from a local clone
+
+          const lineInfoMatch = href.match(/#L(\d+)(?:-L(\d+))?$/);
+
+          if (lineInfoMatch) {
+                      const pathPart = href.substring(0, href.indexOf('#'));
+            let filenameFromPath = pathPart.substring(pathPart.lastIndexOf('/') + 1) || "link"; // Default filename
+
+            const startLine = lineInfoMatch[1];
+            const endLine = lineInfoMatch[2]; // This is the number after -L, or undefined
+
+            let displayFilename = filenameFromPath; // Start with filename from path
+
+            const trimmedInitialText = rawLinkText.trim(); // Trim for reliable prefix/suffix checks
+            let textToParseForFilename = trimmedInitialText; 
+
+            const isSourcesContext = trimmedInitialText.startsWith("Sources: [") && trimmedInitialText.endsWith("]");
+
+            if (isSourcesContext) {
+                const sourcesContentMatch = trimmedInitialText.match(/^Sources:\s+\[(.*)\]$/);
+                if (sourcesContentMatch && sourcesContentMatch[1]) {
+                    textToParseForFilename = sourcesContentMatch[1].trim(); // Content inside "Sources: [...]"
+                }
+            }
+
+            // Extract filename hint from (potentially sources-stripped) textToParseForFilename
+            // This regex targets the first part that looks like a filename.
+            const filenameHintMatch = textToParseForFilename.match(/^[\w\/\.-]+(?:\.\w+)?/);
+            if (filenameHintMatch && filenameHintMatch[0]) { // Use filenameHintMatch[0] for the matched string
+                // Verify this extracted filename by checking if it's part of the href's path
+                if (pathPart.includes(filenameHintMatch[0])) {
+                    displayFilename = filenameHintMatch[0];
+                }
+            }
+            
+            let lineRefText;
+            if (endLine && endLine !== startLine) { // Range like L10-L20
+              lineRefText = `L${startLine}-L${endLine}`;
+            } else { // Single line like L10, or L10-L10 treated as L10
+              lineRefText = `L${startLine}`;
+            }
+
+            let constructedText = `${escapeMarkdownText(displayFilename, false)} ${lineRefText}`;
+
+            citationMarker = registerCitation(href, pathPart, lineRefText);
+            snippetToken = registerSourceSnippet(href, pathPart, Number(startLine), Number(endLine || startLine));
+            if (citationMarker && isSourcesContext) {
+              citationMarker = `Sources: ${citationMarker}`;
+            }
+
+            if (isSourcesContext) {
+              finalLinkDisplayText = `Sources: [${constructedText}]`;
+            } else {
+              // If not a "Sources:" link, use the newly constructed clean text
+              finalLinkDisplayText = constructedText;
+            }
+          }
+          
+          // Fallback: if finalLinkDisplayText is empty (e.g. original text was empty and no lineInfoMatch)
+          // or if it became empty after processing, use href.
+          text = finalLinkDisplayText.trim() || (href ? href : ""); // Ensure text is not empty if href exists
+          
+          if (citationMarker) {
+            resultMd = citationMarker + snippetToken;
+            break;
+          }
+          resultMd = `[${text}](${href})${snippetToken}`;
+          if (window.getComputedStyle(element).display !== "inline") {
+              resultMd += "\n\n";
+          }
+        } else { 
+          // Non-http/s/... link, or no href. Fallback text if empty.
+          text = text.trim() || (href ? href : ""); 
+          resultMd = text; 
+          if (window.getComputedStyle(element).display !== "inline" && text.trim()) {
+              resultMd += "\n\n";
+          }
+        }
+        break;
+      }
+      case "IMG":
+        if (element.closest && element.closest('a')) return "";
+        resultMd = (element.src ? `![${element.alt || ""}](${element.src})\n\n` : "");
+        break;
+      case "BLOCKQUOTE": {
+        let qt = "";
+        element.childNodes.forEach((c) => { try { qt += processNode(c); } catch (e) { console.error("Error processing child of BLOCKQUOTE:", c, e); qt += "[err]";}});
+        const trimmedQt = qt.trim();
+        if (trimmedQt) {
+            resultMd = trimmedQt.split("\n").map((l) => `> ${l.trim() ? l : ''}`).filter(l => l.trim() !== '>').join("\n") + "\n\n";
+        } else {
+            resultMd = "";
+        }
+        break;
+      }
+      case "HR":
+        resultMd = "\n---\n\n";
+        break;
+      case "STRONG":
+      case "B": {
         let st = "";
         element.childNodes.forEach((c) => { try { st += processNode(c); } catch (e) { console.error("Error processing child of STRONG/B:", c, e); st += "[err]";}});
-        return `**${st.trim()}**`; // Return directly
+        return wrapInlineDelimiter(element, st, "**", "strong"); // Return directly
       }
       case "EM":
       case "I": {
         let em = "";
         element.childNodes.forEach((c) => { try { em += processNode(c); } catch (e) { console.error("Error processing child of EM/I:", c, e); em += "[err]";}});
-        return `*${em.trim()}*`; // Return directly
+        return wrapInlineDelimiter(element, em, "*", "em"); // Return directly
+      }
+      case "DEL":
+      case "S":
+      case "STRIKE": {
+        let del = "";
+        element.childNodes.forEach((c) => { try { del += processNode(c); } catch (e) { console.error("Error processing child of DEL/S:", c, e); del += "[err]";}});
+        return wrapInlineDelimiter(element, del, "~~", "del"); // Return directly
+      }
+      case "SUP": case "SUB": case "KBD": case "MARK": case "U": case "INS": case "ABBR": {
+        let inner = "";
+        element.childNodes.forEach((c) => { try { inner += processNode(c); } catch (e) { console.error("Error processing child of", element.nodeName, c, e); inner += "[err]";}});
+        return convertInlineSemanticElement(element, inner); // Return directly
       }
       case "CODE": {
           if (element.parentNode && element.parentNode.nodeName === 'PRE') {
               return element.textContent;
           }
-          return `\`${element.textContent.trim()}\``; // Return directly
+          return wrapInlineCode(element.textContent); // Return directly
+      }
+      case "BR":
+        if (element.parentNode && ['P', 'DIV', 'LI'].includes(element.parentNode.nodeName) ) { // Added LI
+            const nextSibling = element.nextSibling;
+            // Add markdown hard break only if BR is followed by text or is at the end of a line within a block
+            if (!nextSibling || (nextSibling.nodeType === Node.TEXT_NODE && nextSibling.textContent.trim() !== '') || nextSibling.nodeType === Node.ELEMENT_NODE) {
+                 return "  \n"; // Return directly
+            }
+        }
+        return ""; // Return directly (or empty if not a hard break)
+      case "TABLE": {
+          resultMd = convertTableToMarkdown(element);
+          break;
+      }
+      case "THEAD": case "TBODY": case "TFOOT": case "TR": case "TH": case "TD":
+          return ""; // Handled by TABLE case, return empty string if processed directly
+
+      case "DETAILS": {
+          let summaryText = "Details"; const summaryElem = element.querySelector('summary');
+          if (summaryElem) { let tempSummary = ""; summaryElem.childNodes.forEach(c => { try { tempSummary += processNode(c); } catch (e) { console.error("Error processing child of SUMMARY:", c, e); tempSummary += "[err]";}}); summaryText = tempSummary.trim() || "Details"; }
+          let detailsContent = "";
+          Array.from(element.childNodes).forEach(child => { if (child.nodeName !== "SUMMARY") { try { detailsContent += processNode(child); } catch (e) { console.error("Error processing child of DETAILS:", c, e); detailsContent += "[err]";}}});
+          resultMd = `> **${summaryText}**\n${detailsContent.trim().split('\n').map(l => `> ${l}`).join('\n')}\n\n`;
+          break;
+      }
+      case "SUMMARY": return ""; // Handled by DETAILS
+
+      case "DIV":
+      case "SPAN":
+      case "SECTION":
+      case "ARTICLE":
+      case "MAIN":
+      default: {
+        let txt = "";
+        element.childNodes.forEach((c) => { try { txt += processNode(c); } catch (e) { console.error("Error processing child of DEFAULT case:", c, element.nodeName, e); txt += "[err]";}});
+        
+        const d = window.getComputedStyle(element);
+        const isBlock = ["block", "flex", "grid", "list-item", "table", 
+                         "table-row-group", "table-header-group", "table-footer-group"].includes(d.display);
+
+        if (isBlock && txt.trim()) {
+          // Ensure that text from children which already ends in \n\n isn't given more \n\n
+          if (txt.endsWith('\n\n')) {
+              resultMd = txt;
+          } else if (txt.endsWith('\n')) { // if it ends with one \n, add one more for spacing
+              resultMd = txt + '\n';
+          } else { // if it has no trailing newlines, add two.
+              resultMd = txt.trimEnd() + "\n\n";
+          }
+        } else { // Inline element or empty block element
+          return txt; // Return directly
+        }
+      }
+    }
+  } catch (error) {
+      console.error("Unhandled error in processNode for element:", element.nodeName, element, error);
+      return `\n[ERROR_PROCESSING_ELEMENT: ${element.nodeName}]\n\n`; // Return an error placeholder
+  }
+  // console.log("processNode END for:", element.nodeName, "Output:", resultMd.substring(0,50)); // DEBUG
+  return resultMd;
+}
+
+
+
+
+
+
+
+// ==========================================
+//  CODE SPANS & FENCES
+// ==========================================
+
+/**
+ * Length of the longest run of backticks or tildes in a string.
+ * @param {string} text - The text to scan.
+ * @param {string} char - Either "`" or "~".
+ * @returns {number} The longest run, or 0.
+ */
+function getLongestCharRun(text, char) {
+  const runs = text.match(new RegExp(`${char === '`' ? '`' : '~'}+`, 'g')) || [];
+  return runs.reduce((longest, run) => Math.max(longest, run.length), 0);
+}
+
+/**
+ * Wrap text in a code span whose backtick string is longer than any backtick run inside it.
+ *
+ * Line breaks become spaces (as Markdown would render them), and a space is added inside the delimiters when the code starts or ends with a backtick.
+ *
+ * @param {string} text - The code.
+ * @returns {string} The code span, or an empty string for empty code.
+ */
+function wrapInlineCode(text) {
+  const code = text.replace(/\r?\n/g, ' ').trim();
+  if (!code) return "";
+  const ticks = '`'.repeat(getLongestCharRun(code, '`') + 1);
+  const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+  return `${ticks}${padding}${code}${padding}${ticks}`;
+}
+
+/**
+ * Build a fenced code block whose fence cannot be closed by the code itself.
+ *
+ * Backtick fences are one longer than the longest backtick run in the code; tildes are used when the info string contains a backtick, which a backtick fence does not allow.
+ *
+ * @param {string} code - The code.
+ * @param {string} [info=""] - The info string (language).
+ * @returns {string} The fenced block, without a trailing newline.
+ */
+function buildFencedCodeBlock(code, info = "") {
+  const body = code.replace(/^(?:[ \t]*\n)+/, '').replace(/\s+$/, '');
+  const char = info.includes('`') ? '~' : '`';
+  const fence = char.repeat(Math.max(3, getLongestCharRun(body, char) + 1));
+  return `${fence}${info}\n${body}\n${fence}`;
+}
+
+// ==========================================
+//  TEXT ESCAPING
+// ==========================================
+
+// Inline elements a text node can sit in without starting a new Markdown line
+const INLINE_TEXT_CONTAINERS = new Set(['A', 'SPAN', 'STRONG', 'B', 'EM', 'I', 'DEL', 'S', 'STRIKE', 'SUP', 'SUB', 'KBD', 'MARK', 'U', 'INS', 'ABBR', 'LABEL', 'SMALL', 'CITE', 'Q', 'TIME', 'FONT']);
+
+/**
+ * Decide whether a text node's output begins a Markdown line, where block syntax (`#`, `>`, `-`, `1.`) would be recognized.
+ * @param {Text} node - The text node.
+ * @returns {boolean} `true` when nothing but a block boundary or a `<br>` precedes the text.
+ */
+function isTextAtLineStart(node) {
+  let current = node;
+  while (current) {
+    let previous = current.previousSibling;
+    while (previous && previous.nodeType === Node.TEXT_NODE && !previous.textContent.trim()) {
+      previous = previous.previousSibling;
+    }
+    if (previous) {
+      return previous.nodeType === Node.ELEMENT_NODE && !INLINE_TEXT_CONTAINERS.has(previous.nodeName) && previous.nodeName !== 'CODE' && previous.nodeName !== 'IMG';
+    }
+    const parent = current.parentElement;
+    if (!parent || !INLINE_TEXT_CONTAINERS.has(parent.nodeName)) return true;
+    current = parent;
+  }
+  return true;
+}
+
+/**
+ * Escape characters in page text that Markdown would otherwise read as syntax.
+ *
+ * Only ambiguous positions are escaped: `_` inside a word and `*` between spaces stay as they are, brackets only when
+ * they pair up, `~` and `$` only when a second one could close strikethrough or math, and block markers only at the start of a line.
+ * Pipes are always escaped, since any line holding one can become a table row.
+ *
+ * @param {string} text - Raw text from a text node.
+ * @param {boolean} atLineStart - Whether the text begins a Markdown line.
+ * @returns {string} The escaped text.
+ */
+function escapeMarkdownText(text, atLineStart) {
+  if (!text || !text.trim()) return text;
+  const isAlphanumeric = ch => !!ch && /[\p{L}\p{N}]/u.test(ch);
+  const isSpace = ch => ch === undefined ? false : /\s/.test(ch);
+
+  let escaped = text
+    .replace(/\\(?=[!-/:-@[-`{-~])/g, '\\\\')
+    .replace(/`/g, '\\`')
+    .replace(/\*/g, (match, index, source) => (isSpace(source[index - 1]) && isSpace(source[index + 1]) ? match : '\\*'))
+    .replace(/_/g, (match, index, source) => (isAlphanumeric(source[index - 1]) && isAlphanumeric(source[index + 1]) ? match : '\\_'))
+    .replace(/\[([^[\]]*)\]/g, '\\[$1\\]')
+    .replace(/<(?=[A-Za-z/!?])/g, '\\<')
+    .replace(/&(?=#?\w+;)/g, '&amp;')
+    // A line with a pipe turns into a table header if a `---`-like line follows it
+    .replace(/\|/g, '\\|');
+  if ((escaped.match(/~/g) || []).length >= 2) escaped = escaped.replace(/~/g, '\\~');
+  if ((escaped.match(/\$/g) || []).length >= 2) escaped = escaped.replace(/\$/g, '\\$');
+
+  // Block syntax: headings, quotes, list markers and setext underlines
+  const lineStartRe = /(^|\n)([ \t]{0,3})(#|>|[-+](?=\s|$)|\d{1,9}(?=[.)](?:\s|$))|=+(?=[ \t]*(?:\n|$))|-{3,}(?=[ \t]*(?:\n|$)))/g;
+  return escaped.replace(lineStartRe, (match, lineBreak, indent, marker, offset) => {
+    if (!lineBreak && (offset !== 0 || !atLineStart)) return match;
+    if (/^\d/.test(marker)) return `${lineBreak}${indent}${marker}\\`;
+    return `${lineBreak}${indent}\\${marker}`;
+  });
+}
+
+// ==========================================
+//  INLINE FORMATTING
+// ==========================================
+
+const MARKDOWN_PUNCTUATION_RE = /[!-/:-@[-`{-~\p{P}\p{S}]/u;
+
+/**
+ * Return the character rendered right before or after an element, looking through its text siblings.
+ * @param {Element} element - The inline element.
+ * @param {'previous'|'next'} direction - Which side to look at.
+ * @returns {string} The adjacent character, or an empty string at a block boundary.
+ */
+function getAdjacentCharacter(element, direction) {
+  const sibling = direction === 'previous' ? element.previousSibling : element.nextSibling;
+  if (!sibling) return "";
+  const text = sibling.textContent || "";
+  return direction === 'previous' ? text.slice(-1) : text.charAt(0);
+}
+
+/**
+ * Wrap inline content in an emphasis delimiter (`**`, `*`, `~~`) that Markdown will actually recognize.
+ *
+ * Surrounding whitespace is moved outside the delimiters. When the content starts or ends with punctuation next to a word character,
+ * the delimiter would not be left/right-flanking and would show up literally, so the HTML tag is emitted instead.
+ *
+ * @param {Element} element - The formatting element, used to inspect its neighbours.
+ * @param {string} content - The converted inner Markdown.
+ * @param {string} delimiter - The Markdown delimiter.
+ * @param {string} htmlTag - The HTML tag to fall back to.
+ * @returns {string} The formatted Markdown.
+ */
+function wrapInlineDelimiter(element, content, delimiter, htmlTag) {
+  const inner = content.trim();
+  if (!inner) return content;
+  const leading = content.match(/^\s*/)[0];
+  const trailing = content.match(/\s*$/)[0];
+
+  const isWordChar = ch => !!ch && !/\s/.test(ch) && !MARKDOWN_PUNCTUATION_RE.test(ch);
+  const before = leading ? " " : getAdjacentCharacter(element, 'previous');
+  const after = trailing ? " " : getAdjacentCharacter(element, 'next');
+  const opensOnPunctuation = MARKDOWN_PUNCTUATION_RE.test(inner.charAt(0));
+  const closesOnPunctuation = MARKDOWN_PUNCTUATION_RE.test(inner.slice(-1));
+
+  if ((opensOnPunctuation && isWordChar(before)) || (closesOnPunctuation && isWordChar(after))) {
+    return `${leading}<${htmlTag}>${inner}</${htmlTag}>${trailing}`;
+  }
+  return `${leading}${delimiter}${inner}${delimiter}${trailing}`;
+}
+
+/**
+ * Convert SUP, SUB, KBD, MARK, U/INS and ABBR, which have no Markdown syntax.
+ *
+ * With the `inlineHtmlFormatting` option (the default) the element is kept as inline HTML, which GitHub and most renderers display;
+ * otherwise a plain-text approximation is used (`^2`, `_i`, a code span for keys, bold for highlights, `text (title)` for abbreviations).
+ *
+ * @param {Element} element - The formatting element.
+ * @param {string} content - The converted inner Markdown.
+ * @returns {string} The Markdown for the element.
+ */
+function convertInlineSemanticElement(element, content) {
+  const inner = content.trim();
+  if (!inner) return content;
+  const title = (element.getAttribute('title') || '').trim();
+  const keepHtml = conversionContext ? conversionContext.options.inlineHtmlFormatting : DEFAULT_EXPORT_OPTIONS.inlineHtmlFormatting;
+
+  if (keepHtml) {
+    const tag = element.nodeName.toLowerCase();
+    const titleAttr = tag === 'abbr' && title ? ` title="${title.replace(/"/g, '&quot;')}"` : '';
+    return `<${tag}${titleAttr}>${inner}</${tag}>`;
+  }
+
+  const grouped = /^\w+$/.test(inner) ? inner : `(${inner})`;
+  switch (element.nodeName) {
+    case "SUP": return `^${grouped}`;
+    case "SUB": return `_${grouped}`;
+    case "KBD": return wrapInlineCode(element.textContent);
+    case "MARK": return wrapInlineDelimiter(element, content, "**", "mark");
+    case "ABBR": return title && title !== inner ? `${inner} (${title})` : inner;
+    default: return inner;
+  }
+}
+
+// ==========================================
+//  MATH EXTRACTION
+// ==========================================
+
+// KaTeX, MathJax 2/3 and bare MathML; MathJax 2 rendered output is dropped in favour of its TeX script
+const MATH_ELEMENT_SELECTOR = '.katex-display, .katex, mjx-container, math, script[type^="math/tex"], .MathJax, .MathJax_Display, .MathJax_Preview';
+
+/**
+ * Convert a rendered formula back to TeX wrapped in `$...$` (inline) or a `$$` block (display).
+ *
+ * The TeX comes from the `application/x-tex` annotation KaTeX and MathJax keep in their MathML, or from MathJax 2's source script.
+ * When no TeX survives, the visible text is returned once instead of the visual and MathML copies side by side.
+ *
+ * @param {Element} element - An element matching MATH_ELEMENT_SELECTOR.
+ * @returns {string} The Markdown for the formula.
+ */
+function convertMathElement(element) {
+  // MathJax 3 containers also carry the MathJax class
+  if (!element.matches('mjx-container') && element.matches('.MathJax, .MathJax_Display, .MathJax_Preview')) return "";
+
+  let tex = null;
+  let display = false;
+  let fallbackText = "";
+
+  if (element.matches('script')) {
+    tex = element.textContent;
+    display = /mode\s*=\s*display/.test(element.getAttribute('type'));
+  } else {
+    const annotation = element.querySelector('annotation[encoding="application/x-tex"]');
+    const mathEl = element.matches('math') ? element : element.querySelector('math');
+    tex = annotation ? annotation.textContent : (mathEl && mathEl.getAttribute('alttext'));
+
+    if (element.matches('.katex-display')) {
+      display = true;
+      fallbackText = element.querySelector('.katex-html')?.textContent || "";
+    } else if (element.matches('.katex')) {
+      display = !!element.closest('.katex-display');
+      fallbackText = element.querySelector('.katex-html')?.textContent || "";
+    } else if (element.matches('mjx-container')) {
+      display = element.getAttribute('display') === 'true';
+      fallbackText = element.querySelector('mjx-assistive-mml')?.textContent || "";
+    } else {
+      display = element.getAttribute('display') === 'block';
+      fallbackText = element.textContent;
+    }
+  }
+
+  tex = (tex || "").trim();
+  if (!tex) {
+    return fallbackText.replace(/\s+/g, ' ').trim();
+  }
+  return display ? `\n$$\n${tex}\n$$\n\n` : `$${tex}$`;
+}
+
+
+
+// ==========================================
+//  SOURCE CITATIONS
+// ==========================================
+
+/**
+ * Get the repository-relative path a citation link points at.
+ * @param {string} pathPart - The link without its `#L` fragment.
+ * @returns {string} The path after `/blob/<ref>/` for GitHub links, otherwise the URL path without its leading slash.
+ */
+function getCitationFilePath(pathPart) {
+  let filePath;
+  try {
+    filePath = new URL(pathPart, location.href).pathname;
+  } catch (e) {
+    filePath = pathPart;
+  }
+  const blobMatch = filePath.match(/\/blob\/[^/]+\/(.+)$/);
+  const encoded = blobMatch ? blobMatch[1] : filePath.replace(/^\/+/, '');
+  try {
+    return decodeURIComponent(encoded);
+  } catch (e) {
+    // A malformed escape (`100%.md`) is shown as written
+    return encoded;
+  }
+}
+
+/**
+ * Record a source-file line citation for the footnote/reference modes and return the marker that replaces it inline.
+ *
+ * Citations are deduplicated by link target, so the same range cited twice shares one number.
+ *
+ * @param {string} href - The citation link (`.../blob/<sha>/path#L10-L20`).
+ * @param {string} pathPart - The link without its `#L` fragment.
+ * @param {string} lineRefText - The line range label, e.g. `L10-L20`.
+ * @returns {string} The marker (`[^1]` or `[[1]](#ref-1)`), or an empty string in the default inline mode.
+ */
+function registerCitation(href, pathPart, lineRefText) {
+  if (!conversionContext) return "";
+  const mode = conversionContext.options.citationMode;
+  if (mode !== 'footnotes' && mode !== 'references') return "";
+
+  const citations = conversionContext.citations;
+  let citation = citations.find(entry => entry.href === href);
+  if (!citation) {
+    citation = { number: citations.length + 1, href, filePath: getCitationFilePath(pathPart), lines: lineRefText };
+    citations.push(citation);
+  }
+  return mode === 'footnotes' ? `[^${citation.number}]` : `[[${citation.number}]](#ref-${citation.number})`;
+}
+
+/**
+ * Build the Markdown that lists the citations collected on the page: footnote definitions, or a "References" section grouped by file.
+ * @returns {string} The section preceded by a blank line, or an empty string when nothing was collected.
+ */
+function buildCitationSection() {
+  if (!conversionContext || conversionContext.citations.length === 0) return "";
+  const citations = conversionContext.citations;
+
+  if (conversionContext.options.citationMode === 'footnotes') {
+    return "\n\n" + citations
+      .map(c => `[^${c.number}]: [${escapeMarkdownText(c.filePath, false)} ${c.lines}](${c.href})`)
+      .join("\n") + "\n";
+  }
+
+  const byFile = new Map();
+  citations.forEach(c => {
+    if (!byFile.has(c.filePath)) byFile.set(c.filePath, []);
+    byFile.get(c.filePath).push(c);
+  });
+  let section = "\n\n## References\n";
+  byFile.forEach((entries, filePath) => {
+    section += `\n### ${wrapInlineCode(filePath)}\n\n`;
+    entries.forEach(c => {
+      section += `- <a id="ref-${c.number}"></a>\\[${c.number}\\] [${c.lines}](${c.href})\n`;
+    });
+  });
+  return section;
+}
+
+// Marks where a cited range was found; replaced by a placeholder line after the enclosing block
+const SOURCE_SNIPPET_TOKEN = /\uE000snippet:(\d+)\uE000/g;
+
+/**
+ * Request the cited lines to be embedded after the paragraph that cites them (`embedSourceSnippets` option).
+ *
+ * The content script cannot read the local clone, so it only leaves a token; placeSourceSnippets turns it into a
+ * `<!-- deepwiki-snippet:N -->` line that the popup or the batch runner fills with fillSourceSnippets. A range is
+ * embedded once, at its first citation.
+ *
+ * @param {string} href - The citation link.
+ * @param {string} pathPart - The link without its `#L` fragment.
+ * @param {number} start - First cited line.
+ * @param {number} end - Last cited line.
+ * @returns {string} The token to append to the citation, or an empty string.
+ */
+function registerSourceSnippet(href, pathPart, start, end) {
+  if (!conversionContext || !conversionContext.options.embedSourceSnippets) return "";
+  const snippets = conversionContext.snippets;
+  if (snippets.some(entry => entry.href === href)) return "";
+
+  const id = snippets.length + 1;
+  snippets.push({ id, href, filePath: getCitationFilePath(pathPart), start, end: Math.max(start, end) });
+  return `\uE000snippet:${id}\uE000`;
+}
+
+/**
+ * Move the snippet tokens left by registerSourceSnippet to placeholder lines after the block that contains them.
+ *
+ * Blocks end at the next blank line outside a code fence, so citations inside tables, lists and headings
+ * are not split by the embedded code.
+ *
+ * @param {string} markdown - The assembled page.
+ * @returns {string} The page with one `<!-- deepwiki-snippet:N -->` line per token.
+ */
+function placeSourceSnippets(markdown) {
+  if (!markdown.includes("\uE000")) return markdown;
+
+  const output = [];
+  let pending = [];
+  let fence = null;
+  const flush = () => {
+    pending.forEach(id => output.push("", `<!-- deepwiki-snippet:${id} -->`));
+    if (pending.length) output.push("");
+    pending = [];
+  };
+
+  markdown.split("\n").forEach(line => {
+    const clean = line.replace(SOURCE_SNIPPET_TOKEN, (match, id) => {
+      pending.push(id);
+      return "";
+    });
+    const fenceMatch = clean.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && !clean.trim().slice(fenceMatch[1].length)) {
+        fence = null;
       }
-      case "BR":
-        if (element.parentNode && ['P', 'DIV', 'LI'].includes(element.parentNode.nodeName) ) { // Added LI
-            const nextSibling = element.nextSibling;
-            // Add markdown hard break only if BR is followed by text or is at the end of a line within a block
-            if (!nextSibling || (nextSibling.nodeType === Node.TEXT_NODE && nextSibling.textContent.trim() !== '') || nextSibling.nodeType === Node.ELEMENT_NODE) {
-                 return "  \n"; // Return directly
-            }
+    }
+    if (!fence && !clean.trim() && pending.length) {
+      flush();
+      return;
+    }
+    output.push(clean);
+  });
+  flush();
+  return output.join("\n");
+}
+
+// ==========================================
+//  HEADINGS
+// ==========================================
+
+// Text of a permalink icon link: "#", "¶", "🔗" or nothing (an SVG icon)
+const HEADING_PERMALINK_TEXT_RE = /^[\s#¶🔗]*$/u;
+
+/**
+ * Check whether a link inside a heading only points at the heading itself (the "#" permalink DeepWiki adds).
+ * @param {Element} link - An `a` element inside the heading.
+ * @param {Element} heading - The heading element.
+ * @returns {boolean} `true` for self-links.
+ */
+function isHeadingSelfLink(link, heading) {
+  const href = link.getAttribute('href') || '';
+  const hashIndex = href.indexOf('#');
+  if (hashIndex === -1) return false;
+  let fragment = href.slice(hashIndex + 1);
+  try {
+    fragment = decodeURIComponent(fragment);
+  } catch (e) {
+    // A malformed escape (`#50%`) is compared as written
+  }
+  const page = href.slice(0, hashIndex);
+  const samePage = !page || page === location.pathname || page === location.href.split('#')[0];
+  return samePage && (!fragment || fragment === heading.id || fragment === link.id);
+}
+
+/**
+ * Convert an H1–H6 element through the inline pipeline, so code, links and emphasis in the title survive.
+ *
+ * Self-links are unwrapped (or dropped when they only hold an icon). With the `headingAnchors` option the heading's `id`
+ * is appended as `{#id}` or `<a id="id"></a>`, so `#fragment` links into the page keep resolving.
+ *
+ * @param {HTMLHeadingElement} element - The heading.
+ * @param {number} level - The heading level, 1–6.
+ * @returns {string} The ATX heading followed by a blank line, or an empty string for an empty heading.
+ */
+function convertHeadingToMarkdown(element, level) {
+  let text = "";
+  element.childNodes.forEach((c) => {
+    try {
+      if (c.nodeName === 'A' && isHeadingSelfLink(c, element)) {
+        if (!HEADING_PERMALINK_TEXT_RE.test(c.textContent)) {
+          c.childNodes.forEach(inner => { text += processNode(inner); });
         }
-        return ""; // Return directly (or empty if not a hard break)
-      case "TABLE": {
-          let tableMd = "";
-          const headerRows = Array.from(element.querySelectorAll(':scope > thead > tr, :scope > tr:first-child'));
-          const bodyRows = Array.from(element.querySelectorAll(':scope > tbody > tr'));
-          const allRows = Array.from(element.rows); // Fallback
-
-          let rowsToProcessForHeader = headerRows;
-          if (headerRows.length === 0 && allRows.length > 0) { // Infer header if THEAD is missing
-              rowsToProcessForHeader = [allRows[0]];
-          }
+      } else {
+        text += processNode(c);
+      }
+    } catch (e) { console.error("Error processing child of heading:", c, e); text += "[err]"; }
+  });
+  // Headings are single-line; a trailing " #" would be read as a closing sequence
+  text = text.replace(/\s+/g, ' ').trim().replace(/(^|\s)(#+)$/, '$1\\$2');
+  if (!text) return "";
+
+  const mode = conversionContext ? conversionContext.options.headingAnchors : DEFAULT_EXPORT_OPTIONS.headingAnchors;
+  const anchorLink = element.querySelector('a[id], a[name]');
+  const anchorId = element.id || (anchorLink && (anchorLink.getAttribute('id') || anchorLink.getAttribute('name'))) || '';
+  let anchor = "";
+  if (anchorId && mode === 'attribute') {
+    anchor = ` {#${anchorId}}`;
+  } else if (anchorId && mode === 'html') {
+    anchor = ` <a id="${anchorId.replace(/"/g, '&quot;')}"></a>`;
+  }
+  return `${'#'.repeat(level)} ${text}${anchor}\n\n`;
+}
 
-          if (rowsToProcessForHeader.length > 0) {
-              const headerRowElement = rowsToProcessForHeader[0];
-              let headerContent = "|"; let separator = "|";
-              Array.from(headerRowElement.cells).forEach(cell => {
-                  let cellText = ""; cell.childNodes.forEach(c => { try { cellText += processNode(c); } catch (e) { console.error("Error processing child of TH/TD (Header):", c, e); cellText += "[err]";}});
-                  headerContent += ` ${cellText.trim().replace(/\|/g, "\\|")} |`; separator += ` --- |`;
-              });
-              tableMd += `${headerContent}\n${separator}\n`;
-          }
+// ==========================================
+//  LIST CONVERSION
+// ==========================================
 
-          let rowsToProcessForBody = bodyRows;
-          if (bodyRows.length === 0 && allRows.length > (headerRows.length > 0 ? 1 : 0) ) { // If no TBODY, take remaining rows
-              rowsToProcessForBody = headerRows.length > 0 ? allRows.slice(1) : allRows;
-          }
+const LIST_MARKER_LINE_RE = /^\s*(?:[*+-]|\d+[.)])\s/;
+const LIST_ITEM_BLOCK_ELEMENTS = new Set(['UL', 'OL', 'PRE', 'P', 'BLOCKQUOTE', 'TABLE', 'DETAILS', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6']);
 
+/**
+ * Indent the continuation lines of a list item so they stay inside it.
+ *
+ * Blank lines in front of a nested list are dropped to keep tight lists tight; blank lines inside fenced code are left alone.
+ *
+ * @param {string} content - The trimmed item Markdown.
+ * @param {number} width - The width of the item marker, including its trailing space.
+ * @returns {string} The content with every line after the first indented by `width` spaces.
+ */
+function indentListItemContent(content, width) {
+  const indent = ' '.repeat(width);
+  const lines = content.split('\n');
+  const result = [];
+  let fence = null;
+  lines.forEach((line, index) => {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+    }
+    if (!fence && LIST_MARKER_LINE_RE.test(line)) {
+      while (result.length > 1 && result[result.length - 1] === '') result.pop();
+    }
+    if (!fence && line.trim() === '' && result[result.length - 1] === '') return;
+    if (index === 0) result.push(line);
+    else result.push(line.trim() === '' && !fence ? '' : indent + line);
+  });
+  return result.join('\n');
+}
 
-          rowsToProcessForBody.forEach(row => {
-              // Ensure we don't re-process a header row if using allRows fallback logic above and header was found
-              if (rowsToProcessForHeader.length > 0 && rowsToProcessForHeader.includes(row)) return;
+/**
+ * Convert a `ul`/`ol` element to Markdown, nesting sub-lists and block content under their item.
+ *
+ * Ordered lists honour the `start` attribute, and items that begin with a checkbox become GFM task items. Lists that only hold source citations are flattened to one line per item.
+ *
+ * @param {HTMLUListElement|HTMLOListElement} element - The list to convert.
+ * @returns {string} The list Markdown followed by a blank line, or an empty string for an empty list.
+ */
+function convertListToMarkdown(element) {
+  const ordered = element.nodeName === 'OL';
+  // Determine if it is a source-related list
+  const isSourceList = (
+    (element.previousElementSibling && /source/i.test(element.previousElementSibling.textContent)) ||
+    (element.parentElement && /source/i.test(element.parentElement.textContent)) ||
+    element.classList.contains('source-list')
+  );
+  const startAttr = parseInt(element.getAttribute('start'), 10);
+  let number = ordered && !isNaN(startAttr) ? startAttr : 1;
+  let list = "";
+
+  element.querySelectorAll(":scope > li").forEach((li) => {
+    const checkbox = li.querySelector(':scope > input[type="checkbox"], :scope > label:first-child > input[type="checkbox"], :scope > p:first-child > input[type="checkbox"]');
+    let liTxt = "";
+    li.childNodes.forEach((c) => {
+      // Block content must not run into the item text in front of it ("a* nested")
+      if (LIST_ITEM_BLOCK_ELEMENTS.has(c.nodeName) && liTxt.trim() && !liTxt.endsWith('\n')) liTxt += "\n\n";
+      try { liTxt += processNode(c); } catch (e) { console.error("Error processing child of LI:", c, e); liTxt += "[err]";}
+    });
+    if (isSourceList) {
+      liTxt = liTxt.trim().replace(/\n+/g, ' '); // Merge source-related li into one line
+    } else {
+      liTxt = liTxt.trim();
+    }
+    if (!liTxt && !checkbox) return;
 
-              let rowContent = "|";
-              Array.from(row.cells).forEach(cell => {
-                  let cellText = ""; cell.childNodes.forEach(c => { try { cellText += processNode(c); } catch (e) { console.error("Error processing child of TH/TD (Body):", c, e); cellText += "[err]";}});
-                  rowContent += ` ${cellText.trim().replace(/\|/g, "\\|").replace(/\n+/g, ' <br> ')} |`;
-              });
-              tableMd += `${rowContent}\n`;
-          });
-          resultMd = tableMd + (tableMd ? "\n" : "");
-          break;
-      }
-      case "THEAD": case "TBODY": case "TFOOT": case "TR": case "TH": case "TD":
-          return ""; // Handled by TABLE case, return empty string if processed directly
+    const marker = ordered ? `${number}. ` : "* ";
+    const task = checkbox ? (checkbox.checked || checkbox.hasAttribute('checked') ? "[x] " : "[ ] ") : "";
+    list += `${marker}${task}${isSourceList ? liTxt : indentListItemContent(liTxt, marker.length)}\n`;
+    if (ordered) number++;
+  });
 
-      case "DETAILS": {
-          let summaryText = "Details"; const summaryElem = element.querySelector('summary');
-          if (summaryElem) { let tempSummary = ""; summaryElem.childNodes.forEach(c => { try { tempSummary += processNode(c); } catch (e) { console.error("Error processing child of SUMMARY:", c, e); tempSummary += "[err]";}}); summaryText = tempSummary.trim() || "Details"; }
-          let detailsContent = "";
-          Array.from(element.childNodes).forEach(child => { if (child.nodeName !== "SUMMARY") { try { detailsContent += processNode(child); } catch (e) { console.error("Error processing child of DETAILS:", c, e); detailsContent += "[err]";}}});
-          resultMd = `> **${summaryText}**\n${detailsContent.trim().split('\n').map(l => `> ${l}`).join('\n')}\n\n`;
-          break;
+  return list + (list ? "\n" : "");
+}
+
+// ==========================================
+//  TABLE CONVERSION
+// ==========================================
+
+// Attributes kept when a table has to be emitted as raw HTML
+const TABLE_HTML_ATTRIBUTES = new Set(['colspan', 'rowspan', 'align', 'href', 'src', 'alt', 'title']);
+
+/**
+ * Lay a table's cells out on a grid, expanding `colspan`/`rowspan` so every row has one slot per column.
+ * @param {HTMLTableElement} table - The table to lay out.
+ * @returns {Array<Array<{cell: HTMLTableCellElement, origin: boolean}|null>>} Rows of slots; `origin` is true only in a cell's top-left slot.
+ */
+function buildTableGrid(table) {
+  const grid = [];
+  Array.from(table.rows).forEach((row, rowIndex) => {
+    grid[rowIndex] = grid[rowIndex] || [];
+    let column = 0;
+    Array.from(row.cells).forEach(cell => {
+      while (grid[rowIndex][column]) column++;
+      const colSpan = Math.max(1, cell.colSpan || 1);
+      const rowSpan = Math.max(1, cell.rowSpan || 1);
+      for (let r = 0; r < rowSpan; r++) {
+        grid[rowIndex + r] = grid[rowIndex + r] || [];
+        for (let c = 0; c < colSpan; c++) {
+          grid[rowIndex + r][column + c] = { cell, origin: r === 0 && c === 0 };
+        }
       }
-      case "SUMMARY": return ""; // Handled by DETAILS
+      column += colSpan;
+    });
+  });
+  // Rows created only by a trailing rowspan are not real rows
+  return grid.slice(0, table.rows.length);
+}
 
-      case "DIV":
-      case "SPAN":
-      case "SECTION":
-      case "ARTICLE":
-      case "MAIN":
-      default: {
-        let txt = "";
-        element.childNodes.forEach((c) => { try { txt += processNode(c); } catch (e) { console.error("Error processing child of DEFAULT case:", c, element.nodeName, e); txt += "[err]";}});
-        
-        const d = window.getComputedStyle(element);
-        const isBlock = ["block", "flex", "grid", "list-item", "table", 
-                         "table-row-group", "table-header-group", "table-footer-group"].includes(d.display);
+/**
+ * Read the horizontal alignment of a table cell from its `align` attribute or `text-align` style.
+ *
+ * A computed alignment only counts when it differs from the table's own, so page-wide `text-align` rules do not mark every column.
+ *
+ * @param {HTMLTableCellElement} cell - The cell to inspect.
+ * @param {string} tableAlignment - The computed `text-align` of the table element.
+ * @returns {string} `left`, `center`, `right`, or an empty string when no alignment is set.
+ */
+function getTableCellAlignment(cell, tableAlignment) {
+  const computed = window.getComputedStyle(cell).textAlign;
+  const candidates = [
+    cell.getAttribute('align'),
+    cell.style && cell.style.textAlign,
+    computed !== tableAlignment ? computed : ''
+  ];
+  for (const value of candidates) {
+    const normalized = (value || '').trim().toLowerCase();
+    if (['left', 'center', 'right'].includes(normalized)) return normalized;
+  }
+  return '';
+}
 
-        if (isBlock && txt.trim()) {
-          // Ensure that text from children which already ends in \n\n isn't given more \n\n
-          if (txt.endsWith('\n\n')) {
-              resultMd = txt;
-          } else if (txt.endsWith('\n')) { // if it ends with one \n, add one more for spacing
-              resultMd = txt + '\n';
-          } else { // if it has no trailing newlines, add two.
-              resultMd = txt.trimEnd() + "\n\n";
-          }
-        } else { // Inline element or empty block element
-          return txt; // Return directly
+/**
+ * Convert the content of a table cell to single-line Markdown.
+ *
+ * Lists become inline HTML lists and line breaks become `<br>`, which GFM renders inside table cells.
+ *
+ * @param {Node} node - The cell (or a node inside it).
+ * @returns {string|null} The cell Markdown, or `null` when the content cannot live in a GFM cell (nested tables, multi-line code blocks).
+ */
+function convertTableCellContent(node) {
+  const parts = [];
+  for (const child of Array.from(node.childNodes)) {
+    if (child.nodeType === Node.ELEMENT_NODE) {
+      if (child.nodeName === 'TABLE') return null;
+      if (child.nodeName === 'BR') {
+        parts.push('\n');
+        continue;
+      }
+      if (child.nodeName === 'PRE') {
+        const code = child.textContent.replace(/\n+$/, '');
+        if (code.includes('\n')) return null;
+        parts.push(wrapInlineCode(code).replace(/\|/g, "\\|"));
+        continue;
+      }
+      if (child.nodeName === 'UL' || child.nodeName === 'OL') {
+        const tag = child.nodeName.toLowerCase();
+        const items = [];
+        for (const li of Array.from(child.querySelectorAll(':scope > li'))) {
+          const itemContent = convertTableCellContent(li);
+          if (itemContent === null) return null;
+          items.push(`<li>${itemContent}</li>`);
         }
+        parts.push(`<${tag}>${items.join('')}</${tag}>`);
+        continue;
+      }
+      if (child.querySelector('table') || Array.from(child.querySelectorAll('pre')).some(pre => pre.textContent.replace(/\n+$/, '').includes('\n'))) {
+        return null;
+      }
+      if (child.querySelector('ul, ol')) {
+        const nested = convertTableCellContent(child);
+        if (nested === null) return null;
+        parts.push(nested);
+        continue;
       }
     }
-  } catch (error) {
-      console.error("Unhandled error in processNode for element:", element.nodeName, element, error);
-      return `\n[ERROR_PROCESSING_ELEMENT: ${element.nodeName}]\n\n`; // Return an error placeholder
+    let childMd = "";
+    try { childMd = processNode(child); } catch (e) { console.error("Error processing child of TH/TD:", child, e); childMd = "[err]"; }
+    // Pipes would end the cell; text and nested list items arrive already escaped (after an odd number of backslashes)
+    parts.push(childMd.replace(/(?<!\\)((?:\\\\)*)\|/g, "$1\\|"));
   }
-  // console.log("processNode END for:", element.nodeName, "Output:", resultMd.substring(0,50)); // DEBUG
-  return resultMd;
+  return parts.join('')
+    .trim()
+    .replace(/ {2}\n/g, '\n')
+    .replace(/\n+/g, '<br>');
+}
+
+/**
+ * Emit a table as cleaned-up HTML, stripping presentational attributes but keeping spans, alignment and links.
+ * @param {HTMLTableElement} table - The table to serialize.
+ * @returns {string} The table HTML followed by a blank line.
+ */
+function convertTableToHtml(table) {
+  const clone = table.cloneNode(true);
+  clone.querySelectorAll('script, style, button, svg').forEach(el => el.remove());
+  [clone, ...clone.querySelectorAll('*')].forEach(el => {
+    Array.from(el.attributes).forEach(attr => {
+      if (!TABLE_HTML_ATTRIBUTES.has(attr.name.toLowerCase())) el.removeAttribute(attr.name);
+    });
+  });
+  // A blank line would end the HTML block in Markdown
+  return clone.outerHTML.replace(/\n\s*\n/g, '\n') + "\n\n";
+}
+
+/**
+ * Convert an HTML table to a GitHub-flavoured Markdown table.
+ *
+ * Column alignment comes from the header cells (falling back to the first body row), spanned body cells are repeated in each slot they cover,
+ * and tables GFM cannot represent (several header rows, spans in the header, block content in cells) are emitted as HTML instead.
+ *
+ * @param {HTMLTableElement} table - The table to convert.
+ * @returns {string} The Markdown (or HTML) for the table followed by a blank line, or an empty string for an empty table.
+ */
+function convertTableToMarkdown(table) {
+  const grid = buildTableGrid(table);
+  if (grid.length === 0) return "";
+
+  const headerRowCount = table.tHead ? table.tHead.rows.length : 1;
+  const columnCount = Math.max(...grid.map(row => row.length));
+  if (columnCount === 0) return "";
+
+  const headerSlots = grid[0];
+  const headerHasSpans = headerSlots.some(slot => slot && (slot.cell.rowSpan > 1 || slot.cell.colSpan > 1));
+  if (headerRowCount > 1 || headerHasSpans) {
+    return convertTableToHtml(table);
+  }
+
+  const cellMarkdown = new Map();
+  for (const row of grid) {
+    for (const slot of row) {
+      if (!slot || !slot.origin || cellMarkdown.has(slot.cell)) continue;
+      const content = convertTableCellContent(slot.cell);
+      if (content === null) {
+        return convertTableToHtml(table);
+      }
+      cellMarkdown.set(slot.cell, content);
+    }
+  }
+
+  const renderRow = row => {
+    const cells = [];
+    for (let column = 0; column < columnCount; column++) {
+      const slot = row[column];
+      // GFM has no spans: a spanned body cell repeats its content in every slot it covers
+      cells.push(slot ? cellMarkdown.get(slot.cell) : "");
+    }
+    return `| ${cells.join(" | ")} |`;
+  };
+
+  const tableAlignment = window.getComputedStyle(table).textAlign;
+  const separators = [];
+  for (let column = 0; column < columnCount; column++) {
+    const candidates = [grid[0][column], grid[1] && grid[1][column]].filter(slot => slot && slot.origin);
+    const alignment = candidates.map(slot => getTableCellAlignment(slot.cell, tableAlignment)).find(Boolean) || '';
+    separators.push({ left: ':---', center: ':---:', right: '---:' }[alignment] || '---');
+  }
+
+  const lines = [renderRow(grid[0]), `| ${separators.join(" | ")} |`];
+  grid.slice(1).forEach(row => lines.push(renderRow(row)));
+  return lines.join("\n") + "\n\n";
+}
+
+// ==========================================
+//  FRONT MATTER
+// ==========================================
+
+/**
+ * Build the YAML front matter of the page being converted (`frontMatter` option).
+ *
+ * Sidebar fields (`order`, `depth`, `numberPrefix`, `parent`) are only known to the batch runner, which sends them
+ * with the conversion request; single-page exports leave those lines out. In "pinned" GitHub link mode the
+ * repository and commit are written even with front matter off, so archived pages record what they are pinned to.
+ *
+ * @param {string} title - The page title.
+ * @param {{url?: string, order?: number, depth?: number, numberPrefix?: string, parent?: string}} [page] - Sidebar position sent by the batch runner.
+ * @param {{repository: string, sha: string}|null} indexedCommit - The commit DeepWiki indexed, if found.
+ * @returns {string} The front matter block, or an empty string.
+ */
+function buildPageFrontMatter(title, page, indexedCommit) {
+  const options = conversionContext.options;
+  const pinned = options.githubLinkMode === 'pinned' && indexedCommit;
+  if (!options.frontMatter && !pinned) return "";
+
+  const url = (page && page.url) || location.href;
+  const { owner, repo } = getProjectRepository(url);
+  const fields = {
+    ...(page || {}),
+    title,
+    url,
+    owner,
+    repo,
+    // Devin wikis only name the owner; the cited GitHub repository is the better answer there
+    repository: owner && repo ? `${owner}/${repo}` : (indexedCommit ? indexedCommit.repository : ""),
+    exported: new Date().toISOString(),
+    commit: indexedCommit ? indexedCommit.sha : ""
+  };
+  return buildFrontMatter(options.frontMatter ? options.frontMatterTemplate : PINNED_FRONT_MATTER_TEMPLATE, fields);
 }
 
 /**
@@ -0,0 +1,56 @@
+// Export options shared by the popup, the background worker and the content script.
+// Loaded as a classic script in all three contexts, so it only declares globals.
+
+const EXPORT_OPTIONS_STORAGE_KEY = 'exportOptions';
+
+const DEFAULT_EXPORT_OPTIONS = {
+  // Save every rendered Mermaid diagram as assets/<id>.svg and link it from the Markdown
+  diagramSvgAssets: false,
+  // Also rasterize diagrams to assets/<id>.png (skipped for diagrams the browser refuses to draw on a canvas)
+  diagramPngAssets: false,
+  // Turn lines that fail Mermaid validation into %% comments instead of shipping a diagram that will not render
+  commentOutInvalidMermaid: false,
+  // Keep sup/sub/kbd/mark/underline/abbr as inline HTML; when off they are approximated in plain Markdown
+  inlineHtmlFormatting: true,
+  // Append each heading's id to its line: 'none', 'attribute' ({#id}) or 'html' (<a id="id"></a>)
+  headingAnchors: 'none',
+  // In batch exports, point links between wiki pages at the exported .md files instead of the website
+  rewriteCrossPageLinks: true,
+  // Source-file line citations: 'inline' links, numbered 'footnotes', or a 'references' section grouped by file
+  citationMode: 'inline',
+  // GitHub source links: 'stripped' of the commit SHA, 'pinned' to the commit DeepWiki indexed, or 'branch' (default branch)
+  githubLinkMode: 'stripped',
+  // Embed the cited source lines under each citation, read from a local clone chosen in the popup
+  embedSourceSnippets: false,
+  // Start every page with YAML front matter built from frontMatterTemplate
+  frontMatter: false,
+  // Field template of the front matter; see buildFrontMatter in front-matter.js for the placeholders
+  frontMatterTemplate: 'title: {title}\nsource: {url}\nrepository: {repository}\nsidebar_position: {order}\nnumber_prefix: {numberPrefix}\nparent: {parent}\nexported_at: {exported}\ncommit: {commit}',
+  // Batch exports as a static site project: 'none' (flat .md files), 'mkdocs', 'docusaurus' or 'vitepress'
+  siteProfile: 'none'
+};
+
+// Allowed values of the options that are not booleans
+const EXPORT_OPTION_CHOICES = {
+  headingAnchors: ['none', 'attribute', 'html'],
+  citationMode: ['inline', 'footnotes', 'references'],
+  githubLinkMode: ['stripped', 'pinned', 'branch'],
+  siteProfile: ['none', 'mkdocs', 'docusaurus', 'vitepress']
+};
+
+/**
+ * Merge user-provided export options over the defaults, ignoring unknown keys, values of the wrong type and unlisted choices.
+ * @param {Object} [options] - Options as stored or received in a message.
+ * @returns {Object} A complete options object.
+ */
+function normalizeExportOptions(options) {
+  const normalized = { ...DEFAULT_EXPORT_OPTIONS };
+  if (!options || typeof options !== 'object') return normalized;
+
+  Object.keys(DEFAULT_EXPORT_OPTIONS).forEach(key => {
+    if (typeof options[key] !== typeof DEFAULT_EXPORT_OPTIONS[key]) return;
+    if (EXPORT_OPTION_CHOICES[key] && !EXPORT_OPTION_CHOICES[key].includes(options[key])) return;
+    normalized[key] = options[key];
+  });
+  return normalized;
+}
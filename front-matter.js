@@ -0,0 +1,140 @@
+// YAML front matter for exported pages, shared by the content script and the background worker.
+// Loaded as a classic script in both contexts, so it only declares globals.
+
+// Written in "pinned" GitHub link mode when front matter is off, so archives still record their commit
+const PINNED_FRONT_MATTER_TEMPLATE = 'repository: {repository}\ncommit: {commit}';
+
+// Words a YAML parser would read as booleans or null
+const YAML_RESERVED_SCALARS = /^(?:true|false|yes|no|on|off|null|~)$/i;
+
+/**
+ * Derives the site-specific project path prefix from a page URL.
+ *
+ * For devin.ai this typically returns a prefix like `/wiki/{owner}`; for DeepWiki/other wikis it typically returns `/wiki/{owner}/{repo}`. Falls back to the first one or two path segments or `/` when markers are absent.
+ * @param {string} urlString - The full page URL to analyze.
+ * @returns {string|null} The project path prefix starting with `/` used to group pages by project, or `null` if the URL could not be parsed.
+ */
+function getProjectPrefix(urlString) {
+  try {
+    const url = new URL(urlString);
+    const pathSegments = url.pathname.split('/').filter(Boolean);
+    const hostname = url.hostname;
+
+    // Devin.ai wiki structure: /wiki/{owner}/{page_slug}
+    // The owner level is the project scope, not the page
+    const isDevinAi = hostname.includes('devin.ai');
+
+    // If we have a clear marker like "wiki" or "docs", we want to grab everything up to that point
+    // plus the appropriate number of segments based on the site
+    const markerIdx = pathSegments.findIndex(seg => ['deepwiki', 'wiki', 'docs'].includes(seg.toLowerCase()));
+
+    if (markerIdx >= 0) {
+       // For Devin.ai: /wiki/{owner} is the project scope (marker + 1 segment)
+       // For DeepWiki: /wiki/{owner}/{repo} is the project scope (marker + 2 segments)
+       const segmentsAfterMarker = pathSegments.length - (markerIdx + 1);
+
+       if (isDevinAi) {
+         // Devin.ai: /wiki/Owner is the project prefix (all pages under this owner)
+         if (segmentsAfterMarker >= 1) {
+           return `/${pathSegments.slice(0, markerIdx + 2).join('/')}`;
+         }
+         return `/${pathSegments.slice(0, markerIdx + 1).join('/')}`;
+       }
+
+       // DeepWiki and others: /wiki/Owner/Repo is the project prefix
+       if (segmentsAfterMarker >= 2) {
+           return `/${pathSegments.slice(0, markerIdx + 3).join('/')}`;
+       }
+       return `/${pathSegments.slice(0, markerIdx + 2).join('/')}`;
+    }
+
+    // Fallbacks for paths without markers
+    if (pathSegments.length >= 2) {
+      return `/${pathSegments.slice(0, 2).join('/')}`;
+    }
+    if (pathSegments.length === 1) {
+      return `/${pathSegments[0]}`;
+    }
+    return '/';
+  } catch (error) {
+    console.warn('Failed to derive project prefix:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Split a project path prefix into repository owner and name.
+ * @param {string} urlString - A page URL of the wiki.
+ * @returns {{owner: string, repo: string}} The owner and repository, empty when the URL does not name them
+ *   (Devin wikis only carry the owner).
+ */
+function getProjectRepository(urlString) {
+  const prefix = getProjectPrefix(urlString) || '';
+  const segments = prefix.split('/').filter(Boolean);
+  const markerIdx = segments.findIndex(seg => ['deepwiki', 'wiki', 'docs'].includes(seg.toLowerCase()));
+  const [owner = '', repo = ''] = segments.slice(markerIdx + 1);
+  return { owner, repo };
+}
+
+/**
+ * Format a value as a YAML scalar, quoting strings a parser would otherwise read as another type or misparse.
+ * @param {string|number} value - The field value.
+ * @returns {string} The scalar as written after `key: `.
+ */
+function formatYamlScalar(value) {
+  if (typeof value === 'number') return String(value);
+  const text = String(value);
+  const plain = /^[\w./][\w ./@+-]*$/.test(text) && !/\s$/.test(text);
+  const ambiguous = YAML_RESERVED_SCALARS.test(text) || /^[-+.\d][\d._eE+-]*$/.test(text);
+  return plain && !ambiguous ? text : JSON.stringify(text);
+}
+
+/**
+ * Build the YAML front matter block of a page from a field template.
+ *
+ * Each template line is `key: value`, where the value may mix text and `{field}` placeholders. A line is kept only
+ * if all its placeholders have a value, so pages outside a batch simply lose their sidebar fields. Values without
+ * placeholders and lines starting with `#` are copied as written; anything else is ignored.
+ *
+ * @param {string} template - The field template, e.g. DEFAULT_EXPORT_OPTIONS.frontMatterTemplate.
+ * @param {Object<string, string|number>} fields - Values by placeholder name (`title`, `url`, `owner`, `repo`,
+ *   `repository`, `order`, `depth`, `numberPrefix`, `parent`, `exported`, `commit`).
+ * @returns {string} The `---` delimited block followed by a blank line, or an empty string when no line is kept.
+ */
+function buildFrontMatter(template, fields) {
+  const lines = [];
+  String(template || '').split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('#')) {
+      lines.push(trimmed);
+      return;
+    }
+    const entry = trimmed.match(/^([\w.-]+)\s*:\s*(.*)$/);
+    if (!entry) return;
+
+    const placeholders = entry[2].match(/\{\w+\}/g) || [];
+    if (!placeholders.length) {
+      // Literal values (`draft: false`, `layout: doc`) are the user's YAML already
+      if (entry[2]) lines.push(`${entry[1]}: ${entry[2]}`);
+      return;
+    }
+
+    let complete = true;
+    const value = entry[2].replace(/\{(\w+)\}/g, (match, name) => {
+      const fieldValue = fields[name];
+      if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+        complete = false;
+        return '';
+      }
+      return String(fieldValue);
+    });
+    if (!complete || value === '') return;
+
+    // A lone placeholder keeps its field's type, so numeric fields stay numbers
+    const single = placeholders.length === 1 && entry[2] === placeholders[0];
+    lines.push(`${entry[1]}: ${formatYamlScalar(single ? fields[placeholders[0].slice(1, -1)] : value)}`);
+  });
+
+  if (!lines.some(line => !line.startsWith('#'))) return '';
+  return `---\n${lines.join('\n')}\n---\n\n`;
+}
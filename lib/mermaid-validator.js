@@ -0,0 +1,466 @@
+/**
+ * Lightweight Mermaid syntax validator.
+ *
+ * Checks Mermaid text line by line against a simplified grammar of each diagram type, plus block balance
+ * (subgraph/end, loop/end, class braces, ...). It does not render anything and is intentionally lenient:
+ * the goal is to catch the mistakes that make GitHub/GitLab refuse to render a diagram, not to reimplement Mermaid.
+ *
+ * Exposes a single global, `MermaidValidator`, usable from content scripts, the service worker and Node.
+ */
+(function (root) {
+  'use strict';
+
+  const DIAGRAM_HEADERS = [
+    { type: 'flowchart', re: /^(?:flowchart|graph)(?:\s+(?:TB|TD|BT|RL|LR))?\s*;?$/ },
+    { type: 'sequence', re: /^sequenceDiagram$/ },
+    { type: 'class', re: /^classDiagram(?:-v2)?$/ },
+    { type: 'state', re: /^stateDiagram(?:-v2)?$/ },
+    { type: 'er', re: /^erDiagram$/ },
+    { type: 'gantt', re: /^gantt$/ },
+    { type: 'pie', re: /^pie(?:\s+showData)?(?:\s+title\s+.+)?$/ },
+    { type: 'timeline', re: /^timeline$/ },
+    { type: 'mindmap', re: /^mindmap$/ },
+    { type: 'gitGraph', re: /^gitGraph(?:\s+(?:LR|TB|BT))?\s*:?$/ },
+    // Recognized, but their bodies are not checked
+    { type: 'other', re: /^(?:journey|quadrantChart|requirementDiagram|C4Context|C4Container|C4Component|C4Dynamic|C4Deployment|sankey-beta|xychart-beta|block-beta|packet-beta|architecture-beta|kanban|radar-beta|treemap-beta|zenuml)\b/ }
+  ];
+
+  // Lines accepted anywhere in any diagram
+  const COMMON_LINE_RE = /^(?:%%.*|accTitle\s*:.*|accDescr\s*:.*|accDescr\s*\{.*|title\s.*)$/;
+
+  // ---------------------------------------------------------------------
+  //  Flowchart
+  // ---------------------------------------------------------------------
+
+  // Ordered longest opener first so "((" wins over "("
+  const FLOWCHART_SHAPES = [
+    ['(((', [')))']],
+    ['((', ['))']],
+    ['([', ['])']],
+    ['[[', [']]']],
+    ['[(', [')]']],
+    ['[/', ['/]', '\\]']],
+    ['[\\', ['\\]', '/]']],
+    ['{{', ['}}']],
+    ['(', [')']],
+    ['[', [']']],
+    ['{', ['}']],
+    ['>', [']']]
+  ];
+
+  const FLOWCHART_ID_RE = /^[A-Za-z0-9_\u00C0-\uFFFF$#*+!?'`\/\\.,]+(?:-[A-Za-z0-9_\u00C0-\uFFFF]+)*/;
+  const FLOWCHART_LINK_WITH_TEXT_RE = /^[<xo]?(?:--|==|-\.)\s+(?:"[^"]*"|[^"|]+?)\s+(?:-{2,}|={2,}|\.+-)[>xo]?/;
+  const FLOWCHART_LINK_RE = /^[<xo]?(?:-{2,}|={2,}|-\.+-|~{3,})[>xo]?/;
+  const FLOWCHART_PIPE_TEXT_RE = /^\|(?:"[^"]*"|[^|]*)\|/;
+
+  /**
+   * Parse one node reference (`id`, `id[text]`, `id:::cls`, `id@{ ... }`) at the start of `text`.
+   * @param {string} text - Remaining statement text.
+   * @returns {{length: number}|{error: string}} Characters consumed, or a description of the problem.
+   */
+  function parseFlowchartNode(text) {
+    const idMatch = text.match(FLOWCHART_ID_RE);
+    if (!idMatch) return { error: `Expected a node id near "${text.slice(0, 20)}"` };
+    let pos = idMatch[0].length;
+    if (/^(?:end|subgraph)$/i.test(idMatch[0]) && pos === text.length) {
+      return { error: `"${idMatch[0]}" cannot be used as a node id` };
+    }
+
+    if (text.startsWith('@{', pos)) {
+      const close = text.indexOf('}', pos);
+      if (close === -1) return { error: 'Unclosed "@{" shape definition' };
+      pos = close + 1;
+    } else {
+      const shape = FLOWCHART_SHAPES.find(([opener]) => text.startsWith(opener, pos));
+      if (shape) {
+        const [opener, closers] = shape;
+        pos += opener.length;
+        const rest = text.slice(pos);
+        let labelLength;
+        if (rest.startsWith('"')) {
+          const endQuote = rest.indexOf('"', 1);
+          if (endQuote === -1) return { error: 'Unterminated quoted label' };
+          labelLength = endQuote + 1;
+        } else {
+          const closerIdx = Math.min(...closers.map(c => {
+            const idx = rest.indexOf(c);
+            return idx === -1 ? Infinity : idx;
+          }));
+          if (closerIdx === Infinity) return { error: `Missing "${closers[0]}" to close "${opener}" in node "${idMatch[0]}"` };
+          labelLength = closerIdx;
+          if (/["()[\]{}]/.test(rest.slice(0, labelLength))) {
+            return { error: `Node "${idMatch[0]}" has brackets or quotes in an unquoted label; wrap the label in double quotes` };
+          }
+        }
+        const closer = closers.find(c => rest.startsWith(c, labelLength));
+        if (!closer) return { error: `Missing "${closers[0]}" to close "${opener}" in node "${idMatch[0]}"` };
+        pos += labelLength + closer.length;
+      }
+    }
+
+    const classMatch = text.slice(pos).match(/^:::[A-Za-z0-9_\-]+/);
+    if (classMatch) pos += classMatch[0].length;
+    return { length: pos };
+  }
+
+  /**
+   * Parse `node (& node)*` at the start of `text`.
+   * @param {string} text - Remaining statement text.
+   * @returns {{length: number}|{error: string}} Characters consumed, or a description of the problem.
+   */
+  function parseFlowchartNodeGroup(text) {
+    let pos = 0;
+    for (;;) {
+      const node = parseFlowchartNode(text.slice(pos));
+      if (node.error) return node;
+      pos += node.length;
+      const amp = text.slice(pos).match(/^\s*&\s*/);
+      if (!amp) return { length: pos };
+      pos += amp[0].length;
+    }
+  }
+
+  /**
+   * Validate a flowchart statement: a keyword statement or a chain of node groups joined by links.
+   * @param {string} stmt - Trimmed statement without a trailing semicolon.
+   * @returns {string|null} Error message, or `null` when the statement is valid.
+   */
+  function checkFlowchartStatement(stmt) {
+    if (/^(?:classDef|class|style|click|linkStyle|direction)\b/.test(stmt)) {
+      if (/^classDef\s+\S+\s+\S/.test(stmt)) return null;
+      if (/^class\s+\S+\s+\S+$/.test(stmt)) return null;
+      if (/^style\s+\S+\s+\S/.test(stmt)) return null;
+      if (/^click\s+\S+\s+\S/.test(stmt)) return null;
+      if (/^linkStyle\s+(?:default|\d+(?:\s*,\s*\d+)*)\s+\S/.test(stmt)) return null;
+      if (/^direction\s+(?:TB|TD|BT|RL|LR)$/.test(stmt)) return null;
+      return `Malformed "${stmt.split(/\s/)[0]}" statement`;
+    }
+
+    let pos = 0;
+    const first = parseFlowchartNodeGroup(stmt);
+    if (first.error) return first.error;
+    pos = first.length;
+
+    while (pos < stmt.length) {
+      const rest = stmt.slice(pos).replace(/^\s+/, '');
+      pos = stmt.length - rest.length;
+      if (!rest) break;
+
+      const link = rest.match(FLOWCHART_LINK_WITH_TEXT_RE) || rest.match(FLOWCHART_LINK_RE);
+      if (!link) return `Expected an arrow near "${rest.slice(0, 20)}"`;
+      pos += link[0].length;
+
+      let afterLink = stmt.slice(pos).replace(/^\s+/, '');
+      pos = stmt.length - afterLink.length;
+      const pipe = afterLink.match(FLOWCHART_PIPE_TEXT_RE);
+      if (pipe) {
+        pos += pipe[0].length;
+      } else if (afterLink.startsWith('|')) {
+        return 'Unterminated "|" edge label';
+      }
+
+      afterLink = stmt.slice(pos).replace(/^\s+/, '');
+      pos = stmt.length - afterLink.length;
+      if (!afterLink) return 'Arrow has no target node';
+      const group = parseFlowchartNodeGroup(afterLink);
+      if (group.error) return group.error;
+      pos += group.length;
+    }
+    return null;
+  }
+
+  /**
+   * Split a flowchart line into its `;`-separated statements.
+   *
+   * A `;` inside a quoted label or ending an entity code (`#quot;`, `&amp;`, `&#35;`) is part of the text,
+   * not a separator.
+   * @param {string} line - Trimmed line.
+   * @returns {Array<string>} The trimmed, non-empty statements.
+   */
+  function splitFlowchartStatements(line) {
+    const statements = [];
+    let start = 0;
+    let inQuote = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"') {
+        inQuote = !inQuote;
+      } else if (char === ';' && !inQuote && !/(?:#\w+|&#?\w+)$/.test(line.slice(start, i))) {
+        statements.push(line.slice(start, i));
+        start = i + 1;
+      }
+    }
+    statements.push(line.slice(start));
+    return statements.map(s => s.trim()).filter(Boolean);
+  }
+
+  function checkFlowchartLine(line, blocks) {
+    if (/^subgraph(?:\s|$)/.test(line)) {
+      if (!/^subgraph\s+\S/.test(line)) return '"subgraph" needs an id or title';
+      const title = line.replace(/^subgraph\s+/, '');
+      if (/^[^\s\["]+\s*(?:\[(?:"[^"]*"|[^\]"]*)\])?$/.test(title) || /^"[^"]*"$/.test(title) || !/[[\]"]/.test(title)) {
+        blocks.open('subgraph');
+        return null;
+      }
+      return 'Malformed subgraph title';
+    }
+    if (line === 'end') {
+      if (!blocks.depth()) return '"end" without a matching "subgraph"';
+      blocks.close();
+      return null;
+    }
+    for (const stmt of splitFlowchartStatements(line)) {
+      const error = checkFlowchartStatement(stmt);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  // ---------------------------------------------------------------------
+  //  Other diagram types
+  // ---------------------------------------------------------------------
+
+  const SEQUENCE_ARROW = '(?:<<-->>|<<->>|-->>|->>|-->|->|--x|-x|--\\)|-\\))';
+  const SEQUENCE_MESSAGE_RE = new RegExp(`^[^\\s:;+\\-<>][^:;<>]*?\\s*${SEQUENCE_ARROW}\\s*[+-]?\\s*[^\\s:;+\\-<>][^:;<>]*?\\s*(?::.*)?$`);
+
+  function checkSequenceLine(line, blocks) {
+    if (/^(?:loop|alt|opt|par|par_over|critical|break|rect|box)\b/.test(line)) {
+      blocks.open(line.split(/\s/)[0]);
+      return null;
+    }
+    if (/^(?:else|and|option)\b/.test(line)) {
+      return blocks.depth() ? null : `"${line.split(/\s/)[0]}" outside of a block`;
+    }
+    if (line === 'end') {
+      if (!blocks.depth()) return '"end" without a matching block';
+      blocks.close();
+      return null;
+    }
+    if (/^(?:create\s+)?(?:participant|actor)\s+\S/.test(line)) return null;
+    if (/^destroy\s+\S/.test(line)) return null;
+    if (/^(?:activate|deactivate)\s+\S/.test(line)) return null;
+    if (/^autonumber\b/.test(line)) return null;
+    if (/^(?:link|links|properties|details)\s+\S/.test(line)) return null;
+    if (/^note\s+(?:left of|right of|over)\s+[^:]+:.*$/i.test(line)) return null;
+    if (/^note\b/i.test(line)) return 'Malformed note: expected "note left of|right of|over <participant>: text"';
+    if (SEQUENCE_MESSAGE_RE.test(line)) return null;
+    return 'Unrecognized sequence diagram statement';
+  }
+
+  const CLASS_NAME = '(?:`[^`]+`|[\\w.$\\-~,]+(?:~[^~]*~)?)';
+  const CLASS_RELATION_RE = new RegExp(`^${CLASS_NAME}\\s*(?:"[^"]*"\\s*)?(?:<\\||\\*|o|<|\\(\\))?(?:--|\\.\\.)(?:\\|>|\\*|o|>|\\(\\))?\\s*(?:"[^"]*"\\s*)?${CLASS_NAME}\\s*(?::.*)?$`);
+
+  function checkClassLine(line, blocks) {
+    const top = blocks.top();
+    if (line === '}') {
+      if (!blocks.depth()) return '"}" without a matching "{"';
+      blocks.close();
+      return null;
+    }
+    if (top === 'class') {
+      return line.includes('{') ? 'Nested "{" inside a class body' : null;
+    }
+    if (new RegExp(`^class\\s+${CLASS_NAME}(?:\\s*\\["[^"]*"\\])?(?::::\\w+)?\\s*\\{\\s*$`).test(line)) {
+      blocks.open('class');
+      return null;
+    }
+    if (/^namespace\s+\S+\s*\{\s*$/.test(line)) {
+      blocks.open('namespace');
+      return null;
+    }
+    if (new RegExp(`^class\\s+${CLASS_NAME}(?:\\s*\\["[^"]*"\\])?(?::::\\w+)?\\s*$`).test(line)) return null;
+    if (new RegExp(`^<<[^>]+>>\\s*${CLASS_NAME}$`).test(line)) return null;
+    if (/^note(?:\s+for\s+\S+)?\s+"[^"]*"$/.test(line)) return null;
+    if (/^(?:classDef|cssClass|style|click|link|callback|direction)\s+\S/.test(line)) return null;
+    if (new RegExp(`^${CLASS_NAME}\\s*:\\s*\\S.*$`).test(line)) return null;
+    if (CLASS_RELATION_RE.test(line)) return null;
+    return 'Unrecognized class diagram statement';
+  }
+
+  const STATE_NAME = '(?:\\[\\*\\]|[\\w\\-.]+)(?::::\\w+)?';
+
+  function checkStateLine(line, blocks) {
+    const top = blocks.top();
+    if (top === 'note') {
+      if (/^end note$/i.test(line)) blocks.close();
+      return null;
+    }
+    if (line === '}') {
+      if (!blocks.depth()) return '"}" without a matching "{"';
+      blocks.close();
+      return null;
+    }
+    if (line === '--') {
+      return blocks.depth() ? null : '"--" concurrency separator outside of a composite state';
+    }
+    if (/^state\s+(?:"[^"]*"\s+as\s+)?[\w\-.]+\s*\{\s*$/.test(line)) {
+      blocks.open('state');
+      return null;
+    }
+    if (/^state\s+"[^"]*"\s+as\s+[\w\-.]+\s*$/.test(line)) return null;
+    if (/^state\s+[\w\-.]+(?:\s+<<(?:fork|join|choice)>>)?\s*$/.test(line)) return null;
+    if (/^note\s+(?:left|right)\s+of\s+[\w\-.]+\s*:.*$/.test(line)) return null;
+    if (/^note\s+(?:left|right)\s+of\s+[\w\-.]+\s*$/.test(line)) {
+      blocks.open('note');
+      return null;
+    }
+    if (/^(?:classDef|class|style|direction)\s+\S/.test(line)) return null;
+    if (new RegExp(`^${STATE_NAME}\\s*-->\\s*${STATE_NAME}\\s*(?::.*)?$`).test(line)) return null;
+    if (new RegExp(`^${STATE_NAME}\\s*(?::.*)?$`).test(line)) return null;
+    return 'Unrecognized state diagram statement';
+  }
+
+  const ER_NAME = '(?:"[^"]*"|[\\w\\-]+)';
+  const ER_RELATION_RE = new RegExp(`^${ER_NAME}\\s+(?:\\|o|\\|\\||\\}o|\\}\\|)(?:--|\\.\\.)(?:o\\||\\|\\||o\\{|\\|\\{)\\s+${ER_NAME}\\s*:\\s*(?:"[^"]*"|[\\w\\-]+)\\s*$`);
+
+  function checkErLine(line, blocks) {
+    if (blocks.depth()) {
+      if (line === '}') {
+        blocks.close();
+        return null;
+      }
+      if (/^[\w\-()\[\],]+\s+[\w\-]+(?:\s+(?:PK|FK|UK)(?:\s*,\s*(?:PK|FK|UK))*)?(?:\s+"[^"]*")?\s*$/.test(line)) return null;
+      return 'Malformed entity attribute: expected "type name [PK|FK|UK] ["comment"]"';
+    }
+    if (new RegExp(`^${ER_NAME}(?:\\s*\\[[^\\]]*\\])?\\s*\\{\\s*$`).test(line)) {
+      blocks.open('entity');
+      return null;
+    }
+    if (line === '}') return '"}" without a matching "{"';
+    if (new RegExp(`^${ER_NAME}$`).test(line)) return null;
+    if (ER_RELATION_RE.test(line)) return null;
+    return 'Unrecognized ER diagram statement';
+  }
+
+  function checkGanttLine(line) {
+    if (/^(?:dateFormat|axisFormat|tickInterval|excludes|includes|todayMarker|weekday|displayMode|section)\s+\S/.test(line)) return null;
+    if (/^(?:inclusiveEndDates|topAxis)$/.test(line)) return null;
+    if (/^[^:]+:\s*\S.*$/.test(line)) return null;
+    return 'Gantt task needs ": <metadata>"';
+  }
+
+  function checkPieLine(line) {
+    if (/^showData$/.test(line)) return null;
+    if (/^"[^"]*"\s*:\s*-?\d+(?:\.\d+)?\s*$/.test(line)) return null;
+    return 'Pie slice must look like "label" : value';
+  }
+
+  function checkTimelineLine(line) {
+    if (/^section\s+\S/.test(line)) return null;
+    if (/^:/.test(line) || /^[^:]+(?::.*)?$/.test(line)) return null;
+    return 'Unrecognized timeline statement';
+  }
+
+  function checkMindmapLine(line) {
+    const stripped = line.replace(/"[^"]*"/g, '""');
+    const pairs = [['(', ')'], ['[', ']'], ['{', '}']];
+    for (const [open, close] of pairs) {
+      if (stripped.split(open).length !== stripped.split(close).length) {
+        return `Unbalanced "${open}${close}" in mindmap node`;
+      }
+    }
+    return null;
+  }
+
+  const GIT_ATTR = '(?:\\s+(?:id|tag)\\s*:\\s*"[^"]*"|\\s+type\\s*:\\s*(?:NORMAL|REVERSE|HIGHLIGHT))*';
+
+  function checkGitGraphLine(line) {
+    if (new RegExp(`^commit${GIT_ATTR}\\s*$`).test(line)) return null;
+    if (/^branch\s+\S+(?:\s+order\s*:\s*\d+)?\s*$/.test(line)) return null;
+    if (/^(?:checkout|switch)\s+\S+\s*$/.test(line)) return null;
+    if (new RegExp(`^merge\\s+\\S+${GIT_ATTR}\\s*$`).test(line)) return null;
+    if (/^cherry-pick\s+id\s*:\s*"[^"]*"(?:\s+(?:tag\s*:\s*"[^"]*"|parent\s*:\s*"[^"]*"))*\s*$/.test(line)) return null;
+    return 'Unrecognized gitGraph statement';
+  }
+
+  const LINE_CHECKERS = {
+    flowchart: checkFlowchartLine,
+    sequence: checkSequenceLine,
+    class: checkClassLine,
+    state: checkStateLine,
+    er: checkErLine,
+    gantt: checkGanttLine,
+    pie: checkPieLine,
+    timeline: checkTimelineLine,
+    mindmap: checkMindmapLine,
+    gitGraph: checkGitGraphLine
+  };
+
+  /**
+   * Stack of open blocks (subgraph, loop, class body, ...) that remembers where each block was opened.
+   * @returns {{open: function(string): void, close: function(): (string|undefined), top: function(): (string|undefined), depth: function(): number, entries: Array<{kind: string, line: number}>, line: number}}
+   */
+  function createBlockStack() {
+    const entries = [];
+    return {
+      entries,
+      line: 0,
+      open(kind) { entries.push({ kind, line: this.line }); },
+      close() { const entry = entries.pop(); return entry && entry.kind; },
+      top() { const entry = entries[entries.length - 1]; return entry && entry.kind; },
+      depth() { return entries.length; }
+    };
+  }
+
+  /**
+   * Validate Mermaid diagram text.
+   * @param {string} code - Diagram source, without the surrounding code fence.
+   * @returns {{valid: boolean, diagramType: string|null, errors: Array<{line: number, message: string}>}}
+   *   Line numbers are 1-based and relative to `code`.
+   */
+  function validate(code) {
+    const lines = String(code || '').split('\n');
+    const errors = [];
+    let index = 0;
+
+    // Front matter
+    if (lines[0] && lines[0].trim() === '---') {
+      const close = lines.findIndex((l, i) => i > 0 && l.trim() === '---');
+      if (close === -1) {
+        return { valid: false, diagramType: null, errors: [{ line: 1, message: 'Unterminated front matter' }] };
+      }
+      index = close + 1;
+    }
+
+    // Header (skipping blank lines, comments and init directives)
+    let diagramType = null;
+    for (; index < lines.length; index++) {
+      const line = lines[index].trim();
+      if (!line || line.startsWith('%%')) continue;
+      const header = DIAGRAM_HEADERS.find(h => h.re.test(line));
+      if (!header) {
+        errors.push({ line: index + 1, message: `Unknown diagram type "${line.split(/\s/)[0]}"` });
+        return { valid: false, diagramType: null, errors };
+      }
+      diagramType = header.type;
+      index++;
+      break;
+    }
+    if (!diagramType) {
+      return { valid: false, diagramType: null, errors: [{ line: 1, message: 'Missing diagram type' }] };
+    }
+
+    const checker = LINE_CHECKERS[diagramType];
+    if (!checker) return { valid: true, diagramType, errors };
+
+    const blocks = createBlockStack();
+    for (; index < lines.length; index++) {
+      const line = lines[index].trim();
+      if (!line) continue;
+      blocks.line = index + 1;
+      // Inside a multi-line state note everything is note text
+      if (blocks.top() !== 'note' && COMMON_LINE_RE.test(line)) continue;
+      const message = checker(line, blocks);
+      if (message) errors.push({ line: index + 1, message });
+    }
+
+    blocks.entries.forEach(open => {
+      errors.push({ line: open.line, message: `"${open.kind}" block is never closed` });
+    });
+
+    errors.sort((a, b) => a.line - b.line);
+    return { valid: errors.length === 0, diagramType, errors };
+  }
+
+  root.MermaidValidator = { validate };
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,67 @@
+document.addEventListener('DOMContentLoaded', () => {
+  const chooseSourceFolderBtn = document.getElementById('chooseSourceFolderBtn');
+  const grantSourceAccessBtn = document.getElementById('grantSourceAccessBtn');
+  const sourceFolderName = document.getElementById('sourceFolderName');
+  const status = document.getElementById('status');
+
+  showSourceFolder();
+
+  /**
+   * Show the chosen local clone and whether it can be read, offering to allow access when it cannot.
+   */
+  async function showSourceFolder() {
+    try {
+      const handle = await loadSourceDirectoryHandle();
+      const granted = handle ? await ensureSourceDirectoryPermission(handle, false) : false;
+      if (!handle) {
+        sourceFolderName.textContent = 'No folder chosen';
+      } else {
+        sourceFolderName.textContent = granted ? handle.name : `${handle.name} (access needed)`;
+      }
+      grantSourceAccessBtn.style.display = handle && !granted ? 'inline-block' : 'none';
+    } catch (error) {
+      showStatus('Unable to load the local source folder: ' + error.message, 'error');
+    }
+  }
+
+  chooseSourceFolderBtn.addEventListener('click', async () => {
+    try {
+      const handle = await window.showDirectoryPicker({ mode: 'read' });
+      await saveSourceDirectoryHandle(handle);
+      if (await ensureSourceDirectoryPermission(handle, true)) {
+        showStatus(`Cited code will be read from "${handle.name}".`, 'success');
+      } else {
+        showStatus('Read access was not granted.', 'error');
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        showStatus('Unable to use that folder: ' + error.message, 'error');
+      }
+    }
+    await showSourceFolder();
+  });
+
+  grantSourceAccessBtn.addEventListener('click', async () => {
+    try {
+      const handle = await loadSourceDirectoryHandle();
+      if (handle && await ensureSourceDirectoryPermission(handle, true)) {
+        showStatus(`Cited code will be read from "${handle.name}".`, 'success');
+      } else {
+        showStatus('Read access was not granted.', 'error');
+      }
+    } catch (error) {
+      showStatus('Unable to access the local source folder: ' + error.message, 'error');
+    }
+    await showSourceFolder();
+  });
+
+  /**
+   * Update the status display text and apply a CSS class for the given status type.
+   * @param {string} message - Text to display in the status element.
+   * @param {string} type - CSS class name representing the status level (e.g., 'info', 'success', 'error').
+   */
+  function showStatus(message, type) {
+    status.textContent = message;
+    status.className = type;
+  }
+});
@@ -2,7 +2,10 @@ document.addEventListener('DOMContentLoaded', () => {
   const convertBtn = document.getElementById('convertBtn');
   const batchDownloadBtn = document.getElementById('batchDownloadBtn');
   const cancelBtn = document.getElementById('cancelBtn');
+  const chooseSourceFolderBtn = document.getElementById('chooseSourceFolderBtn');
+  const sourceFolderName = document.getElementById('sourceFolderName');
   const status = document.getElementById('status');
+  const optionInputs = Array.from(document.querySelectorAll('#exportOptions [data-option]'));
 
   chrome.runtime.onMessage.addListener((request) => {
     if (request.action === 'batchUpdate') {
@@ -11,6 +14,8 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 
   initializeBatchStatus();
+  initializeExportOptions();
+  initializeSourceFolder();
 
   /**
    * Determine whether a URL corresponds to a supported site (DeepWiki or Devin).
@@ -33,6 +38,82 @@ document.addEventListener('DOMContentLoaded', () => {
     return name.replace(/[^a-z0-9_\-\.]/gi, '_').replace(/_+/g, '_');
   }
 
+  /**
+   * Load the saved export options into the option controls and persist every later change.
+   */
+  async function initializeExportOptions() {
+    const stored = await chrome.storage.local.get(EXPORT_OPTIONS_STORAGE_KEY);
+    const options = normalizeExportOptions(stored[EXPORT_OPTIONS_STORAGE_KEY]);
+
+    optionInputs.forEach(input => {
+      if (input.type === 'checkbox') {
+        input.checked = Boolean(options[input.dataset.option]);
+      } else {
+        input.value = options[input.dataset.option];
+      }
+      input.addEventListener('change', () => {
+        updateDependentOptions();
+        chrome.storage.local.set({ [EXPORT_OPTIONS_STORAGE_KEY]: getExportOptions() });
+      });
+    });
+    updateDependentOptions();
+  }
+
+  /**
+   * Disable the options that only take effect together with another checkbox (`data-requires`), e.g. PNG export needs the SVG files.
+   */
+  function updateDependentOptions() {
+    optionInputs.forEach(input => {
+      const required = input.dataset.requires && optionInputs.find(other => other.dataset.option === input.dataset.requires);
+      if (required) input.disabled = !required.checked;
+    });
+  }
+
+  /**
+   * Read the export options currently selected in the popup.
+   * @returns {Object} Normalized export options.
+   */
+  function getExportOptions() {
+    const options = {};
+    optionInputs.forEach(input => {
+      options[input.dataset.option] = input.type === 'checkbox' ? input.checked : input.value;
+    });
+    return normalizeExportOptions(options);
+  }
+
+  /**
+   * Show the name of the local clone chosen for source snippets, and whether it can be read.
+   */
+  async function initializeSourceFolder() {
+    try {
+      const handle = await loadSourceDirectoryHandle();
+      if (!handle) return;
+      const granted = await ensureSourceDirectoryPermission(handle, false);
+      sourceFolderName.textContent = granted ? handle.name : `${handle.name} (access needed)`;
+    } catch (error) {
+      console.warn('Unable to load the local source folder:', error.message);
+    }
+  }
+
+  /**
+   * Start a browser download for a Blob.
+   * @param {Blob} blob - File contents.
+   * @param {string} filename - Suggested file name.
+   */
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    chrome.downloads.download({
+      url,
+      filename,
+      saveAs: true
+    });
+  }
+
+  // The folder picker and the permission prompt would close the popup, so both live on the options page
+  chooseSourceFolderBtn.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
   convertBtn.addEventListener('click', async () => {
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -43,8 +124,16 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
       }
 
+      if (getExportOptions().embedSourceSnippets) {
+        const problem = await getSourceDirectoryProblem();
+        if (problem) {
+          showStatus(problem, 'error');
+          return;
+        }
+      }
+
       showStatus('Converting page...', 'info');
-      const response = await chrome.tabs.sendMessage(tab.id, { action: 'convertToMarkdown' });
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'convertToMarkdown', options: getExportOptions() });
 
       if (response && response.success) {
         const headTitle = response.headTitle || '';
@@ -58,16 +147,27 @@ document.addEventListener('DOMContentLoaded', () => {
           ? `${sanitizedHeadTitle}-${sanitizedCurrentTitle}.md`
           : `${sanitizedCurrentTitle}.md`;
 
-        const blob = new Blob([response.markdown], { type: 'text/markdown' });
-        const url = URL.createObjectURL(blob);
+        const { markdown, missing } = await fillSourceSnippets(response.markdown, response.snippets);
 
-        chrome.downloads.download({
-          url,
-          filename: fileName,
-          saveAs: true
-        });
+        const assets = response.assets || [];
+        if (assets.length) {
+          // Diagram files are linked relatively, so the page and its assets/ folder ship together
+          const zip = new JSZip();
+          zip.file(fileName, markdown);
+          assets.forEach(asset => {
+            zip.file(asset.path, asset.content, { base64: asset.encoding === 'base64' });
+          });
+          const zipBlob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+          downloadBlob(zipBlob, fileName.replace(/\.md$/, '.zip'));
+        } else {
+          downloadBlob(new Blob([markdown], { type: 'text/markdown' }), fileName);
+        }
 
-        showStatus('Conversion successful! Downloading...', 'success');
+        if (missing) {
+          showStatus(`Downloading... ${missing} cited snippet(s) could not be read from the local clone.`, 'info');
+        } else {
+          showStatus('Conversion successful! Downloading...', 'success');
+        }
       } else {
         showStatus('Conversion failed: ' + (response?.error || 'Unknown error'), 'error');
       }
@@ -92,7 +192,7 @@ document.addEventListener('DOMContentLoaded', () => {
       disableBatchButton(true);
       showStatus('Starting batch conversion...', 'info');
 
-      const response = await chrome.runtime.sendMessage({ action: 'startBatch', tabId: tab.id });
+      const response = await chrome.runtime.sendMessage({ action: 'startBatch', tabId: tab.id, options: getExportOptions() });
 
       if (!response || !response.success) {
         throw new Error(response?.error || 'Failed to start batch conversion.');
@@ -0,0 +1,345 @@
+// Static site generator scaffolding for batch exports (`siteProfile` option).
+// Loaded with importScripts by the background worker. Pages go under docs/ and the generator's configuration is
+// written next to it, with the sidebar rebuilt from the page depths extractAllPages found.
+
+/**
+ * Rebuild the sidebar tree of the converted pages from their depth.
+ *
+ * Pages whose parent failed to convert are attached to the closest converted ancestor.
+ *
+ * @param {Array<{depth?: number}>} pages - Converted pages in sidebar order.
+ * @returns {Array<{page: Object, children: Array<Object>}>} The top-level nodes.
+ */
+function buildPageTree(pages) {
+  const roots = [];
+  const stack = [];
+  pages.forEach(page => {
+    const node = { page, children: [] };
+    const depth = Number.isInteger(page.depth) ? page.depth : 0;
+    while (stack.length && stack[stack.length - 1].depth >= depth) {
+      stack.pop();
+    }
+    (stack.length ? stack[stack.length - 1].node.children : roots).push(node);
+    stack.push({ node, depth });
+  });
+  return roots;
+}
+
+/**
+ * Compute a relative link from one file of docs/ to another.
+ * @param {string} fromPath - Path of the linking file, relative to docs/.
+ * @param {string} toPath - Path of the target, relative to docs/.
+ * @returns {string} The relative path, e.g. `../assets/mermaid-1.svg`.
+ */
+function getRelativeSitePath(fromPath, toPath) {
+  const from = fromPath.split('/').slice(0, -1);
+  const to = toPath.split('/');
+  let common = 0;
+  while (common < from.length && common < to.length - 1 && from[common] === to[common]) {
+    common += 1;
+  }
+  return '../'.repeat(from.length - common) + to.slice(common).join('/');
+}
+
+/**
+ * Encode a path of docs/ for a link, segment by segment, so `#` and `%` kept in page titles stay part of the name.
+ * @param {string} path - A path relative to docs/, e.g. `1-Overview/1.1-C#-Interop.md`.
+ * @returns {string} The encoded path.
+ */
+function encodeSitePath(path) {
+  return path.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Point a page's links to other pages and to `assets/` at their place in the site layout.
+ *
+ * Links are written for a flat folder (see rewriteCrossPageLinks and claimPageAssets). Once pages move into
+ * subfolders, links from any page, top-level ones included, must be made relative again. Fenced code is left alone.
+ *
+ * @param {string} content - The page's Markdown.
+ * @param {string} pagePath - Where the page is written, relative to docs/.
+ * @param {Map<string, string>} sitePaths - Site path by flat `.md` file name.
+ * @returns {string} The page with relocated links.
+ */
+function relocatePageLinks(content, pagePath, sitePaths) {
+  const relocate = href => {
+    const hashIndex = href.indexOf('#');
+    const target = hashIndex === -1 ? href : href.slice(0, hashIndex);
+    const hash = hashIndex === -1 ? '' : href.slice(hashIndex);
+    if (target.startsWith('assets/')) return getRelativeSitePath(pagePath, target) + hash;
+    let file;
+    try {
+      file = decodeURIComponent(target);
+    } catch (error) {
+      return href;
+    }
+    const sitePath = sitePaths.get(file);
+    return sitePath ? encodeSitePath(getRelativeSitePath(pagePath, sitePath)) + hash : href;
+  };
+
+  let fence = null;
+  return content.split('\n').map(line => {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+      return line;
+    }
+    if (fence) return line;
+    return line
+      .replace(/\]\(([^)\s]+)\)/g, (match, href) => `](${relocate(href)})`)
+      .replace(/^(\s*\[[^\]]+\]:\s*)(\S+)/, (match, prefix, href) => `${prefix}${relocate(href)}`);
+  }).join('\n');
+}
+
+/**
+ * Set a field in a page's YAML front matter, replacing an existing value and creating the block if needed.
+ * @param {string} content - The page's Markdown.
+ * @param {string} key - The front matter key.
+ * @param {string|number} value - The value.
+ * @returns {string} The page with the field.
+ */
+function setFrontMatterField(content, key, value) {
+  const line = `${key}: ${formatYamlScalar(value)}`;
+  const block = content.match(/^---\n([\s\S]*?)\n---\n/);
+  if (!block) return `---\n${line}\n---\n\n${content}`;
+  const fields = block[1].split('\n').filter(existing => !existing.startsWith(`${key}:`));
+  return `---\n${[...fields, line].join('\n')}\n---\n${content.slice(block[0].length)}`;
+}
+
+/**
+ * Build the site's home page, linking every page in sidebar order.
+ * @param {string} siteName - The site title.
+ * @param {Array<{page: Object, children: Array<Object>}>} tree - The page tree.
+ * @param {Map<string, string>} sitePaths - Site path by flat `.md` file name.
+ * @returns {string} The Markdown of `docs/index.md`.
+ */
+function buildSiteIndex(siteName, tree, sitePaths) {
+  let index = `# ${siteName}\n\n`;
+  const walk = (nodes, level) => nodes.forEach(node => {
+    const title = (node.page.pageTitle || node.page.title).replace(/[[\]\\]/g, '\\$&');
+    index += `${'  '.repeat(level)}- [${title}](${encodeSitePath(sitePaths.get(`${node.page.title}.md`))})\n`;
+    walk(node.children, level + 1);
+  });
+  walk(tree, 0);
+  return index;
+}
+
+/**
+ * MkDocs: flat docs/ plus `mkdocs.yml` with a nested `nav:`. A page with children becomes a section that lists
+ * the page itself first, since MkDocs sections cannot link to a page.
+ * @param {JSZip} zip - The archive.
+ * @param {string} siteName - The site title.
+ * @param {Array<Object>} tree - The page tree.
+ */
+function writeMkDocsConfig(zip, siteName, tree) {
+  const lines = [
+    `site_name: ${JSON.stringify(siteName)}`,
+    'docs_dir: docs',
+    'theme:',
+    '  name: material',
+    'markdown_extensions:',
+    '  - attr_list',
+    '  - footnotes',
+    '  - md_in_html',
+    '  - pymdownx.superfences:',
+    '      custom_fences:',
+    '        - name: mermaid',
+    '          class: mermaid',
+    '          format: !!python/name:pymdownx.superfences.fence_code_format',
+    'nav:',
+    '  - Home: index.md'
+  ];
+  const walk = (nodes, indent) => nodes.forEach(node => {
+    const title = JSON.stringify(node.page.pageTitle || node.page.title);
+    const file = JSON.stringify(`${node.page.title}.md`);
+    if (!node.children.length) {
+      lines.push(`${indent}- ${title}: ${file}`);
+      return;
+    }
+    lines.push(`${indent}- ${title}:`);
+    lines.push(`${indent}    - ${title}: ${file}`);
+    walk(node.children, `${indent}    `);
+  });
+  walk(tree, '  ');
+  zip.file('mkdocs.yml', lines.join('\n') + '\n');
+}
+
+/**
+ * VitePress: flat docs/ plus `docs/.vitepress/config.mjs` with a nested `themeConfig.sidebar`. The config is wrapped
+ * in vitepress-plugin-mermaid's `withMermaid`, since VitePress renders `mermaid` fences as plain code otherwise.
+ * @param {JSZip} zip - The archive.
+ * @param {string} siteName - The site title.
+ * @param {Array<Object>} tree - The page tree.
+ */
+function writeVitePressConfig(zip, siteName, tree) {
+  const toItem = node => {
+    const item = {
+      text: node.page.pageTitle || node.page.title,
+      link: `/${encodeSitePath(node.page.title)}`
+    };
+    if (node.children.length) {
+      item.collapsed = false;
+      item.items = node.children.map(toItem);
+    }
+    return item;
+  };
+  const config = {
+    title: siteName,
+    themeConfig: {
+      sidebar: tree.map(toItem)
+    }
+  };
+  zip.file('docs/.vitepress/config.mjs', [
+    "import { withMermaid } from 'vitepress-plugin-mermaid';",
+    '',
+    `export default withMermaid(${JSON.stringify(config, null, 2)});`,
+    ''
+  ].join('\n'));
+
+  writeSitePackage(zip, siteName, {
+    docs: 'vitepress dev docs',
+    build: 'vitepress build docs'
+  }, {
+    mermaid: '^11.0.0',
+    vitepress: '^1.0.0',
+    'vitepress-plugin-mermaid': '^2.0.0'
+  });
+}
+
+/**
+ * Docusaurus: pages with children become folders with a `_category_.json`, and `sidebars.js` generates the sidebar
+ * from that layout. Positions come from `sidebar_position` front matter, so number-prefixed file names do not matter.
+ *
+ * `docusaurus.config.js` serves the docs at the site root and sets `markdown.format: 'detect'`, so `.md` pages are
+ * read as CommonMark rather than MDX (where braces in prose break the build), and enables Mermaid.
+ *
+ * @param {JSZip} zip - The archive.
+ * @param {string} siteName - The site title.
+ * @param {Array<{folder: string, label: string, position: number}>} categories - The folders of pages with children.
+ */
+function writeDocusaurusConfig(zip, siteName, categories) {
+  categories.forEach(category => {
+    zip.file(`docs/${category.folder}_category_.json`, JSON.stringify({
+      label: category.label,
+      position: category.position,
+      collapsed: false
+    }, null, 2) + '\n');
+  });
+
+  zip.file('sidebars.js', [
+    '// @ts-check',
+    '',
+    '/** @type {import(\'@docusaurus/plugin-content-docs\').SidebarsConfig} */',
+    'const sidebars = {',
+    '  docs: [{ type: \'autogenerated\', dirName: \'.\' }]',
+    '};',
+    '',
+    'module.exports = sidebars;',
+    ''
+  ].join('\n'));
+
+  zip.file('docusaurus.config.js', [
+    '// @ts-check',
+    '',
+    '/** @type {import(\'@docusaurus/types\').Config} */',
+    'const config = {',
+    `  title: ${JSON.stringify(siteName)},`,
+    '  url: \'https://example.com\',',
+    '  baseUrl: \'/\',',
+    '  onBrokenLinks: \'warn\',',
+    '  markdown: { format: \'detect\', mermaid: true },',
+    '  themes: [\'@docusaurus/theme-mermaid\'],',
+    '  presets: [',
+    '    [\'classic\', {',
+    '      docs: { routeBasePath: \'/\', sidebarPath: \'./sidebars.js\' },',
+    '      blog: false,',
+    '      pages: false',
+    '    }]',
+    '  ]',
+    '};',
+    '',
+    'module.exports = config;',
+    ''
+  ].join('\n'));
+
+  writeSitePackage(zip, siteName, {
+    start: 'docusaurus start',
+    build: 'docusaurus build'
+  }, {
+    '@docusaurus/core': '^3.0.0',
+    '@docusaurus/preset-classic': '^3.0.0',
+    '@docusaurus/theme-mermaid': '^3.0.0',
+    react: '^18.0.0',
+    'react-dom': '^18.0.0'
+  });
+}
+
+/**
+ * Write the `package.json` of a Node-based site project, so `npm install` fetches the generator and its plugins.
+ * @param {JSZip} zip - The archive.
+ * @param {string} siteName - The site title, turned into the package name.
+ * @param {Object<string, string>} scripts - npm scripts by name.
+ * @param {Object<string, string>} dependencies - Version ranges by package name.
+ */
+function writeSitePackage(zip, siteName, scripts, dependencies) {
+  const name = siteName.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^[-._]+|-+$/g, '') || 'wiki';
+  zip.file('package.json', JSON.stringify({ name, private: true, scripts, dependencies }, null, 2) + '\n');
+}
+
+/**
+ * Lay the converted pages out as a static site project and add the generator's configuration.
+ *
+ * Pages, their `assets/` and a home page go under `docs/`; all links stay relative, so the project builds without
+ * a base URL. Docusaurus nests pages under their parent's folder, the other generators keep docs/ flat and describe
+ * the hierarchy in their config.
+ *
+ * @param {JSZip} zip - The archive being built.
+ * @param {'mkdocs'|'docusaurus'|'vitepress'} profile - The generator.
+ * @param {string} siteName - The site title.
+ * @param {Array<{title: string, pageTitle?: string, depth?: number, content: string, assets?: Array<Object>}>} pages - Converted pages in sidebar order.
+ */
+function writeSiteProject(zip, profile, siteName, pages) {
+  const tree = buildPageTree(pages);
+  const sitePaths = new Map();
+  const positions = new Map();
+  const categories = [];
+  // Inside its own folder a parent page comes first, so its children start at position 2
+  const place = (nodes, dir, firstPosition) => nodes.forEach((node, index) => {
+    const position = firstPosition + index;
+    if (profile === 'docusaurus' && node.children.length) {
+      const folder = `${dir}${node.page.title}/`;
+      categories.push({ folder, label: node.page.pageTitle || node.page.title, position });
+      sitePaths.set(`${node.page.title}.md`, `${folder}${node.page.title}.md`);
+      positions.set(node.page, 1);
+      place(node.children, folder, 2);
+      return;
+    }
+    sitePaths.set(`${node.page.title}.md`, `${dir}${node.page.title}.md`);
+    positions.set(node.page, position);
+    place(node.children, dir, 1);
+  });
+  place(tree, '', 1);
+
+  pages.forEach(page => {
+    const sitePath = sitePaths.get(`${page.title}.md`);
+    let content = relocatePageLinks(page.content, sitePath, sitePaths);
+    if (profile === 'docusaurus') {
+      content = setFrontMatterField(content, 'sidebar_position', positions.get(page));
+    }
+    zip.file(`docs/${sitePath}`, content);
+    (page.assets || []).forEach(asset => {
+      zip.file(`docs/${asset.path}`, asset.content, { base64: asset.encoding === 'base64' });
+    });
+  });
+
+  let index = buildSiteIndex(siteName, tree, sitePaths);
+  if (profile === 'docusaurus') {
+    index = setFrontMatterField(index, 'sidebar_position', 0);
+  }
+  zip.file('docs/index.md', index);
+
+  if (profile === 'mkdocs') writeMkDocsConfig(zip, siteName, tree);
+  else if (profile === 'vitepress') writeVitePressConfig(zip, siteName, tree);
+  else if (profile === 'docusaurus') writeDocusaurusConfig(zip, siteName, categories);
+}
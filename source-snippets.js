@@ -0,0 +1,212 @@
+// Embeds the source ranges cited on a page, read from a local clone of the repository.
+// Loaded as a classic script in the popup, the options page and the background worker. The folder is chosen on the
+// options page (the picker would close the popup) and is a File System Access directory handle, which cannot go
+// through chrome.storage, so it is kept in the extension's IndexedDB.
+
+const SOURCE_SNIPPET_DB_NAME = 'deepwiki-md';
+const SOURCE_SNIPPET_DB_STORE = 'handles';
+const SOURCE_DIRECTORY_HANDLE_KEY = 'sourceDirectory';
+
+// Longer citations are cut so one wide range does not swamp the page
+const SOURCE_SNIPPET_MAX_LINES = 200;
+
+// Placeholder lines left by the content script, one per cited range; consecutive ones are replaced as a group
+const SOURCE_SNIPPET_PLACEHOLDER_PATTERN = /\n*(?:<!-- deepwiki-snippet:\d+ -->\n*)+/g;
+
+// Fence info strings by file extension; unknown extensions get a bare fence
+const SOURCE_SNIPPET_LANGUAGES = {
+  js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'jsx',
+  ts: 'typescript', mts: 'typescript', tsx: 'tsx',
+  py: 'python', rb: 'ruby', go: 'go', rs: 'rust', java: 'java', kt: 'kotlin', swift: 'swift',
+  c: 'c', h: 'c', cc: 'cpp', cpp: 'cpp', hpp: 'cpp', cs: 'csharp', php: 'php', scala: 'scala',
+  sh: 'bash', bash: 'bash', zsh: 'bash', ps1: 'powershell',
+  json: 'json', yaml: 'yaml', yml: 'yaml', toml: 'toml', xml: 'xml', html: 'html', css: 'css', scss: 'scss',
+  sql: 'sql', md: 'markdown', vue: 'vue', svelte: 'svelte', dart: 'dart', lua: 'lua', r: 'r'
+};
+
+/**
+ * Open (and create on first use) the database holding the directory handle.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function openSourceSnippetDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(SOURCE_SNIPPET_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(SOURCE_SNIPPET_DB_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Remember the local clone chosen on the options page.
+ * @param {FileSystemDirectoryHandle} handle - The repository root folder.
+ * @returns {Promise<void>}
+ */
+async function saveSourceDirectoryHandle(handle) {
+  const db = await openSourceSnippetDb();
+  try {
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(SOURCE_SNIPPET_DB_STORE, 'readwrite');
+      tx.objectStore(SOURCE_SNIPPET_DB_STORE).put(handle, SOURCE_DIRECTORY_HANDLE_KEY);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Load the local clone chosen earlier.
+ * @returns {Promise<FileSystemDirectoryHandle|null>} The folder handle, or `null` if none was chosen.
+ */
+async function loadSourceDirectoryHandle() {
+  const db = await openSourceSnippetDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = db.transaction(SOURCE_SNIPPET_DB_STORE, 'readonly')
+        .objectStore(SOURCE_SNIPPET_DB_STORE)
+        .get(SOURCE_DIRECTORY_HANDLE_KEY);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Check read access to the folder, asking the user for it when allowed.
+ *
+ * Asking needs a user gesture and a window that stays open, so only the options page passes `request`;
+ * the popup and the background worker only check the access granted there.
+ *
+ * @param {FileSystemDirectoryHandle} handle - The folder.
+ * @param {boolean} request - Whether to prompt when access has not been granted yet.
+ * @returns {Promise<boolean>} `true` if the folder can be read.
+ */
+async function ensureSourceDirectoryPermission(handle, request) {
+  const descriptor = { mode: 'read' };
+  if (await handle.queryPermission(descriptor) === 'granted') return true;
+  if (!request || typeof handle.requestPermission !== 'function') return false;
+  return await handle.requestPermission(descriptor) === 'granted';
+}
+
+/**
+ * Check that cited code can be read before an export that embeds it.
+ * @returns {Promise<string|null>} Why the local clone cannot be read, as a message for the user, or `null` if it can.
+ */
+async function getSourceDirectoryProblem() {
+  let handle;
+  try {
+    handle = await loadSourceDirectoryHandle();
+  } catch (error) {
+    return `Unable to open the local source folder: ${error.message}`;
+  }
+  if (!handle) {
+    return 'No local clone is chosen for embedding cited code. Choose it in the extension options.';
+  }
+  if (!(await ensureSourceDirectoryPermission(handle, false))) {
+    return `Read access to "${handle.name}" has not been granted. Allow it in the extension options.`;
+  }
+  return null;
+}
+
+/**
+ * Read a line range of a file inside the folder.
+ * @param {FileSystemDirectoryHandle} dirHandle - The repository root.
+ * @param {string} filePath - Repository-relative path, e.g. `src/index.ts`.
+ * @param {number} start - First line, 1-based.
+ * @param {number} end - Last line, inclusive.
+ * @returns {Promise<{code: string, truncated: boolean}>} The lines, cut to SOURCE_SNIPPET_MAX_LINES.
+ * @throws {DOMException} When a path segment does not exist (`NotFoundError`).
+ */
+async function readSourceRange(dirHandle, filePath, start, end) {
+  const segments = filePath.split('/').filter(Boolean);
+  const fileName = segments.pop();
+  let current = dirHandle;
+  for (const segment of segments) {
+    current = await current.getDirectoryHandle(segment);
+  }
+  const file = await (await current.getFileHandle(fileName)).getFile();
+  const lines = (await file.text()).split(/\r?\n/);
+
+  const last = Math.min(end, start + SOURCE_SNIPPET_MAX_LINES - 1);
+  return {
+    code: lines.slice(start - 1, last).join('\n'),
+    truncated: last < end
+  };
+}
+
+/**
+ * Wrap a snippet in a collapsed `<details>` block with a fenced code block inside.
+ * @param {{filePath: string, start: number, end: number}} snippet - The cited range.
+ * @param {{code: string, truncated: boolean}} source - The lines read from the clone.
+ * @returns {string} The Markdown block.
+ */
+function buildSourceSnippetBlock(snippet, source) {
+  const extension = (snippet.filePath.match(/\.([^./]+)$/) || [])[1] || '';
+  const language = SOURCE_SNIPPET_LANGUAGES[extension.toLowerCase()] || '';
+  const lines = snippet.end !== snippet.start ? `L${snippet.start}-L${snippet.end}` : `L${snippet.start}`;
+  const note = source.truncated ? ` (first ${SOURCE_SNIPPET_MAX_LINES} lines)` : '';
+  const summary = `${snippet.filePath} ${lines}${note}`.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+  // Same rule as the content script's code blocks: the fence must be longer than any run inside the code
+  const longestRun = Math.max(0, ...(source.code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+
+  return `<details>\n<summary>${summary}</summary>\n\n${fence}${language}\n${source.code}\n${fence}\n\n</details>`;
+}
+
+/**
+ * Replace the snippet placeholders of a converted page with the cited code read from the local clone.
+ *
+ * Exports check the folder up front (see getSourceDirectoryProblem) and stop with an error when it cannot be read.
+ * Placeholders whose file is missing, or all of them if access is lost during a batch, are dropped and counted
+ * as `missing`, so the page reads the same as an export with the option off.
+ *
+ * @param {string} markdown - The converted page.
+ * @param {Array<{id: number, filePath: string, start: number, end: number}>} [snippets] - The ranges the content script found.
+ * @returns {Promise<{markdown: string, embedded: number, missing: number}>} The page and how many snippets were embedded or could not be read.
+ */
+async function fillSourceSnippets(markdown, snippets) {
+  const blocks = new Map();
+  let missing = 0;
+
+  if (snippets && snippets.length) {
+    let handle = null;
+    try {
+      handle = await loadSourceDirectoryHandle();
+      if (handle && !(await ensureSourceDirectoryPermission(handle, false))) {
+        handle = null;
+      }
+    } catch (error) {
+      console.warn('Unable to open the local source folder:', error.message);
+      handle = null;
+    }
+
+    for (const snippet of snippets) {
+      if (!handle) {
+        missing += 1;
+        continue;
+      }
+      try {
+        const source = await readSourceRange(handle, snippet.filePath, snippet.start, snippet.end);
+        blocks.set(snippet.id, buildSourceSnippetBlock(snippet, source));
+      } catch (error) {
+        console.warn(`Unable to read ${snippet.filePath} from the local source folder:`, error.message);
+        missing += 1;
+      }
+    }
+  }
+
+  const filled = markdown.replace(SOURCE_SNIPPET_PLACEHOLDER_PATTERN, (match, offset, whole) => {
+    const group = Array.from(match.matchAll(/deepwiki-snippet:(\d+)/g))
+      .map(([, id]) => blocks.get(Number(id)))
+      .filter(Boolean);
+    const after = offset + match.length === whole.length ? '' : '\n\n';
+    return group.length ? `\n\n${group.join('\n\n')}${after}` : after;
+  });
+
+  return { markdown: filled.replace(/^\n+/, ''), embedded: blocks.size, missing };
+}
@@ -0,0 +1,87 @@
+// Shared helpers for the test scripts. Run a test with `node test/<name>.js`; failures are printed and set a
+// non-zero exit code.
+//
+// The extension is made of classic scripts that share one global scope (content scripts in manifest order, and
+// the background worker's importScripts), so tests load them the same way: run one after another in one vm context,
+// with the browser APIs they touch at load time stubbed.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Same order as content_scripts in manifest.json
+const CONTENT_SCRIPTS = ['export-options.js', 'front-matter.js', 'lib/mermaid-validator.js', 'content.js'];
+
+// The scripts log their progress; keep the test output to the PASS/FAIL lines
+const quietConsole = { ...console, log() {}, info() {}, warn() {}, debug() {} };
+
+/**
+ * Run scripts of the extension in a fresh sandbox and return some of their top-level bindings.
+ * @param {Array<string>} files - Script paths, relative to the repository root, in load order.
+ * @param {Array<string>} names - Functions or constants to return.
+ * @param {Object} [globals] - Extra globals for the sandbox (browser API stubs, `document`, ...).
+ * @returns {Object} The requested bindings by name.
+ */
+function loadScripts(files, names, globals = {}) {
+  const sandbox = vm.createContext({ console: quietConsole, URL, setTimeout, clearTimeout, ...globals });
+  // Scripts run in one context share their top-level declarations, like classic scripts in a page
+  const run = file => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), sandbox, { filename: file });
+  sandbox.self = sandbox;
+  sandbox.importScripts = (...imported) => imported.forEach(run);
+  files.forEach(run);
+  // `const` and `let` bindings are not properties of the sandbox, so read them out with a final expression
+  return vm.runInContext(`({ ${names.join(', ')} });`, sandbox);
+}
+
+/**
+ * Load the content scripts with a stubbed `chrome.runtime`.
+ * @param {Array<string>} names - Functions or constants to return.
+ * @param {Object} [globals] - Extra globals, e.g. a `document`.
+ * @returns {Object} The requested bindings by name; `onMessage` is the registered message listener.
+ */
+function loadContentScripts(names, globals = {}) {
+  let onMessage = null;
+  const chrome = {
+    runtime: {
+      onMessage: { addListener: listener => { onMessage = listener; } },
+      sendMessage() {}
+    }
+  };
+  const bindings = loadScripts(CONTENT_SCRIPTS, names, { chrome, ...globals });
+  return { ...bindings, onMessage };
+}
+
+/**
+ * Load the background worker (and the scripts it imports) with stubbed `chrome` events.
+ * @param {Array<string>} names - Functions or constants to return, e.g. `batchState`.
+ * @returns {Object} The requested bindings by name.
+ */
+function loadBackgroundScript(names) {
+  const event = () => ({ addListener() {} });
+  const chrome = {
+    runtime: { onInstalled: event(), onMessage: event(), sendMessage() {} },
+    tabs: { onUpdated: event(), onActivated: event(), onRemoved: event() }
+  };
+  return loadScripts(['background.js'], names, { chrome });
+}
+
+/**
+ * Compare a result with the expected value and print the outcome.
+ * @param {string} name - What is being checked.
+ * @param {*} actual - The value produced.
+ * @param {*} expected - The value wanted; compared as JSON, so arrays and plain objects work.
+ */
+function check(name, actual, expected) {
+  const actualJson = JSON.stringify(actual);
+  const expectedJson = JSON.stringify(expected);
+  if (actualJson === expectedJson) {
+    console.log(`PASS: ${name}`);
+  } else {
+    console.error(`FAIL: ${name}\n  expected: ${expectedJson}\n  actual:   ${actualJson}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { ROOT, loadScripts, loadContentScripts, loadBackgroundScript, check };
@@ -0,0 +1,598 @@
+// A small DOM for running the content script's HTML-to-Markdown conversion under plain Node.
+//
+// It covers what the conversion of static content touches: parsing well-formed HTML, tree navigation, attributes,
+// inline styles, table row/cell collections, serialization and the selectors the content script uses
+// (type, class, id, attribute operators, `:scope`, `:not()`, `:first-child`, `:nth-child()`, descendant and child
+// combinators). Layout is not modelled: getComputedStyle derives `display` from the tag and reads inline styles.
+// SVG diagrams need a real browser and are not converted here.
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+const DOCUMENT_NODE = 9;
+
+const VOID_ELEMENTS = new Set(['AREA', 'BASE', 'BR', 'COL', 'EMBED', 'HR', 'IMG', 'INPUT', 'LINK', 'META', 'SOURCE', 'TRACK', 'WBR']);
+const RAW_TEXT_ELEMENTS = new Set(['SCRIPT', 'STYLE', 'TEXTAREA']);
+const INLINE_ELEMENTS = new Set([
+  'A', 'ABBR', 'B', 'BR', 'CITE', 'CODE', 'DEL', 'EM', 'FONT', 'I', 'IMG', 'INPUT', 'INS', 'KBD', 'LABEL', 'MARK',
+  'Q', 'S', 'SMALL', 'SPAN', 'STRIKE', 'STRONG', 'SUB', 'SUP', 'TIME', 'U'
+]);
+const DISPLAY_BY_TAG = {
+  LI: 'list-item', TABLE: 'table', THEAD: 'table-header-group', TBODY: 'table-row-group', TFOOT: 'table-footer-group',
+  TR: 'table-row', TD: 'table-cell', TH: 'table-cell', SCRIPT: 'none', STYLE: 'none', HEAD: 'none', TITLE: 'none'
+};
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', copy: '©', hellip: '…', mdash: '—', ndash: '–' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function escapeHtml(text, inAttribute) {
+  const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\u00a0/g, '&nbsp;');
+  return inAttribute ? escaped.replace(/"/g, '&quot;') : escaped;
+}
+
+class MiniNode {
+  constructor(nodeType, nodeName) {
+    this.nodeType = nodeType;
+    this.nodeName = nodeName;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get parentElement() {
+    return this.parentNode && this.parentNode.nodeType === ELEMENT_NODE ? this.parentNode : null;
+  }
+
+  get ownerDocument() {
+    let node = this;
+    while (node.parentNode) node = node.parentNode;
+    return node.nodeType === DOCUMENT_NODE ? node : null;
+  }
+
+  get isConnected() {
+    return Boolean(this.ownerDocument);
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get lastChild() {
+    return this.childNodes[this.childNodes.length - 1] || null;
+  }
+
+  get nextSibling() {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  get previousSibling() {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) - 1] || null;
+  }
+
+  get nextElementSibling() {
+    let node = this.nextSibling;
+    while (node && node.nodeType !== ELEMENT_NODE) node = node.nextSibling;
+    return node;
+  }
+
+  get previousElementSibling() {
+    let node = this.previousSibling;
+    while (node && node.nodeType !== ELEMENT_NODE) node = node.previousSibling;
+    return node;
+  }
+
+  get children() {
+    return this.childNodes.filter(node => node.nodeType === ELEMENT_NODE);
+  }
+
+  get firstElementChild() {
+    return this.children[0] || null;
+  }
+
+  get lastElementChild() {
+    const children = this.children;
+    return children[children.length - 1] || null;
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => node.nodeType === COMMENT_NODE ? '' : node.textContent).join('');
+  }
+
+  set textContent(value) {
+    this.childNodes.forEach(node => { node.parentNode = null; });
+    this.childNodes = [];
+    if (value) this.appendChild(new MiniText(String(value)));
+  }
+
+  hasChildNodes() {
+    return this.childNodes.length > 0;
+  }
+
+  appendChild(child) {
+    return this.insertBefore(child, null);
+  }
+
+  insertBefore(child, reference) {
+    if (child.parentNode) child.parentNode.removeChild(child);
+    const index = reference ? this.childNodes.indexOf(reference) : -1;
+    if (index === -1) this.childNodes.push(child);
+    else this.childNodes.splice(index, 0, child);
+    child.parentNode = this;
+    return child;
+  }
+
+  removeChild(child) {
+    const index = this.childNodes.indexOf(child);
+    if (index !== -1) this.childNodes.splice(index, 1);
+    child.parentNode = null;
+    return child;
+  }
+
+  remove() {
+    if (this.parentNode) this.parentNode.removeChild(this);
+  }
+
+  contains(node) {
+    for (let current = node; current; current = current.parentNode) {
+      if (current === this) return true;
+    }
+    return false;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  querySelectorAll(selector) {
+    const selectors = parseSelectorList(selector);
+    const results = [];
+    const walk = node => node.children.forEach(child => {
+      if (selectors.some(complex => matchesComplex(child, complex, this))) results.push(child);
+      walk(child);
+    });
+    walk(this);
+    return results;
+  }
+}
+
+class MiniText extends MiniNode {
+  constructor(data) {
+    super(TEXT_NODE, '#text');
+    this.data = data;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  set textContent(value) {
+    this.data = String(value);
+  }
+
+  get nodeValue() {
+    return this.data;
+  }
+
+  cloneNode() {
+    return new MiniText(this.data);
+  }
+
+  get outerHTML() {
+    return escapeHtml(this.data, false);
+  }
+}
+
+class MiniComment extends MiniNode {
+  constructor(data) {
+    super(COMMENT_NODE, '#comment');
+    this.data = data;
+  }
+
+  get nodeValue() {
+    return this.data;
+  }
+
+  cloneNode() {
+    return new MiniComment(this.data);
+  }
+
+  get outerHTML() {
+    return `<!--${this.data}-->`;
+  }
+}
+
+class MiniElement extends MiniNode {
+  constructor(tagName) {
+    super(ELEMENT_NODE, tagName.toUpperCase());
+    this.tagName = this.nodeName;
+    this.localName = tagName.toLowerCase();
+    this.attributes = [];
+  }
+
+  getAttribute(name) {
+    const attribute = this.attributes.find(attr => attr.name === name.toLowerCase());
+    return attribute ? attribute.value : null;
+  }
+
+  setAttribute(name, value) {
+    const attribute = this.attributes.find(attr => attr.name === name.toLowerCase());
+    if (attribute) attribute.value = String(value);
+    else this.attributes.push({ name: name.toLowerCase(), value: String(value) });
+  }
+
+  hasAttribute(name) {
+    return this.getAttribute(name) !== null;
+  }
+
+  removeAttribute(name) {
+    this.attributes = this.attributes.filter(attr => attr.name !== name.toLowerCase());
+  }
+
+  get id() {
+    return this.getAttribute('id') || '';
+  }
+
+  get className() {
+    return this.getAttribute('class') || '';
+  }
+
+  get classList() {
+    const classes = this.className.split(/\s+/).filter(Boolean);
+    return {
+      contains: name => classes.includes(name),
+      length: classes.length,
+      [Symbol.iterator]: () => classes[Symbol.iterator]()
+    };
+  }
+
+  get dataset() {
+    const dataset = {};
+    this.attributes.filter(attr => attr.name.startsWith('data-')).forEach(attr => {
+      dataset[attr.name.slice(5).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())] = attr.value;
+    });
+    return dataset;
+  }
+
+  get style() {
+    const style = {};
+    (this.getAttribute('style') || '').split(';').forEach(declaration => {
+      const colon = declaration.indexOf(':');
+      if (colon === -1) return;
+      const property = declaration.slice(0, colon).trim().toLowerCase();
+      style[property.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())] = declaration.slice(colon + 1).trim();
+    });
+    return style;
+  }
+
+  get href() {
+    return this.getAttribute('href') || '';
+  }
+
+  get src() {
+    return this.getAttribute('src') || '';
+  }
+
+  get alt() {
+    return this.getAttribute('alt') || '';
+  }
+
+  get title() {
+    return this.getAttribute('title') || '';
+  }
+
+  get type() {
+    return this.getAttribute('type') || '';
+  }
+
+  get checked() {
+    return this.hasAttribute('checked');
+  }
+
+  get start() {
+    return Number(this.getAttribute('start')) || 1;
+  }
+
+  get colSpan() {
+    return Number(this.getAttribute('colspan')) || 1;
+  }
+
+  get rowSpan() {
+    return Number(this.getAttribute('rowspan')) || 1;
+  }
+
+  get tHead() {
+    return this.children.find(child => child.tagName === 'THEAD') || null;
+  }
+
+  get rows() {
+    return this.querySelectorAll(':scope > tr, :scope > thead > tr, :scope > tbody > tr, :scope > tfoot > tr');
+  }
+
+  get cells() {
+    return this.children.filter(child => child.tagName === 'TD' || child.tagName === 'TH');
+  }
+
+  get innerHTML() {
+    return this.childNodes.map(node => node.outerHTML).join('');
+  }
+
+  get outerHTML() {
+    const attributes = this.attributes.map(attr => ` ${attr.name}="${escapeHtml(attr.value, true)}"`).join('');
+    if (VOID_ELEMENTS.has(this.tagName)) return `<${this.localName}${attributes}>`;
+    const content = RAW_TEXT_ELEMENTS.has(this.tagName) ? this.textContent : this.innerHTML;
+    return `<${this.localName}${attributes}>${content}</${this.localName}>`;
+  }
+
+  cloneNode(deep) {
+    const clone = new MiniElement(this.localName);
+    clone.attributes = this.attributes.map(attr => ({ ...attr }));
+    if (deep) this.childNodes.forEach(child => clone.appendChild(child.cloneNode(true)));
+    return clone;
+  }
+
+  matches(selector) {
+    return parseSelectorList(selector).some(complex => matchesComplex(this, complex, null));
+  }
+
+  closest(selector) {
+    for (let node = this; node && node.nodeType === ELEMENT_NODE; node = node.parentNode) {
+      if (node.matches(selector)) return node;
+    }
+    return null;
+  }
+}
+
+class MiniDocument extends MiniNode {
+  constructor() {
+    super(DOCUMENT_NODE, '#document');
+  }
+
+  get documentElement() {
+    return this.children[0] || null;
+  }
+
+  get body() {
+    return this.querySelector('body');
+  }
+
+  get head() {
+    return this.querySelector('head');
+  }
+
+  get title() {
+    const title = this.querySelector('title');
+    return title ? title.textContent.trim() : '';
+  }
+
+  createElement(tagName) {
+    return new MiniElement(tagName);
+  }
+
+  createElementNS(namespace, tagName) {
+    return new MiniElement(tagName);
+  }
+
+  createTextNode(data) {
+    return new MiniText(data);
+  }
+}
+
+// ------------------------------------------
+//  Selectors
+// ------------------------------------------
+
+// Split on a separator that is not inside brackets, parentheses or quotes
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (depth === 0 && separator.test(char)) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+
+function parseSelectorList(selector) {
+  return splitTopLevel(selector, /,/).map(part => parseComplex(part.trim()));
+}
+
+// A complex selector as compounds from left to right, each with the combinator that links it to the previous one
+function parseComplex(selector) {
+  const compounds = [];
+  let combinator = null;
+  splitTopLevel(selector.replace(/\s*>\s*/g, ' > '), /\s/).filter(Boolean).forEach(token => {
+    if (token === '>') {
+      combinator = '>';
+      return;
+    }
+    compounds.push({ combinator, parts: parseCompound(token) });
+    combinator = ' ';
+  });
+  return compounds;
+}
+
+function parseCompound(compound) {
+  const parts = [];
+  const pattern = /^(\*|[a-z][\w-]*)|^#([\w-]+)|^\.([\w-]+)|^\[\s*([\w-]+)\s*(?:([~^$*|]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*))\s*)?\]|^:([\w-]+)(?:\(((?:[^()]|\([^()]*\))*)\))?/i;
+  let rest = compound;
+  while (rest) {
+    const match = rest.match(pattern);
+    if (!match) throw new Error(`Unsupported selector: ${compound}`);
+    if (match[1]) parts.push({ type: 'tag', name: match[1].toUpperCase() });
+    else if (match[2]) parts.push({ type: 'id', name: match[2] });
+    else if (match[3]) parts.push({ type: 'class', name: match[3] });
+    else if (match[4]) parts.push({ type: 'attribute', name: match[4].toLowerCase(), operator: match[5], value: match[6] ?? match[7] ?? match[8] });
+    else parts.push({ type: 'pseudo', name: match[9].toLowerCase(), argument: match[10] });
+    rest = rest.slice(match[0].length);
+  }
+  return parts;
+}
+
+function matchesAttribute(element, part) {
+  const value = element.getAttribute(part.name);
+  if (value === null) return false;
+  switch (part.operator) {
+    case undefined: return true;
+    case '=': return value === part.value;
+    case '^=': return Boolean(part.value) && value.startsWith(part.value);
+    case '$=': return Boolean(part.value) && value.endsWith(part.value);
+    case '*=': return Boolean(part.value) && value.includes(part.value);
+    case '~=': return value.split(/\s+/).includes(part.value);
+    case '|=': return value === part.value || value.startsWith(`${part.value}-`);
+    default: return false;
+  }
+}
+
+function matchesPseudo(element, part, scope) {
+  switch (part.name) {
+    case 'scope': return element === scope;
+    case 'not': return !parseSelectorList(part.argument).some(complex => matchesComplex(element, complex, scope));
+    case 'first-child': return !element.previousElementSibling;
+    case 'last-child': return !element.nextElementSibling;
+    case 'nth-child': return element.parentNode && element.parentNode.children.indexOf(element) + 1 === Number(part.argument);
+    default: throw new Error(`Unsupported pseudo-class: :${part.name}`);
+  }
+}
+
+function matchesCompound(element, parts, scope) {
+  return parts.every(part => {
+    switch (part.type) {
+      case 'tag': return part.name === '*' || element.tagName === part.name;
+      case 'id': return element.id === part.name;
+      case 'class': return element.classList.contains(part.name);
+      case 'attribute': return matchesAttribute(element, part);
+      default: return matchesPseudo(element, part, scope);
+    }
+  });
+}
+
+function matchesComplex(element, compounds, scope, index = compounds.length - 1) {
+  if (!element || element.nodeType !== ELEMENT_NODE) {
+    // `:scope` may be the querying document
+    return index === 0 && compounds[0].parts.every(part => part.type === 'pseudo' && part.name === 'scope') && element === scope;
+  }
+  if (!matchesCompound(element, compounds[index].parts, scope)) return false;
+  if (index === 0) return true;
+  if (compounds[index].combinator === '>') return matchesComplex(element.parentNode, compounds, scope, index - 1);
+  for (let ancestor = element.parentNode; ancestor; ancestor = ancestor.parentNode) {
+    if (matchesComplex(ancestor, compounds, scope, index - 1)) return true;
+  }
+  return false;
+}
+
+// ------------------------------------------
+//  Parsing
+// ------------------------------------------
+
+/**
+ * Parse well-formed HTML into a document. Missing end tags are closed at the parent's end tag; no other
+ * HTML error recovery is done (no implied `<tbody>`, no auto-closed `<p>`).
+ * @param {string} html - The markup.
+ * @returns {MiniDocument} The document.
+ */
+function parseHtml(html) {
+  const document = new MiniDocument();
+  const stack = [document];
+  const current = () => stack[stack.length - 1];
+  const tokenPattern = /<!--([\s\S]*?)-->|<!doctype[^>]*>|<\/([a-z][\w-]*)\s*>|<([a-z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/gi;
+  let position = 0;
+  let match;
+  while ((match = tokenPattern.exec(html))) {
+    if (match.index > position) current().appendChild(new MiniText(decodeEntities(html.slice(position, match.index))));
+    position = tokenPattern.lastIndex;
+    if (match[1] !== undefined) {
+      current().appendChild(new MiniComment(match[1]));
+    } else if (match[2]) {
+      const tagName = match[2].toUpperCase();
+      const index = stack.map(node => node.nodeName).lastIndexOf(tagName);
+      if (index > 0) stack.length = index;
+    } else if (match[3]) {
+      const element = new MiniElement(match[3]);
+      const attributePattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+      let attribute;
+      while ((attribute = attributePattern.exec(match[4]))) {
+        element.setAttribute(attribute[1], decodeEntities(attribute[2] ?? attribute[3] ?? attribute[4] ?? ''));
+      }
+      current().appendChild(element);
+      if (RAW_TEXT_ELEMENTS.has(element.tagName)) {
+        const end = html.toLowerCase().indexOf(`</${element.localName}`, position);
+        const stop = end === -1 ? html.length : end;
+        const text = html.slice(position, stop);
+        if (text) element.appendChild(new MiniText(element.tagName === 'TEXTAREA' ? decodeEntities(text) : text));
+        tokenPattern.lastIndex = position = stop;
+      } else if (!VOID_ELEMENTS.has(element.tagName) && !match[5]) {
+        stack.push(element);
+      }
+    }
+  }
+  if (position < html.length) current().appendChild(new MiniText(decodeEntities(html.slice(position))));
+  return document;
+}
+
+/**
+ * The globals the content script expects from a page: `document`, `window`, `location`, `Node` and `NodeFilter`.
+ * @param {string} html - The page markup.
+ * @param {string} url - The page URL.
+ * @returns {Object} Globals to pass to the sandbox.
+ */
+function createPageGlobals(html, url) {
+  const document = parseHtml(html);
+  const location = new URL(url);
+  const getComputedStyle = element => {
+    const style = element.style;
+    let textAlign = 'start';
+    for (let node = element; node && node.nodeType === ELEMENT_NODE; node = node.parentNode) {
+      if (node.style.textAlign) {
+        textAlign = node.style.textAlign;
+        break;
+      }
+      if (node.getAttribute('align')) {
+        textAlign = node.getAttribute('align');
+        break;
+      }
+    }
+    return {
+      display: style.display || DISPLAY_BY_TAG[element.tagName] || (INLINE_ELEMENTS.has(element.tagName) ? 'inline' : 'block'),
+      visibility: style.visibility || 'visible',
+      textAlign,
+      paddingLeft: style.paddingLeft || '0px'
+    };
+  };
+  const window = { document, location, getComputedStyle };
+  return {
+    window,
+    document,
+    location,
+    getComputedStyle,
+    Node: { ELEMENT_NODE, TEXT_NODE, COMMENT_NODE, DOCUMENT_NODE },
+    NodeFilter: { SHOW_ELEMENT: 1, SHOW_TEXT: 4, FILTER_ACCEPT: 1, FILTER_REJECT: 2, FILTER_SKIP: 3 }
+  };
+}
+
+module.exports = { parseHtml, createPageGlobals };
@@ -0,0 +1,26 @@
+// Class diagram generics: rendered `<`/`>` pairs after a type name become Mermaid's `~`; annotations, arrows and
+// comparisons keep their brackets, and commas inside generics are written as `#44;`.
+
+const { loadContentScripts, check } = require('./helpers');
+
+const { toMermaidGenerics } = loadContentScripts(['toMermaidGenerics']);
+
+function runTests() {
+  console.log("Running Tests...");
+
+  check("Single type parameter", toMermaidGenerics("List<T>"), "List~T~");
+  check("Nested generics", toMermaidGenerics("Promise<Array<T>>"), "Promise~Array~T~~");
+  check("Multiple type parameters", toMermaidGenerics("Map<K, V>"), "Map~K#44; V~");
+  check("Nested and multiple parameters", toMermaidGenerics("Map<K, List<V>>"), "Map~K#44; List~V~~");
+  check("Commas inside nested generics", toMermaidGenerics("List<Map<K, V>>"), "List~Map~K#44; V~~");
+  check("Member with generic type", toMermaidGenerics("+items: List<Item>"), "+items: List~Item~");
+  check("Method with generic return", toMermaidGenerics("+load(id: string) Promise<Result<User>>"), "+load(id: string) Promise~Result~User~~");
+  check("Annotation keeps its brackets", toMermaidGenerics("<<interface>>"), "<<interface>>");
+  check("Plain member is unchanged", toMermaidGenerics("-count: int"), "-count: int");
+  check("Return arrow is kept", toMermaidGenerics("+map(fn: (T) -> U) List<U>"), "+map(fn: (T) -> U) List~U~");
+  check("Comparison operators are kept", toMermaidGenerics("+isValid() bool (a<=b, c > d)"), "+isValid() bool (a<=b, c > d)");
+  check("Unbalanced bracket is kept", toMermaidGenerics("+shift(n) int<<"), "+shift(n) int<<");
+  check("Bracket without a type name is kept", toMermaidGenerics("+compare(a, b) a < b"), "+compare(a, b) a < b");
+}
+
+runTests();
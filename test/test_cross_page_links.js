@@ -0,0 +1,48 @@
+// Batch exports: links between wiki pages become relative links to the exported .md files, other links stay.
+
+const { loadContentScripts, loadBackgroundScript, check } = require('./helpers');
+
+const { batchState, rewriteCrossPageLinks } = loadBackgroundScript(['batchState', 'rewriteCrossPageLinks']);
+const { DeepWikiFixer } = loadContentScripts(['DeepWikiFixer']);
+
+function runTests() {
+  console.log("Running Tests...");
+
+  check("Root-relative wiki links point at GitHub by default",
+    DeepWikiFixer.fixInternalLinks("[Architecture](/owner/repo/2-architecture)"),
+    "[Architecture](https://github.com/owner/repo/2-architecture)");
+  check("Root-relative wiki links stay on the wiki when the batch rewrites them",
+    DeepWikiFixer.fixInternalLinks("[Architecture](/owner/repo/2-architecture)\n[ref]: /owner/repo", "https://deepwiki.com"),
+    "[Architecture](https://deepwiki.com/owner/repo/2-architecture)\n[ref]: https://deepwiki.com/owner/repo");
+
+  batchState.originalUrl = 'https://deepwiki.com/owner/repo';
+  batchState.convertedPages = [
+    { title: '1-Overview', url: 'https://deepwiki.com/owner/repo', content: '# Overview\n' },
+    { title: '3-C#-Interop-100%', url: 'https://deepwiki.com/owner/repo/3-c-interop', content: '# C# Interop\n' },
+    {
+      title: '2-Architecture',
+      url: 'https://deepwiki.com/owner/repo/2-architecture',
+      content: [
+        'See the [overview](https://deepwiki.com/owner/repo) and its [setup](https://deepwiki.com/owner/repo#setup).',
+        'Layers are [below](https://deepwiki.com/owner/repo/2-architecture#layers), bindings in [C# Interop](https://deepwiki.com/owner/repo/3-c-interop#api).',
+        'Code lives in the [repository](https://github.com/owner/repo) and [another wiki](https://deepwiki.com/other/project).',
+        '```',
+        '[overview](https://deepwiki.com/owner/repo)',
+        '```',
+        '[home]: https://deepwiki.com/owner/repo'
+      ].join('\n')
+    }
+  ];
+  rewriteCrossPageLinks();
+  check("Links between pages, fragments, external links and code", batchState.convertedPages[2].content.split('\n'), [
+    'See the [overview](1-Overview.md) and its [setup](1-Overview.md#setup).',
+    'Layers are [below](#layers), bindings in [C# Interop](3-C%23-Interop-100%25.md#api).',
+    'Code lives in the [repository](https://github.com/owner/repo) and [another wiki](https://deepwiki.com/other/project).',
+    '```',
+    '[overview](https://deepwiki.com/owner/repo)',
+    '```',
+    '[home]: 1-Overview.md'
+  ]);
+}
+
+runTests();
@@ -0,0 +1,55 @@
+// YAML front matter: values a parser would read as another type, or misparse, are quoted.
+
+const { loadScripts, check } = require('./helpers');
+
+const { formatYamlScalar, buildFrontMatter } = loadScripts(['front-matter.js'], ['formatYamlScalar', 'buildFrontMatter']);
+
+function runTests() {
+  console.log("Running Tests...");
+
+  check("Plain title is not quoted", formatYamlScalar("Getting Started"), "Getting Started");
+  check("Path is not quoted", formatYamlScalar("src/core/index.ts"), "src/core/index.ts");
+  check("Number stays a number", formatYamlScalar(3), "3");
+  check("Numeric string is quoted", formatYamlScalar("42"), '"42"');
+  check("Version-like string is quoted", formatYamlScalar("1.10"), '"1.10"');
+  check("Exponent-like string is quoted", formatYamlScalar("1e3"), '"1e3"');
+  check("Boolean word is quoted", formatYamlScalar("yes"), '"yes"');
+  check("Capitalized boolean word is quoted", formatYamlScalar("False"), '"False"');
+  check("Null word is quoted", formatYamlScalar("null"), '"null"');
+  check("Tilde is quoted", formatYamlScalar("~"), '"~"');
+  check("Colon is quoted", formatYamlScalar("Setup: Docker"), '"Setup: Docker"');
+  check("Comment marker is quoted", formatYamlScalar("Issue #12"), '"Issue #12"');
+  check("Leading dash is quoted", formatYamlScalar("- item"), '"- item"');
+  check("Leading asterisk is quoted", formatYamlScalar("*args"), '"*args"');
+  check("Leading bracket is quoted", formatYamlScalar("[draft] Notes"), '"[draft] Notes"');
+  check("Leading quote is quoted", formatYamlScalar("'Quoted' title"), '"\'Quoted\' title"');
+  check("Embedded double quote is escaped", formatYamlScalar('The "core" module'), '"The \\"core\\" module"');
+  check("Trailing space is quoted", formatYamlScalar("Overview "), '"Overview "');
+  check("Empty string is quoted", formatYamlScalar(""), '""');
+
+  const fields = { title: "Setup: Docker", url: "https://deepwiki.com/owner/repo/1-setup", order: 1, numberPrefix: "1.2" };
+  check("Block quotes placeholder values",
+    buildFrontMatter("title: {title}\nurl: {url}", fields),
+    '---\ntitle: "Setup: Docker"\nurl: "https://deepwiki.com/owner/repo/1-setup"\n---\n\n');
+  check("Lone numeric placeholder stays a number",
+    buildFrontMatter("sidebar_position: {order}", fields),
+    '---\nsidebar_position: 1\n---\n\n');
+  check("Numeric string placeholder is quoted",
+    buildFrontMatter("number: {numberPrefix}", fields),
+    '---\nnumber: "1.2"\n---\n\n');
+  check("Mixed text and placeholder is formatted as one string",
+    buildFrontMatter("label: {numberPrefix} {title}", fields),
+    '---\nlabel: "1.2 Setup: Docker"\n---\n\n');
+  check("Literal values are copied as written",
+    buildFrontMatter("draft: false\nlayout: doc\ntags: [wiki, export]", fields),
+    '---\ndraft: false\nlayout: doc\ntags: [wiki, export]\n---\n\n');
+  check("Comment lines are kept",
+    buildFrontMatter("# exported page\ntitle: {title}", fields),
+    '---\n# exported page\ntitle: "Setup: Docker"\n---\n\n');
+  check("Lines with a missing field are dropped",
+    buildFrontMatter("title: {title}\nparent: {parent}", fields),
+    '---\ntitle: "Setup: Docker"\n---\n\n');
+  check("Block with only comments is empty", buildFrontMatter("# note\nparent: {parent}", fields), "");
+}
+
+runTests();
@@ -0,0 +1,50 @@
+// Gantt reconstruction: task bars, section titles and axis ticks are compared in the SVG's own coordinate space,
+// whichever groups translate them.
+
+const { loadContentScripts, check } = require('./helpers');
+const { parseHtml, createPageGlobals } = require('./mini_dom');
+
+const { convertGanttSvgToMermaidText } = loadContentScripts(['convertGanttSvgToMermaidText'],
+  createPageGlobals('<html><body></body></html>', 'https://deepwiki.com/owner/repo/1-overview'));
+
+/**
+ * Convert a Gantt SVG snippet.
+ * @param {string} svg - The chart markup.
+ * @returns {Array<string>} The lines of the Mermaid block.
+ */
+function convert(svg) {
+  return convertGanttSvgToMermaidText(parseHtml(svg).querySelector('svg')).split('\n');
+}
+
+function runTests() {
+  console.log("Running Tests...");
+
+  // Bars are drawn in a group shifted by the left pad and the title height; section titles and ticks are not
+  const chart = `<svg>
+    <g transform="translate(75, 50)">
+      <rect id="task1" class="task" x="0" y="0" width="100" height="20"></rect>
+      <rect id="task2" class="task done0" x="100" y="30" width="50" height="20"></rect>
+      <rect id="task3" class="task" x="150" y="60" width="100" height="20"></rect>
+      <text id="task1-text">Design</text><text id="task2-text">Build</text><text id="task3-text">Ship</text>
+    </g>
+    <text class="sectionTitle" y="60">Plan</text>
+    <text class="sectionTitle" y="105">Deliver</text>
+    <g class="grid" transform="translate(75, 200)">
+      <g class="tick" transform="translate(0,0)"><text>2024-01-01</text></g>
+      <g class="tick" transform="translate(100,0)"><text>2024-01-11</text></g>
+    </g>
+  </svg>`;
+  check("Tasks land in the section their row is centred on", convert(chart), [
+    '```mermaid',
+    'gantt',
+    '    dateFormat YYYY-MM-DD',
+    '    section Plan',
+    '        Design :2024-01-01, 10d',
+    '    section Deliver',
+    '        Build :done, 2024-01-11, 5d',
+    '        Ship :2024-01-16, 10d',
+    '```'
+  ]);
+}
+
+runTests();
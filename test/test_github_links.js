@@ -0,0 +1,58 @@
+// GitHub link modes: the indexed commit is the SHA most blob links point at; links are stripped of it, pinned to it
+// (only for the indexed repository) or pointed at the default branch.
+
+const { loadContentScripts, check } = require('./helpers');
+
+const { DeepWikiFixer } = loadContentScripts(['DeepWikiFixer']);
+
+const PAGE = [
+  '[a.py L1](https://github.com/owner/repo/blob/1234567abc/src/a.py#L1)',
+  '[b.py L2](https://github.com/owner/repo/blob/1234567abc/src/b.py#L2)',
+  '[c.py L3](https://github.com/owner/repo/blob/89abcdef/src/c.py#L3)',
+  '[README](https://github.com/owner/repo/blob/main/README.md)',
+  '[docs](https://github.com/owner/repo/tree/master/docs/)',
+  '[other](https://github.com/someone/else/blob/main/x.py)',
+  '[other sha](https://github.com/someone/else/blob/fedcba98/y.py)'
+].join('\n');
+
+function runTests() {
+  console.log("Running Tests...");
+
+  const commit = DeepWikiFixer.findIndexedCommit(PAGE);
+  check("Indexed commit is the most linked SHA", commit, { repository: 'owner/repo', sha: '1234567abc' });
+  check("No blob links means no indexed commit", DeepWikiFixer.findIndexedCommit('[x](https://github.com/owner/repo)'), null);
+
+  check("Stripped mode drops SHAs", DeepWikiFixer.applyGithubLinkMode(PAGE, 'stripped', commit).split('\n'), [
+    '[a.py L1](https://github.com/owner/repo/src/a.py#L1)',
+    '[b.py L2](https://github.com/owner/repo/src/b.py#L2)',
+    '[c.py L3](https://github.com/owner/repo/src/c.py#L3)',
+    '[README](https://github.com/owner/repo/blob/main/README.md)',
+    '[docs](https://github.com/owner/repo/tree/master/docs/)',
+    '[other](https://github.com/someone/else/blob/main/x.py)',
+    '[other sha](https://github.com/someone/else/y.py)'
+  ]);
+  check("Pinned mode points the indexed repository at the indexed commit",
+    DeepWikiFixer.applyGithubLinkMode(PAGE, 'pinned', commit).split('\n'), [
+      '[a.py L1](https://github.com/owner/repo/blob/1234567abc/src/a.py#L1)',
+      '[b.py L2](https://github.com/owner/repo/blob/1234567abc/src/b.py#L2)',
+      '[c.py L3](https://github.com/owner/repo/blob/1234567abc/src/c.py#L3)',
+      '[README](https://github.com/owner/repo/blob/1234567abc/README.md)',
+      '[docs](https://github.com/owner/repo/tree/1234567abc/docs/)',
+      '[other](https://github.com/someone/else/blob/main/x.py)',
+      '[other sha](https://github.com/someone/else/blob/fedcba98/y.py)'
+    ]);
+  check("Pinned mode without an indexed commit leaves links alone",
+    DeepWikiFixer.applyGithubLinkMode(PAGE, 'pinned', null), PAGE);
+  check("Branch mode points SHAs at HEAD", DeepWikiFixer.applyGithubLinkMode(PAGE, 'branch', commit).split('\n'), [
+    '[a.py L1](https://github.com/owner/repo/blob/HEAD/src/a.py#L1)',
+    '[b.py L2](https://github.com/owner/repo/blob/HEAD/src/b.py#L2)',
+    '[c.py L3](https://github.com/owner/repo/blob/HEAD/src/c.py#L3)',
+    '[README](https://github.com/owner/repo/blob/main/README.md)',
+    '[docs](https://github.com/owner/repo/tree/master/docs/)',
+    '[other](https://github.com/someone/else/blob/main/x.py)',
+    '[other sha](https://github.com/someone/else/blob/HEAD/y.py)'
+  ]);
+  check("Default mode is stripped", DeepWikiFixer.applyGithubLinkMode(PAGE), DeepWikiFixer.applyGithubLinkMode(PAGE, 'stripped'));
+}
+
+runTests();
@@ -0,0 +1,39 @@
+// escapeMarkdownText round-trips: undoing the escapes the way a CommonMark renderer reads them (backslash before
+// ASCII punctuation, `&amp;` before an entity name) must give back the original text.
+
+const { loadContentScripts, check } = require('./helpers');
+
+const { escapeMarkdownText } = loadContentScripts(['escapeMarkdownText']);
+
+function unescapeMarkdown(markdown) {
+  return markdown
+    .replace(/\\([!-/:-@[-`{-~])/g, '$1')
+    .replace(/&amp;(?=#?\w+;)/g, '&');
+}
+
+const SAMPLES = [
+  "__init__ and *args",
+  "snake_case_name and 2 * 3",
+  "#include <stdio.h>",
+  "1. not a list",
+  "- not a bullet",
+  "> not a quote",
+  "===",
+  "[note] and [link](url)",
+  "`tick` ~old~ $5 and $10",
+  "&copy; and &#169;",
+  "C:\\path\\*.txt and a\\_b",
+  "<div> and </span>",
+  "line one\n# heading-like\n+ plus",
+  "a | b\n--- | ---"
+];
+
+function runTests() {
+  console.log("Running Tests...");
+
+  SAMPLES.forEach(sample => {
+    check(`Round-trip of ${JSON.stringify(sample)}`, unescapeMarkdown(escapeMarkdownText(sample, true)), sample);
+  });
+}
+
+runTests();
@@ -0,0 +1,83 @@
+// HTML-to-Markdown conversion checked against the fixture files in this folder.
+//
+// A fixture file has one `### case` per check, each with an **input** HTML snippet and the **expect**ed Markdown in
+// a fenced block (use a longer fence when the Markdown has fences of its own). An optional **options** JSON block
+// sets export options for the case. The snippet is placed in a DeepWiki-like page and converted by the content
+// script's convertToMarkdown handler, the same path a single-page export takes.
+
+const fs = require('fs');
+const path = require('path');
+const { loadContentScripts, check } = require('./helpers');
+const { createPageGlobals } = require('./mini_dom');
+
+const FIXTURE_FILES = ['test_table.md', 'test_list.md', 'test_escaping.md', 'test_heading.md', 'test_math.md', 'test_inline.md', 'test_citation.md'];
+
+const PAGE_URL = 'https://deepwiki.com/owner/repo/2-architecture';
+
+/**
+ * Read the cases of a fixture file.
+ * @param {string} file - The fixture file name, relative to this folder.
+ * @returns {Array<{name: string, input: string, expect: string, options: Object}>} The cases.
+ */
+function readFixtureCases(file) {
+  const text = fs.readFileSync(path.join(__dirname, file), 'utf8');
+  const fenced = (section, label) => {
+    const match = section.match(new RegExp(`\\*\\*${label}\\*\\*\\s*\\n\\s*(\`{3,})[^\\n]*\\n((?:[\\s\\S]*?\\n)?)\\1\\s*(?:\\n|$)`));
+    return match ? match[2].replace(/\n$/, '') : null;
+  };
+  // Cases start at `### ` lines outside fences; expected Markdown may hold headings of its own
+  const sections = [];
+  let fence = null;
+  text.split('\n').forEach(line => {
+    const fenceMatch = line.match(/^(`{3,})/);
+    if (fenceMatch && (!fence || fenceMatch[1].length >= fence.length)) fence = fence ? null : fenceMatch[1];
+    if (!fence && line.startsWith('### ')) sections.push('');
+    if (sections.length) sections[sections.length - 1] += `${line}\n`;
+  });
+  return sections.map(section => {
+    const name = section.slice(4, section.indexOf('\n')).trim();
+    const inputMatch = section.match(/\*\*input\*\*\s*\n([\s\S]*?)\n\s*\*\*(?:expect|options)\*\*/);
+    const options = fenced(section, 'options');
+    return {
+      name: `${file}: ${name}`,
+      input: inputMatch ? inputMatch[1].trim() : '',
+      expect: fenced(section, 'expect'),
+      options: options ? JSON.parse(options) : {}
+    };
+  });
+}
+
+/**
+ * Convert an HTML snippet the way the popup's single-page export does.
+ * @param {string} input - The page content.
+ * @param {Object} options - Export options for the request.
+ * @returns {Promise<string>} The Markdown.
+ */
+function convertSnippet(input, options) {
+  const html = `<html><head><title>Architecture | DeepWiki</title></head><body><main><div class="prose">${input}</div></main></body></html>`;
+  const { onMessage } = loadContentScripts([], createPageGlobals(html, PAGE_URL));
+  return new Promise((resolve, reject) => {
+    onMessage({ action: 'convertToMarkdown', options }, {}, response => {
+      if (response.success) resolve(response.markdown);
+      else reject(new Error(response.error));
+    });
+  });
+}
+
+async function runTests() {
+  console.log("Running Tests...");
+
+  for (const file of FIXTURE_FILES) {
+    for (const fixture of readFixtureCases(file)) {
+      let markdown;
+      try {
+        markdown = await convertSnippet(fixture.input, fixture.options);
+      } catch (error) {
+        markdown = `Error: ${error.message}`;
+      }
+      check(fixture.name, markdown.trim(), fixture.expect.trim());
+    }
+  }
+}
+
+runTests();
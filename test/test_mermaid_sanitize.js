@@ -0,0 +1,33 @@
+// DeepWikiFixer.sanitizeMermaid: reconstructed flowcharts get unsupported label Markdown replaced,
+// source recovered from the page is left as written.
+
+const { loadContentScripts, check } = require('./helpers');
+
+const { DeepWikiFixer } = loadContentScripts(['DeepWikiFixer']);
+
+function runTests() {
+  console.log("Running Tests...");
+
+  const reconstructed = [
+    '```mermaid',
+    'flowchart TD',
+    '    A["See https://example.com"] --> B{"Ready?"}',
+    '%% Source: reconstructed from rendered SVG',
+    '```'
+  ].join('\n');
+  check("Links in reconstructed labels are replaced",
+    DeepWikiFixer.sanitizeMermaid(reconstructed).split('\n')[2],
+    '    A["See Unsupported markdown: link"] --> B{"Ready?"}');
+
+  const original = [
+    '```mermaid',
+    'flowchart TD',
+    '    A["See https://example.com"] --> B{"Ready?"}',
+    '    C["- first item"]',
+    '%% Source: original (code block)',
+    '```'
+  ].join('\n');
+  check("Original source is exported verbatim", DeepWikiFixer.sanitizeMermaid(original), original);
+}
+
+runTests();
@@ -0,0 +1,70 @@
+// MermaidValidator (lib/mermaid-validator.js): diagrams the converters write must pass, broken ones must not.
+
+const { loadScripts, check } = require('./helpers');
+
+const { MermaidValidator } = loadScripts(['lib/mermaid-validator.js'], ['MermaidValidator']);
+
+/**
+ * Validate diagram lines and list the errors.
+ * @param {Array<string>} lines - The diagram source, without the fence.
+ * @returns {Array<string>} `line: message` for each error.
+ */
+function errorsOf(lines) {
+  return MermaidValidator.validate(lines.join('\n')).errors.map(error => `${error.line}: ${error.message}`);
+}
+
+function runTests() {
+  console.log("Running Tests...");
+
+  // Label and edge formats of the flowchart converter (quotes in labels become #quot;)
+  check("Converted flowchart nodes and edges", errorsOf([
+    'flowchart TD',
+    '    A["Call #quot;init#quot; first"]',
+    '    B{"Valid?"}',
+    '    A -->|"returns #quot;ok#quot;"| B',
+    '    B -.->|"no"| A',
+    '    subgraph core ["Core"]',
+    '        C["a; b"] --> D',
+    '    end'
+  ]), []);
+  check("Statements separated by semicolons", errorsOf(['graph LR', '    A --> B; B --> C;']), []);
+  check("Entity codes do not split a statement", errorsOf(['graph LR', '    A["Tom &amp; Jerry"] --> B["#35;1"]']), []);
+  check("Unterminated quoted label", errorsOf(['graph LR', '    A["open --> B']), ['2: Unterminated quoted label']);
+  check("Unquoted label with brackets", errorsOf(['graph LR', '    A[f(x)] --> B']),
+    ['2: Node "A" has brackets or quotes in an unquoted label; wrap the label in double quotes']);
+  check("Unterminated edge label", errorsOf(['graph LR', '    A -->|yes B']), ['2: Unterminated "|" edge label']);
+  check("Unclosed subgraph", errorsOf(['graph LR', '    subgraph one', '    A --> B']), ['2: "subgraph" block is never closed']);
+
+  check("Converted sequence diagram", errorsOf([
+    'sequenceDiagram',
+    '    participant A as Client',
+    '    loop Every minute',
+    '        A->>B: poll()',
+    '    end',
+    '    Note over A,B: done'
+  ]), []);
+  check("Converted class diagram with generics", errorsOf([
+    'classDiagram',
+    '    class Repository~T~ {',
+    '        +find(id: string) Promise~T~',
+    '    }',
+    '    Repository~T~ <|-- UserRepository'
+  ]), []);
+  check("Converted Gantt chart", errorsOf([
+    'gantt',
+    '    dateFormat YYYY-MM-DD',
+    '    section Plan',
+    '        Design :2024-01-01, 10d',
+    '        Review #colon; final :done, 2024-01-11, 5d'
+  ]), []);
+  check("Converted mindmap", errorsOf([
+    'mindmap',
+    '  n1(("init() [core]"))',
+    '    n2["Say #quot;hi#quot; (twice)"]',
+    '    load#40;config#41;'
+  ]), []);
+  check("Unbalanced mindmap node", errorsOf(['mindmap', '  n1[open']), ['2: Unbalanced "[]" in mindmap node']);
+  check("Unknown diagram type", errorsOf(['flowchat TD']), ['1: Unknown diagram type "flowchat"']);
+}
+
+runTests();
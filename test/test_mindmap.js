@@ -0,0 +1,45 @@
+// Mindmap reconstruction: node labels are quoted inside their shape, so brackets and quotes in the text do not end
+// the node early.
+
+const { loadContentScripts, check } = require('./helpers');
+const { parseHtml, createPageGlobals } = require('./mini_dom');
+
+const { convertMindmapSvgToMermaidText } = loadContentScripts(['convertMindmapSvgToMermaidText'],
+  createPageGlobals('<html><body></body></html>', 'https://deepwiki.com/owner/repo/1-overview'));
+
+/**
+ * A mindmap node drawn at a position.
+ * @param {string} label - The node text.
+ * @param {string} shape - The background shape class, e.g. `rect`.
+ * @param {number} x - Left edge.
+ * @param {number} y - Top edge.
+ * @param {string} [extraClass] - More classes of the node group.
+ * @returns {string} The node markup.
+ */
+function node(label, shape, x, y, extraClass = '') {
+  return `<g class="mindmap-node ${extraClass}"><rect class="node-bkg node-${shape}" x="${x}" y="${y}" width="100" height="20"></rect><text>${label}</text></g>`;
+}
+
+function runTests() {
+  console.log("Running Tests...");
+
+  const svg = parseHtml(`<svg><g>
+    ${node('init() [core]', 'circle', 0, 0, 'section-root')}
+    ${node('Say "hi" (twice)', 'rect', 200, -100)}
+    ${node('load(config)', 'no-border', 200, 100)}
+    <path class="edge" d="M50,10 L250,-90"></path>
+    <path class="edge" d="M50,10 L250,110"></path>
+  </g></svg>`).querySelector('svg');
+  check("Labels are quoted inside shapes and brackets are encoded in plain nodes",
+    convertMindmapSvgToMermaidText(svg).split('\n'),
+    [
+      '```mermaid',
+      'mindmap',
+      '  n1(("init() [core]"))',
+      '    n2["Say #quot;hi#quot; (twice)"]',
+      '    load#40;config#41;',
+      '```'
+    ]);
+}
+
+runTests();
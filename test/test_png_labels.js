@@ -0,0 +1,45 @@
+// PNG diagram assets: HTML labels are redrawn as SVG text, since a canvas that draws a foreignObject cannot be exported.
+
+const { loadContentScripts, check } = require('./helpers');
+const { createPageGlobals } = require('./mini_dom');
+
+const page = createPageGlobals(`<html><body><svg id="flow" viewBox="0 0 200 100">
+  <g class="node"><rect width="120" height="60"></rect>
+    <g class="label" transform="translate(-50, -20)">
+      <foreignObject width="100" height="40"><div><span class="nodeLabel"><p>Load<br>config</p></span></div></foreignObject>
+    </g>
+  </g>
+  <g class="edgeLabel"><foreignObject x="10" y="80" width="60" height="20"><div><p>one</p><p>two</p></div></foreignObject></g>
+  <g class="cluster"><foreignObject width="0" height="0"><div></div></foreignObject></g>
+</svg></body></html>`, 'https://deepwiki.com/owner/repo/1-overview');
+const { replaceHtmlLabelsWithText } = loadContentScripts(['replaceHtmlLabelsWithText'], page);
+
+/**
+ * Describe the text elements of a redrawn diagram.
+ * @param {Element} svg - The copy.
+ * @returns {Array<Object>} Position and lines of each label.
+ */
+function describeLabels(svg) {
+  return svg.querySelectorAll('text').map(text => ({
+    x: text.getAttribute('x'),
+    y: text.getAttribute('y'),
+    lines: text.querySelectorAll('tspan').map(tspan => [tspan.getAttribute('dy'), tspan.textContent])
+  }));
+}
+
+function runTests() {
+  console.log("Running Tests...");
+
+  const svg = page.document.querySelector('svg');
+  const copy = replaceHtmlLabelsWithText(svg);
+  check("No foreignObject is left in the copy", copy.querySelectorAll('foreignObject').length, 0);
+  check("The rendered diagram is not changed", svg.querySelectorAll('foreignObject').length, 3);
+  check("Labels are centred in their box, one line per break or paragraph", describeLabels(copy), [
+    { x: '50', y: '20', lines: [['-0.6em', 'Load'], ['1.2em', 'config']] },
+    { x: '40', y: '90', lines: [['-0.6em', 'one'], ['1.2em', 'two']] },
+    { x: '0', y: '0', lines: [] }
+  ]);
+  check("Labels stay in their group", copy.querySelector('g.label > text') !== null, true);
+}
+
+runTests();
@@ -0,0 +1,60 @@
+// Sequence diagram reconstruction: control frames and highlighted `rect` regions wrap the messages drawn inside them.
+
+const { loadContentScripts, check } = require('./helpers');
+const { parseHtml, createPageGlobals } = require('./mini_dom');
+
+const { convertSequenceDiagramSvgToMermaidText } = loadContentScripts(['convertSequenceDiagramSvgToMermaidText'],
+  createPageGlobals('<html><body></body></html>', 'https://deepwiki.com/owner/repo/1-overview'));
+
+/**
+ * A message arrow with its text above it.
+ * @param {string} text - The message text.
+ * @param {number} y - Height of the arrow.
+ * @returns {string} The message markup.
+ */
+function message(text, y) {
+  return `<text class="messageText" x="150" y="${y - 10}">${text}</text>`
+    + `<line class="messageLine0" x1="50" y1="${y}" x2="250" y2="${y}"></line>`;
+}
+
+function runTests() {
+  console.log("Running Tests...");
+
+  const svg = parseHtml(`<svg>
+    <rect class="rect" x="20" y="70" width="260" height="120" fill="rgb(191, 223, 255)"></rect>
+    <text class="actor actor-box" x="50" y="20">Client</text>
+    <text class="actor actor-box" x="250" y="20">Server</text>
+    ${message('connect()', 60)}
+    ${message('request()', 100)}
+    <g>
+      <line class="loopLine" x1="30" y1="120" x2="270" y2="120"></line>
+      <line class="loopLine" x1="270" y1="120" x2="270" y2="180"></line>
+      <line class="loopLine" x1="30" y1="180" x2="270" y2="180"></line>
+      <line class="loopLine" x1="30" y1="120" x2="30" y2="180"></line>
+      <text class="labelText" x="45" y="133">loop</text>
+      <text class="loopText" x="150" y="133">[Every second]</text>
+    </g>
+    ${message('poll()', 160)}
+    ${message('close()', 220)}
+  </svg>`).querySelector('svg');
+  check("Highlighted region keeps its fill and wraps the frames inside it",
+    convertSequenceDiagramSvgToMermaidText(svg).split('\n'),
+    [
+      '```mermaid',
+      'sequenceDiagram',
+      '  participant Client',
+      '  participant Server',
+      '',
+      '  Client->>Server: connect()',
+      '  rect rgb(191, 223, 255)',
+      '    Client->>Server: request()',
+      '    loop Every second',
+      '      Client->>Server: poll()',
+      '    end',
+      '  end',
+      '  Client->>Server: close()',
+      '```'
+    ]);
+}
+
+runTests();
@@ -0,0 +1,162 @@
+// Batch site projects: page layout per generator, relocated links and the generated configuration.
+
+const { loadScripts, check } = require('./helpers');
+
+const { writeSiteProject } = loadScripts(['front-matter.js', 'site-profiles.js'], ['writeSiteProject']);
+
+/**
+ * A stand-in for the JSZip archive that records the written files.
+ * @returns {{files: Object<string, string>, file: Function}} The archive.
+ */
+function createZip() {
+  return {
+    files: {},
+    file(path, content) {
+      this.files[path] = content;
+    }
+  };
+}
+
+/**
+ * The pages of a small wiki: an overview with one child section, and a top-level page linking into both.
+ * @returns {Array<Object>} Converted pages in sidebar order.
+ */
+function createPages() {
+  return [
+    {
+      title: '1-Overview',
+      pageTitle: 'Overview',
+      depth: 0,
+      content: '# Overview\n\nSee [the sub page](1.1-Sub.md) and ![diagram](assets/1-Overview-mermaid-1.svg).\n',
+      assets: [{ path: 'assets/1-Overview-mermaid-1.svg', content: '<svg/>' }]
+    },
+    {
+      title: '1.1-Sub',
+      pageTitle: 'Sub',
+      depth: 1,
+      content: '# Sub\n\nBack to [the overview](1-Overview.md#goals).\n'
+    },
+    {
+      title: '2-Architecture',
+      pageTitle: 'Architecture: Core',
+      depth: 0,
+      content: [
+        '# Architecture',
+        '',
+        'Read [the overview](1-Overview.md#x) and [the sub page](1.1-Sub.md), or [GitHub](https://github.com/owner/repo).',
+        '',
+        '```markdown',
+        '[kept](1-Overview.md)',
+        '```',
+        '',
+        '[ref]: 1.1-Sub.md',
+        ''
+      ].join('\n')
+    }
+  ];
+}
+
+function runTests() {
+  console.log("Running Tests...");
+
+  const docusaurus = createZip();
+  writeSiteProject(docusaurus, 'docusaurus', 'owner/repo wiki', createPages());
+  check("Docusaurus nests children under their parent's folder", Object.keys(docusaurus.files).sort(), [
+    'docs/1-Overview/1-Overview.md',
+    'docs/1-Overview/1.1-Sub.md',
+    'docs/1-Overview/_category_.json',
+    'docs/2-Architecture.md',
+    'docs/assets/1-Overview-mermaid-1.svg',
+    'docs/index.md',
+    'docusaurus.config.js',
+    'package.json',
+    'sidebars.js'
+  ]);
+  check("Top-level page links follow pages into folders",
+    docusaurus.files['docs/2-Architecture.md'].split('\n').slice(4, 7),
+    [
+      '# Architecture',
+      '',
+      'Read [the overview](1-Overview/1-Overview.md#x) and [the sub page](1-Overview/1.1-Sub.md), or [GitHub](https://github.com/owner/repo).'
+    ]);
+  check("Fenced code is not relocated", docusaurus.files['docs/2-Architecture.md'].includes('[kept](1-Overview.md)'), true);
+  check("Reference definitions are relocated", docusaurus.files['docs/2-Architecture.md'].includes('[ref]: 1-Overview/1.1-Sub.md'), true);
+  check("Nested page links to its sibling and to assets",
+    docusaurus.files['docs/1-Overview/1-Overview.md'].includes('[the sub page](1.1-Sub.md) and ![diagram](../assets/1-Overview-mermaid-1.svg)'),
+    true);
+  check("Positions come from front matter",
+    ['docs/1-Overview/1-Overview.md', 'docs/1-Overview/1.1-Sub.md', 'docs/2-Architecture.md', 'docs/index.md']
+      .map(path => docusaurus.files[path].match(/sidebar_position: (\d+)/)[1]),
+    ['1', '2', '2', '0']);
+  check("Category is labelled with the page title", JSON.parse(docusaurus.files['docs/1-Overview/_category_.json']),
+    { label: 'Overview', position: 1, collapsed: false });
+  check("Home page links every page",
+    docusaurus.files['docs/index.md'].split('\n').filter(line => line.trim().startsWith('- ')),
+    ['- [Overview](1-Overview/1-Overview.md)', '  - [Sub](1-Overview/1.1-Sub.md)', '- [Architecture: Core](2-Architecture.md)']);
+  const docusaurusConfig = docusaurus.files['docusaurus.config.js'];
+  check("Docusaurus config reads Markdown as CommonMark with Mermaid",
+    docusaurusConfig.includes("markdown: { format: 'detect', mermaid: true },"), true);
+  check("Docusaurus config enables the Mermaid theme", docusaurusConfig.includes("themes: ['@docusaurus/theme-mermaid'],"), true);
+  check("Docusaurus config is titled after the site", docusaurusConfig.includes('title: "owner/repo wiki",'), true);
+  check("Docusaurus package installs the Mermaid theme",
+    Object.keys(JSON.parse(docusaurus.files['package.json']).dependencies).includes('@docusaurus/theme-mermaid'), true);
+
+  const vitepress = createZip();
+  writeSiteProject(vitepress, 'vitepress', 'owner/repo wiki', createPages());
+  check("VitePress keeps docs flat", Object.keys(vitepress.files).filter(path => path.endsWith('.md')).sort(), [
+    'docs/1-Overview.md',
+    'docs/1.1-Sub.md',
+    'docs/2-Architecture.md',
+    'docs/index.md'
+  ]);
+  check("Flat pages keep their links",
+    vitepress.files['docs/2-Architecture.md'].includes('Read [the overview](1-Overview.md#x) and [the sub page](1.1-Sub.md)'), true);
+  const vitepressConfig = vitepress.files['docs/.vitepress/config.mjs'];
+  check("VitePress config is wrapped in withMermaid",
+    vitepressConfig.startsWith("import { withMermaid } from 'vitepress-plugin-mermaid';\n\nexport default withMermaid({"), true);
+  const sidebar = JSON.parse(vitepressConfig.slice(vitepressConfig.indexOf('(') + 1, vitepressConfig.lastIndexOf(')'))).themeConfig.sidebar;
+  check("VitePress sidebar follows the hierarchy", sidebar, [
+    { text: 'Overview', link: '/1-Overview', collapsed: false, items: [{ text: 'Sub', link: '/1.1-Sub' }] },
+    { text: 'Architecture: Core', link: '/2-Architecture' }
+  ]);
+  check("VitePress package installs the Mermaid plugin", JSON.parse(vitepress.files['package.json']).dependencies['vitepress-plugin-mermaid'], '^2.0.0');
+
+  const mkdocs = createZip();
+  writeSiteProject(mkdocs, 'mkdocs', 'owner/repo wiki', createPages());
+  check("MkDocs nav lists a parent page first in its section",
+    mkdocs.files['mkdocs.yml'].split('\n').slice(-6, -1),
+    [
+      '  - Home: index.md',
+      '  - "Overview":',
+      '      - "Overview": "1-Overview.md"',
+      '      - "Sub": "1.1-Sub.md"',
+      '  - "Architecture: Core": "2-Architecture.md"'
+    ]);
+  check("MkDocs site has no package.json", 'package.json' in mkdocs.files, false);
+
+  // Page file names keep `#` and `%`; links must encode them so they are not read as a fragment or an escape
+  const specialPages = () => [
+    { title: '01-C#-Interop', pageTitle: 'C# Interop', depth: 0, content: '# C# Interop\n' },
+    { title: '02-Rates-100%', pageTitle: 'Rates 100%', depth: 1, content: '# Rates\n' },
+    { title: '03-Usage', pageTitle: 'Usage', depth: 0, content: 'See [interop](01-C%23-Interop.md#api) and [rates](02-Rates-100%25.md).\n' }
+  ];
+  const special = createZip();
+  writeSiteProject(special, 'docusaurus', 'wiki', specialPages());
+  check("Home page links encode # and %",
+    special.files['docs/index.md'].split('\n').filter(line => line.trim().startsWith('- ')),
+    ['- [C# Interop](01-C%23-Interop/01-C%23-Interop.md)', '  - [Rates 100%](01-C%23-Interop/02-Rates-100%25.md)', '- [Usage](03-Usage.md)']);
+  check("Relocated links encode # and %",
+    special.files['docs/03-Usage.md'].includes('See [interop](01-C%23-Interop/01-C%23-Interop.md#api) and [rates](01-C%23-Interop/02-Rates-100%25.md).'),
+    true);
+  const specialVitepress = createZip();
+  writeSiteProject(specialVitepress, 'vitepress', 'wiki', specialPages());
+  const specialConfig = specialVitepress.files['docs/.vitepress/config.mjs'];
+  check("VitePress sidebar links encode # and %",
+    JSON.parse(specialConfig.slice(specialConfig.indexOf('(') + 1, specialConfig.lastIndexOf(')'))).themeConfig.sidebar,
+    [
+      { text: 'C# Interop', link: '/01-C%23-Interop', collapsed: false, items: [{ text: 'Rates 100%', link: '/02-Rates-100%25' }] },
+      { text: 'Usage', link: '/03-Usage' }
+    ]);
+}
+
+runTests();
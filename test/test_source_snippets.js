@@ -0,0 +1,143 @@
+// Embedded source snippets: the content script moves each citation's token after its block, and the popup or batch
+// runner fills the placeholders with fenced code read from the local clone (source-snippets.js).
+
+const { loadScripts, loadContentScripts, check } = require('./helpers');
+
+const { placeSourceSnippets } = loadContentScripts(['placeSourceSnippets']);
+
+const FILES = {
+  'src/app.py': ['import os', 'def main():', '    run()', '    return 0', ''].join('\n'),
+  'docs/README.md': ['# Title', '', '```sh', 'make', '```', ''].join('\n'),
+  'long.txt': Array.from({ length: 250 }, (value, index) => `line ${index + 1}`).join('\n')
+};
+
+/**
+ * A stand-in for the folder handle of the local clone.
+ * @param {string} permission - What queryPermission answers.
+ * @param {string} [prefix] - Path of this folder inside the clone.
+ * @returns {Object} The directory handle.
+ */
+function createDirectoryHandle(permission, prefix = '') {
+  const notFound = name => Object.assign(new Error(`${name} not found`), { name: 'NotFoundError' });
+  return {
+    name: 'repo',
+    queryPermission: async () => permission,
+    getDirectoryHandle: async name => {
+      if (!Object.keys(FILES).some(path => path.startsWith(`${prefix}${name}/`))) throw notFound(name);
+      return createDirectoryHandle(permission, `${prefix}${name}/`);
+    },
+    getFileHandle: async name => {
+      if (!(`${prefix}${name}` in FILES)) throw notFound(name);
+      return { getFile: async () => ({ text: async () => FILES[`${prefix}${name}`] }) };
+    }
+  };
+}
+
+/**
+ * A stand-in for IndexedDB that holds one stored value.
+ * @param {*} value - What the handle store returns.
+ * @returns {Object} The `indexedDB` global.
+ */
+function createIndexedDb(value) {
+  const answer = (request, result) => {
+    setTimeout(() => {
+      request.result = result;
+      request.onsuccess();
+    });
+    return request;
+  };
+  const db = {
+    transaction: () => ({ objectStore: () => ({ get: () => answer({}, value) }) }),
+    close() {}
+  };
+  return { open: () => answer({}, db) };
+}
+
+/**
+ * Load source-snippets.js with a stored folder handle.
+ * @param {Object|null} handle - The handle the options page saved.
+ * @returns {Object} The module's functions.
+ */
+function loadSnippets(handle) {
+  return loadScripts(['source-snippets.js'], ['fillSourceSnippets', 'buildSourceSnippetBlock', 'getSourceDirectoryProblem'],
+    { indexedDB: createIndexedDb(handle) });
+}
+
+// The token registerSourceSnippet appends to a citation
+const T = id => `\uE000snippet:${id}\uE000`;
+
+async function runTests() {
+  console.log("Running Tests...");
+
+  check("Placeholder follows the paragraph",
+    placeSourceSnippets(`Intro cites [a](x)${T(1)} here\nand wraps.\n\nNext paragraph.`),
+    'Intro cites [a](x) here\nand wraps.\n\n<!-- deepwiki-snippet:1 -->\n\nNext paragraph.');
+  check("Placeholders follow the whole table",
+    placeSourceSnippets(`| a | b |\n| --- | --- |\n| [x](y)${T(1)} | [z](w)${T(2)} |\n\nAfter.`),
+    '| a | b |\n| --- | --- |\n| [x](y) | [z](w) |\n\n<!-- deepwiki-snippet:1 -->\n\n<!-- deepwiki-snippet:2 -->\n\nAfter.');
+  check("Placeholder follows the whole list",
+    placeSourceSnippets(`- one [x](y)${T(1)}\n- two\n  - nested\n\nAfter.`),
+    '- one [x](y)\n- two\n  - nested\n\n<!-- deepwiki-snippet:1 -->\n\nAfter.');
+  check("Blank lines inside a fence do not end the block",
+    placeSourceSnippets(`See [x](y)${T(1)}\n\`\`\`\ncode\n\nmore\n\`\`\`\n\nAfter.`),
+    'See [x](y)\n```\ncode\n\nmore\n```\n\n<!-- deepwiki-snippet:1 -->\n\nAfter.');
+  check("Placeholder at the end of the page", placeSourceSnippets(`Last [x](y)${T(1)}`), 'Last [x](y)\n\n<!-- deepwiki-snippet:1 -->\n');
+  check("Page without tokens is unchanged", placeSourceSnippets('Plain text.\n\nMore.'), 'Plain text.\n\nMore.');
+
+  const { buildSourceSnippetBlock, fillSourceSnippets, getSourceDirectoryProblem } = loadSnippets(createDirectoryHandle('granted'));
+  check("Snippet block with language and summary",
+    buildSourceSnippetBlock({ filePath: 'src/a<b>&c.py', start: 2, end: 3 }, { code: 'def main():\n    run()', truncated: false }),
+    '<details>\n<summary>src/a&lt;b>&amp;c.py L2-L3</summary>\n\n```python\ndef main():\n    run()\n```\n\n</details>');
+  check("Fence is longer than backtick runs in the code",
+    buildSourceSnippetBlock({ filePath: 'README.md', start: 4, end: 4 }, { code: '````\nx\n````', truncated: false }),
+    '<details>\n<summary>README.md L4</summary>\n\n`````markdown\n````\nx\n````\n`````\n\n</details>');
+  check("Unknown extension gets a bare fence and the truncation note",
+    buildSourceSnippetBlock({ filePath: 'Makefile', start: 1, end: 300 }, { code: 'all:', truncated: true }),
+    '<details>\n<summary>Makefile L1-L300 (first 200 lines)</summary>\n\n```\nall:\n```\n\n</details>');
+
+  const page = 'Main [x](y)\n\n<!-- deepwiki-snippet:1 -->\n\n<!-- deepwiki-snippet:2 -->\n\nDocs [z](w)\n\n<!-- deepwiki-snippet:3 -->\n\nLong\n\n<!-- deepwiki-snippet:4 -->\n';
+  const snippets = [
+    { id: 1, filePath: 'src/app.py', start: 2, end: 3 },
+    { id: 2, filePath: 'src/missing.py', start: 1, end: 1 },
+    { id: 3, filePath: 'docs/README.md', start: 3, end: 5 },
+    { id: 4, filePath: 'long.txt', start: 1, end: 250 }
+  ];
+  const filled = await fillSourceSnippets(page, snippets);
+  check("Read snippets are embedded and missing files dropped", [filled.embedded, filled.missing], [3, 1]);
+  check("Embedded page", filled.markdown.split('\n').slice(0, 21), [
+    'Main [x](y)',
+    '',
+    '<details>',
+    '<summary>src/app.py L2-L3</summary>',
+    '',
+    '```python',
+    'def main():',
+    '    run()',
+    '```',
+    '',
+    '</details>',
+    '',
+    'Docs [z](w)',
+    '',
+    '<details>',
+    '<summary>docs/README.md L3-L5</summary>',
+    '',
+    '````markdown',
+    '```sh',
+    'make',
+    '```'
+  ]);
+  check("Long ranges are cut", /line 200\n```/.test(filled.markdown) && !filled.markdown.includes('line 201'), true);
+  check("Readable folder has no problem", await getSourceDirectoryProblem(), null);
+
+  const denied = loadSnippets(createDirectoryHandle('prompt'));
+  const withoutAccess = await denied.fillSourceSnippets(page, snippets);
+  check("Without access every placeholder is dropped", withoutAccess,
+    { markdown: 'Main [x](y)\n\nDocs [z](w)\n\nLong', embedded: 0, missing: 4 });
+  check("Missing access is reported", await denied.getSourceDirectoryProblem(),
+    'Read access to "repo" has not been granted. Allow it in the extension options.');
+  check("Missing folder is reported", await loadSnippets(null).getSourceDirectoryProblem(),
+    'No local clone is chosen for embedding cited code. Choose it in the extension options.');
+}
+
+runTests();